@@ -1,55 +1,367 @@
 // Main background script for Screen Reader Extension
 // This script handles extension lifecycle and coordinates between components
 
+// A service worker loads shared scripts here; background pages list them in manifest.json
+if (typeof importScripts === 'function') {
+  importScripts('../lib/session-store.js', '../lib/models/UserPreferences.js', '../lib/site-activation.js');
+}
+
+// Settings releases before UserPreferences kept in chrome.storage.local
+const LEGACY_PREFERENCE_KEYS = ['speed', 'volume', 'voice'];
+
 // Extension installation and startup
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('Screen Reader Extension installed:', details);
 
-  // Initialize default settings
-  chrome.storage.local.set({
-    extensionEnabled: false, // Default to disabled
-    speed: 1.0,
-    volume: 1.0,
-    voice: null // Will use default voice
+  createContextMenus();
+
+  // New installs start with the reader off everywhere; SiteActivation defaults to off
+  if (details.reason === 'update') {
+    migratePreferences().catch(error => {
+      console.error('Failed to migrate preferences:', error);
+    });
+
+    // The single on/off flag from before per-site activation
+    chrome.storage.local.remove(['extensionEnabled']);
+  }
+});
+
+// Bring stored UserPreferences up to the current schema after an update,
+// folding in settings older releases kept in local storage
+async function migratePreferences() {
+  const [{ userPreferences }, legacy] = await Promise.all([
+    chrome.storage.sync.get(['userPreferences']),
+    chrome.storage.local.get(LEGACY_PREFERENCE_KEYS)
+  ]);
+
+  const version = (userPreferences && userPreferences.schemaVersion) || 0;
+  const hasLegacy = Object.keys(legacy).length > 0;
+
+  // Nothing stored yet, or already current (or written by a newer release elsewhere)
+  if ((!userPreferences && !hasLegacy) || (version >= UserPreferences.SCHEMA_VERSION && !hasLegacy)) {
+    return;
+  }
+
+  if (version <= UserPreferences.SCHEMA_VERSION) {
+    const migrated = new UserPreferences(UserPreferences.migrate(userPreferences, legacy));
+    await chrome.storage.sync.set({ userPreferences: migrated.toJSON() });
+    console.log(`Migrated preferences from schema version ${version} to ${UserPreferences.SCHEMA_VERSION}`);
+  }
+
+  await chrome.storage.local.remove(LEGACY_PREFERENCE_KEYS);
+}
+
+// Context menu entries, recreated on install and update
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'read-from-here',
+      title: 'Read from here',
+      contexts: ['page', 'link', 'image']
+    });
+    chrome.contextMenus.create({
+      id: 'read-selection',
+      title: 'Read selection',
+      contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+      id: 'read-linked-article',
+      title: 'Read linked article',
+      contexts: ['link']
+    });
   });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab) return;
+
+  try {
+    switch (info.menuItemId) {
+      case 'read-from-here':
+        await sendToTab(tab.id, { action: 'readFromHere' });
+        break;
+
+      case 'read-selection':
+        await sendToTab(tab.id, { action: 'readSelection' });
+        break;
+
+      case 'read-linked-article':
+        await readLinkedArticle(info.linkUrl, tab);
+        break;
+    }
+  } catch (error) {
+    console.error('Error handling context menu:', info.menuItemId, error);
+  }
 });
 
+async function readLinkedArticle(linkUrl, tab) {
+  const url = new URL(linkUrl);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Cannot read linked page: ${url.protocol} links are not supported`);
+  }
+
+  // Only ask for access to the linked site, and only when the user asks to read it.
+  // Must be the first await so the click still counts as a user gesture.
+  const granted = await chrome.permissions.request({ origins: [`${url.origin}/*`] });
+  if (!granted) {
+    console.log('Permission to fetch linked page was not granted:', url.origin);
+    return;
+  }
+
+  const response = await fetch(url.href, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch linked page: ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('html')) {
+    throw new Error(`Linked page is not HTML: ${contentType}`);
+  }
+
+  const html = await response.text();
+  await sendToTab(tab.id, { action: 'readLinkedArticle', url: url.href, html });
+}
+
 // Handle action button click (direct toggle)
 chrome.action.onClicked.addListener(async (tab) => {
+  await toggleReader(tab);
+});
+
+// Handle keyboard commands declared in manifest.json
+chrome.commands.onCommand.addListener(async (command, tab) => {
   try {
-    // Get current state
-    const result = await chrome.storage.local.get(['extensionEnabled']);
-    const isCurrentlyEnabled = result.extensionEnabled || false;
-    const newState = !isCurrentlyEnabled;
-
-    // Save new state
-    await chrome.storage.local.set({ extensionEnabled: newState });
-
-    // Update action button appearance
-    chrome.action.setTitle({
-      tabId: tab.id,
-      title: newState ? 'Screen Reader: ON (click to disable)' : 'Screen Reader: OFF (click to enable)'
-    });
+    const targetTab = tab || await getActiveTab();
+    if (!targetTab) return;
+
+    switch (command) {
+      case 'toggle-reader':
+        await toggleReader(targetTab);
+        break;
 
-    // Send message to content script
-    try {
-      await chrome.tabs.sendMessage(tab.id, {
-        action: newState ? 'enable' : 'disable'
-      });
-    } catch (error) {
-      console.log('Content script not ready, state will be applied on next page load');
+      case 'read-selection':
+        await sendToTab(targetTab.id, { action: 'readSelection' });
+        break;
+
+      case 'pick-start-point':
+        await sendToTab(targetTab.id, { action: 'pickStartPoint' });
+        break;
+
+      case 'play-pause':
+        await sendToTab(targetTab.id, { action: 'togglePlayPause' });
+        break;
+
+      case 'stop-reading':
+        await sendToTab(targetTab.id, { action: 'stop' });
+        break;
+
+      default:
+        console.warn('Unknown command:', command);
     }
+  } catch (error) {
+    console.error('Error handling command:', command, error);
+  }
+});
 
-    console.log('Extension toggled:', newState ? 'enabled' : 'disabled');
+// Turn the reader on or off for the tab's site. Content scripts on that site, in
+// this tab and others, see the change in storage and follow it.
+async function toggleReader(tab) {
+  try {
+    if (!SiteActivation.originOf(tab.url)) {
+      console.log('Screen Reader cannot run on this page:', tab.url);
+      return;
+    }
+
+    const siteActivation = new SiteActivation();
+    const newState = !(await siteActivation.isEnabled(tab.url));
+    await siteActivation.setEnabled(tab.url, newState);
+
+    updateActionState(tab.id, newState);
+
+    console.log('Extension toggled for', SiteActivation.originOf(tab.url), newState ? 'enabled' : 'disabled');
 
   } catch (error) {
     console.error('Error toggling extension:', error);
   }
+}
+
+// Show whether the reader is on for a tab's site on the toolbar button
+function updateActionState(tabId, enabled) {
+  chrome.action.setBadgeText({ tabId, text: enabled ? 'ON' : 'OFF' });
+  chrome.action.setBadgeBackgroundColor({ tabId, color: enabled ? '#2e7d32' : '#757575' });
+  chrome.action.setTitle({
+    tabId,
+    title: enabled ? 'Screen Reader: ON for this site (click to disable)' : 'Screen Reader: OFF for this site (click to enable)'
+  });
+}
+
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab || null;
+}
+
+async function sendToTab(tabId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message);
+  } catch (error) {
+    console.log(`Content script not ready in tab ${tabId}:`, message.action || message.type);
+    return null;
+  }
+}
+
+// Playback runs in SpeechController. A service worker has no speechSynthesis, so in
+// Chrome the controller lives in an offscreen document; background pages (Firefox)
+// load speech-controller.js before this script and run it directly.
+const OFFSCREEN_URL = 'offscreen/offscreen.html';
+const SPEECH_MESSAGE_TYPES = [
+  'START_READING', 'PAUSE', 'RESUME', 'STOP_READING', 'SET_SPEED', 'SET_VOLUME',
+  'GET_VOICES', 'PREVIEW_VOICE'
+];
+const SESSION_SAVE_INTERVAL = 5000;
+const sessionStore = new SessionStore();
+const lastSessionSave = new Map();
+// Last full session of each reading, for progress messages that carry only the position
+const knownSessions = new Map();
+const localSpeechController = typeof SpeechController !== 'undefined'
+  ? new SpeechController({ sendToTab: relaySessionMessage })
+  : null;
+let creatingOffscreenDocument = null;
+
+// Session messages from the controller pass through here on their way to the tab
+async function relaySessionMessage(tabId, message) {
+  persistSession(message).catch(error => {
+    console.warn('Failed to save reading position:', error);
+  });
+  return sendToTab(tabId, message);
+}
+
+// Save reading positions so they can be resumed after a reload or on a later visit
+async function persistSession(message) {
+  if (!message.session) return;
+
+  const isProgress = message.type === 'SPEECH_BOUNDARY' || message.type === 'SPEECH_CHUNK_STARTED';
+  if (!isProgress) {
+    knownSessions.set(message.session.sessionId, message.session);
+  }
+  const session = { ...knownSessions.get(message.session.sessionId), ...message.session };
+  if (!session.fingerprint) return;
+
+  if (message.type === 'SESSION_ENDED') {
+    // Finished articles have nothing to resume
+    lastSessionSave.delete(session.sessionId);
+    knownSessions.delete(session.sessionId);
+    await sessionStore.remove(session.pageUrl, session.fingerprint);
+    return;
+  }
+
+  // Word boundaries arrive several times a second, so only save them now and then
+  const now = Date.now();
+  if (message.type === 'SPEECH_BOUNDARY' &&
+      now - (lastSessionSave.get(session.sessionId) || 0) < SESSION_SAVE_INTERVAL) {
+    return;
+  }
+
+  if (session.isPlaying || session.isPaused) {
+    lastSessionSave.set(session.sessionId, now);
+  } else {
+    lastSessionSave.delete(session.sessionId); // Stopped
+    knownSessions.delete(session.sessionId);
+  }
+  await sessionStore.save(session);
+}
+
+async function sendToSpeechController(message) {
+  if (localSpeechController) {
+    return localSpeechController.handleMessage(message);
+  }
+
+  await ensureOffscreenDocument();
+  return chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+}
+
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  return contexts.length > 0;
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+
+  // Several messages can arrive while the document is still being created
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['AUDIO_PLAYBACK'],
+      justification: 'Read page text aloud with speechSynthesis'
+    }).finally(() => {
+      creatingOffscreenDocument = null;
+    });
+  }
+  await creatingOffscreenDocument;
+}
+
+// Stop reading when a tab goes away
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  try {
+    if (!localSpeechController && !(await hasOffscreenDocument())) return;
+    await sendToSpeechController({ type: 'STOP_TAB', tabId });
+  } catch (error) {
+    console.error('Error stopping sessions for closed tab:', tabId, error);
+  }
 });
 
-// Handle messages from content scripts
+// Pause reading in a tab the user switches away from, and resume it when they come back
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  handleTabFocus(tabId).catch(error => {
+    console.error('Error handling tab switch:', tabId, error);
+  });
+});
+
+chrome.windows?.onFocusChanged.addListener(async (windowId) => {
+  // Focus moved to another application: keep reading, like a music player would
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    if (tab) await handleTabFocus(tab.id);
+  } catch (error) {
+    console.error('Error handling window focus change:', windowId, error);
+  }
+});
+
+async function handleTabFocus(tabId) {
+  // Nothing to pause if no controller is running
+  if (!localSpeechController && !(await hasOffscreenDocument())) return;
+
+  const { userPreferences } = await chrome.storage.sync.get(['userPreferences']);
+  const preferences = UserPreferences.fromJSON(userPreferences || {});
+  if (!preferences.pauseOnTabSwitch) return;
+
+  await sendToSpeechController({ type: 'TAB_FOCUSED', tabId, resume: preferences.resumeOnTabReturn });
+}
+
+// Handle messages from content scripts and the offscreen document
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Background received message:', message);
+  // Requests already relayed to the offscreen document
+  if (message.target === 'offscreen') return false;
+
+  console.log('Background received message:', message.type);
+
+  if (SPEECH_MESSAGE_TYPES.includes(message.type)) {
+    // Sessions belong to the tab that started them
+    if (message.type === 'START_READING' && !sender.tab) {
+      sendResponse({ success: false, error: 'Reading must be started from a tab' });
+      return false;
+    }
+
+    const tab = sender.tab || {};
+    sendToSpeechController({ ...message, tabId: tab.id, pageUrl: message.pageUrl || tab.url })
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Respond asynchronously
+  }
 
   switch (message.type) {
     case 'INIT_SPEECH':
@@ -57,19 +369,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
-    case 'START_READING':
-      // Handle start reading request
-      if (message.text) {
-        // Speech will be handled by content script using Web Speech API
-        sendResponse({ success: true });
-      } else {
-        sendResponse({ success: false, error: 'No text provided' });
+    case 'SITE_STATE':
+      // Content scripts report whether the reader is on, as pages load and when it changes
+      if (sender.tab) {
+        updateActionState(sender.tab.id, message.enabled);
       }
+      sendResponse({ success: true });
       break;
 
-    case 'STOP_READING':
-      // Handle stop reading request
-      sendResponse({ success: true });
+    case 'RELAY_TO_TAB':
+      // Session updates from the offscreen document, which can't message tabs itself
+      if (sender.tab) {
+        sendResponse({ success: false, error: 'Only the offscreen document can relay messages' });
+        break;
+      }
+      relaySessionMessage(message.tabId, message.message).then(() => sendResponse({ success: true }));
       break;
 
     default:
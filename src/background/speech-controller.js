@@ -1,26 +1,49 @@
 /**
- * SpeechController - Manages text-to-speech functionality in background script
+ * SpeechController - Owns reading sessions and speaks them.
+ * Runs where speechSynthesis exists: the offscreen document in Chrome, where the
+ * background is a service worker, or the background page itself in Firefox.
  */
 
-// Import AudioSession for Node.js testing environment
-let AudioSession;
-if (typeof require !== 'undefined') {
-  try {
-    AudioSession = require('../lib/models/AudioSession.js');
-  } catch (e) {
-    // In browser environment, AudioSession should be available globally
-    AudioSession = typeof window !== 'undefined' ? window.AudioSession : null;
-  }
-} else if (typeof window !== 'undefined') {
-  AudioSession = window.AudioSession;
-}
+// In the browser these are loaded as globals before this script
+const AudioSessionClass = typeof AudioSession !== 'undefined'
+  ? AudioSession
+  : require('../lib/models/AudioSession.js');
+const SpeechQueueClass = typeof SpeechQueue !== 'undefined'
+  ? SpeechQueue
+  : require('../lib/speech-queue.js');
+const TextNormalizerClass = typeof TextNormalizer !== 'undefined'
+  ? TextNormalizer
+  : require('../lib/text-normalizer.js').TextNormalizer;
 
 class SpeechController {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.sendToTab] - Delivers (tabId, message) to a tab's content script.
+   *   Defaults to chrome.tabs.sendMessage, which offscreen documents don't have.
+   */
+  constructor({ sendToTab } = {}) {
     this.activeSessions = new Map();
     this.maxConcurrentSessions = 10;
-    this.currentUtterance = null;
     this.currentSessionId = null;
+    // Speed changes restart speech once they settle, e.g. after a slider drag
+    this.restartDelay = 150;
+    this.restartTimer = null;
+    this.sendToTab = sendToTab || ((tabId, message) => chrome.tabs.sendMessage(tabId, message));
+    // Sessions paused because the user switched away from their tab, resumed on return
+    this.tabSwitchPaused = new Set();
+
+    // Rewrites numbers, dates, URLs and so on as they should be said; add rules to
+    // textNormalizer to extend it
+    this.textNormalizer = new TextNormalizerClass();
+
+    // Only one session speaks at a time, as a queue of short utterances
+    this.speechQueue = new SpeechQueueClass({
+      normalizer: this.textNormalizer,
+      onChunkStart: (chunk, total) => this._handleChunkStart(chunk, total),
+      onBoundary: (event, chunk) => this._handleBoundary(event, chunk),
+      onEnd: () => this._handleEnd(),
+      onError: (event) => this._handleError(event),
+    });
 
     // Bind speech events
     this._bindSpeechEvents();
@@ -40,13 +63,14 @@ class SpeechController {
       throw new SpeechNotSupportedError();
     }
 
-    // Check session limit
+    // Check session limit, making room by stopping readings other tabs left paused
+    this._dropPausedSessions(this.maxConcurrentSessions - 1);
     if (this.activeSessions.size >= this.maxConcurrentSessions) {
       throw new SessionLimitError(this.maxConcurrentSessions);
     }
 
-    // Check voice availability
-    const voice = await this._getBestVoice();
+    // Check voice availability, preferring the voice chosen for this page
+    const voice = await this._getBestVoice(request.language, request.voiceURI);
     if (!voice) {
       throw new VoiceNotAvailableError();
     }
@@ -56,13 +80,21 @@ class SpeechController {
       throw new TextProcessingError('Text content is empty');
     }
 
+    let session;
     try {
       // Create audio session
-      const session = new AudioSession({
+      session = new AudioSessionClass({
         contentId: request.contentId,
         pageUrl: request.pageUrl || 'unknown',
         text: request.text,
         startWordIndex: request.startWordIndex || 0,
+        startCharIndex: request.startCharIndex !== undefined ? request.startCharIndex : null,
+        fingerprint: request.fingerprint || null,
+        language: request.language,
+        voiceURI: request.voiceURI,
+        languageSegments: request.languageSegments,
+        blocks: request.blocks,
+        pronunciations: request.pronunciations,
         speed: request.speed || 1.0,
         volume: request.volume || 1.0,
         tabId: request.tabId,
@@ -77,9 +109,18 @@ class SpeechController {
       // Update session state
       session.updateState({ isPlaying: true, isPaused: false });
 
+      // Progress messages only carry the position, so send everything else once
+      this._broadcastSessionUpdate(session);
+
       return session;
 
     } catch (error) {
+      if (session) {
+        this.activeSessions.delete(session.sessionId);
+        if (this.currentSessionId === session.sessionId) {
+          this.currentSessionId = null;
+        }
+      }
       throw new TextProcessingError('Failed to start speech synthesis', error);
     }
   }
@@ -87,15 +128,21 @@ class SpeechController {
   /**
    * Pause active speech session
    * @param {string} sessionId - Session to pause
+   * @param {string} [reason] - Why it paused, shown by the tab, e.g. 'tab-switch'
    */
-  async pauseSpeech(sessionId) {
+  async pauseSpeech(sessionId, reason) {
     const session = this._getSession(sessionId);
 
-    if (this.currentSessionId === sessionId && speechSynthesis.speaking) {
-      speechSynthesis.pause();
+    if (this.currentSessionId === sessionId && this.speechQueue.isActive) {
+      this.speechQueue.pause();
+    }
+
+    if (reason !== 'tab-switch') {
+      this.tabSwitchPaused.delete(sessionId);
     }
 
     session.updateState({ isPlaying: false, isPaused: true });
+    this._broadcastSessionUpdate(session, reason);
   }
 
   /**
@@ -109,15 +156,18 @@ class SpeechController {
       throw new Error('Invalid session state - session is not paused');
     }
 
-    if (this.currentSessionId === sessionId && speechSynthesis.paused) {
-      speechSynthesis.resume();
+    this.tabSwitchPaused.delete(sessionId);
+
+    if (this.currentSessionId === sessionId && this.speechQueue.isPaused) {
+      this.speechQueue.resume();
     } else {
       // Restart from current position if not the active session
-      const voice = await this._getBestVoice();
+      const voice = await this._getBestVoice(session.language, session.voiceURI);
       await this._startSpeechSynthesis(session, voice);
     }
 
     session.updateState({ isPlaying: true, isPaused: false });
+    this._broadcastSessionUpdate(session);
   }
 
   /**
@@ -128,12 +178,56 @@ class SpeechController {
     const session = this._getSession(sessionId);
 
     if (this.currentSessionId === sessionId) {
-      speechSynthesis.cancel();
-      this.currentUtterance = null;
+      this.speechQueue.cancel();
       this.currentSessionId = null;
     }
 
+    // Last update carries the position reading stopped at, so it can be saved
+    session.updateState({ isPlaying: false, isPaused: false });
+    this._broadcastSessionUpdate(session);
+
     this.activeSessions.delete(sessionId);
+    this.tabSwitchPaused.delete(sessionId);
+  }
+
+  /**
+   * Stop every session that belongs to a tab, e.g. when it is closed
+   * @param {number} tabId - Tab whose sessions to stop
+   */
+  async stopTabSessions(tabId) {
+    const sessions = Array.from(this.activeSessions.values()).filter(session => session.tabId === tabId);
+    for (const session of sessions) {
+      await this.stopSpeech(session.sessionId);
+    }
+  }
+
+  /**
+   * The user switched to a tab: pause sessions playing in other tabs and, if asked,
+   * resume this tab's sessions that were paused when the user left it
+   * @param {number} tabId - Tab now in front
+   * @param {Object} [options]
+   * @param {boolean} [options.resume] - Resume this tab's sessions paused by a tab switch
+   */
+  async focusTab(tabId, { resume = false } = {}) {
+    const sessions = Array.from(this.activeSessions.values());
+
+    for (const session of sessions) {
+      if (session.tabId !== tabId && session.isPlaying) {
+        this.tabSwitchPaused.add(session.sessionId);
+        await this.pauseSpeech(session.sessionId, 'tab-switch');
+      }
+    }
+
+    const returning = sessions.filter(session =>
+      session.tabId === tabId && session.isPaused && this.tabSwitchPaused.has(session.sessionId));
+    if (!resume) {
+      // The user resumes by hand, so stop tracking them
+      returning.forEach(session => this.tabSwitchPaused.delete(session.sessionId));
+      return;
+    }
+    for (const session of returning) {
+      await this.resumeSpeech(session.sessionId);
+    }
   }
 
   /**
@@ -151,20 +245,10 @@ class SpeechController {
 
     session.updateState({ speed });
 
-    // Update active speech if this is the current session
-    if (this.currentSessionId === sessionId && this.currentUtterance) {
-      this.currentUtterance.rate = speed;
-
-      // For some browsers, we may need to restart speech with new rate
-      if (speechSynthesis.speaking && !speechSynthesis.paused) {
-        const wasPlaying = session.isPlaying;
-        speechSynthesis.cancel();
-
-        if (wasPlaying) {
-          const voice = await this._getBestVoice();
-          await this._startSpeechSynthesis(session, voice);
-        }
-      }
+    // A queued utterance can't change rate, so speech restarts at the current word
+    if (this.currentSessionId === sessionId) {
+      this.speechQueue.setOptions({ rate: speed });
+      this._scheduleRestart(session);
     }
 
     // Broadcast speed change to content script
@@ -186,15 +270,109 @@ class SpeechController {
 
     session.updateState({ volume });
 
-    // Update active speech if this is the current session
-    if (this.currentSessionId === sessionId && this.currentUtterance) {
-      this.currentUtterance.volume = volume;
+    if (this.currentSessionId === sessionId) {
+      this.speechQueue.setOptions({ volume });
     }
 
     // Broadcast volume change to content script
     this._broadcastSessionUpdate(session);
   }
 
+  /**
+   * List the voices speech can use
+   * @returns {Promise<Array<{voiceURI: string, name: string, lang: string, localService: boolean, default: boolean}>>}
+   */
+  async getVoices() {
+    const voices = await this._loadVoices();
+    return voices.map(voice => ({
+      voiceURI: voice.voiceURI,
+      name: voice.name,
+      lang: voice.lang,
+      localService: voice.localService,
+      default: voice.default,
+    }));
+  }
+
+  /**
+   * Speak a short sample with a voice. Interrupts any reading, which can be resumed.
+   * @param {string} voiceURI - Voice to preview
+   * @param {string} [text] - Sample text
+   */
+  async previewVoice(voiceURI, text = 'This is how this voice sounds.') {
+    const voice = await this._getBestVoice(undefined, voiceURI);
+    if (!voice) {
+      throw new VoiceNotAvailableError();
+    }
+
+    this._interruptCurrentSession();
+    this.speechQueue.cancel();
+    this.currentSessionId = null;
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+    speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Handle a playback message relayed from a content script
+   * @param {Object} message - START_READING, PAUSE, RESUME, STOP_READING, SET_SPEED, SET_VOLUME,
+   *   GET_VOICES or PREVIEW_VOICE
+   * @returns {Promise<Object>} Response with success flag and session or error
+   */
+  async handleMessage(message) {
+    try {
+      switch (message.type) {
+        case 'START_READING': {
+          const session = await this.startSpeech(message);
+          return { success: true, session: session.toJSON() };
+        }
+
+        case 'PAUSE':
+          await this.pauseSpeech(message.sessionId);
+          break;
+
+        case 'RESUME':
+          await this.resumeSpeech(message.sessionId);
+          break;
+
+        case 'STOP_READING':
+          await this.stopSpeech(message.sessionId);
+          break;
+
+        case 'STOP_TAB':
+          await this.stopTabSessions(message.tabId);
+          break;
+
+        case 'TAB_FOCUSED':
+          await this.focusTab(message.tabId, { resume: message.resume });
+          break;
+
+        case 'SET_SPEED':
+          await this.setSpeed(message.sessionId, message.speed);
+          break;
+
+        case 'SET_VOLUME':
+          await this.setVolume(message.sessionId, message.volume);
+          break;
+
+        case 'GET_VOICES':
+          return { success: true, voices: await this.getVoices() };
+
+        case 'PREVIEW_VOICE':
+          await this.previewVoice(message.voiceURI, message.text);
+          break;
+
+        default:
+          return { success: false, error: `Unknown message type: ${message.type}` };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message, errorName: error.name };
+    }
+  }
+
   /**
    * Get session by ID
    * @param {string} sessionId - Session ID
@@ -275,17 +453,20 @@ class SpeechController {
   }
 
   /**
-   * Private: Get best available voice
+   * Private: Get the speechSynthesis for this environment
    */
-  async _getBestVoice(language = 'en-US') {
-    // Get speechSynthesis from appropriate environment
-    const synth = typeof global !== 'undefined' && global.speechSynthesis
+  _getSynth() {
+    return typeof global !== 'undefined' && global.speechSynthesis
       ? global.speechSynthesis
       : (typeof window !== 'undefined' ? window.speechSynthesis : null);
+  }
 
-    if (!synth) {
-      throw new VoiceNotAvailableError(language);
-    }
+  /**
+   * Private: Get available voices, waiting for them to load if needed
+   */
+  async _loadVoices() {
+    const synth = this._getSynth();
+    if (!synth) return [];
 
     const voices = synth.getVoices();
 
@@ -302,84 +483,284 @@ class SpeechController {
       });
     }
 
-    const availableVoices = synth.getVoices();
+    return synth.getVoices();
+  }
 
-    // Prefer local voices over remote
-    const localVoices = availableVoices.filter(voice => voice.localService);
-    if (localVoices.length > 0) {
-      // Try to match language
-      const languageMatch = localVoices.find(voice => voice.lang.startsWith(language.split('-')[0]));
-      return languageMatch || localVoices[0];
+  /**
+   * Private: Get best available voice
+   * @param {string} [language] - Language to match, e.g. "de-DE"; any voice if empty
+   * @param {string} [voiceURI] - Voice the user chose, used when it speaks the language
+   */
+  async _getBestVoice(language = '', voiceURI = '') {
+    if (!this._getSynth()) {
+      throw new VoiceNotAvailableError(language);
+    }
+
+    const availableVoices = await this._loadVoices();
+    const primary = (language || '').split(/[-_]/)[0].toLowerCase();
+    const speaksLanguage = voice => !primary || voice.lang.split(/[-_]/)[0].toLowerCase() === primary;
+
+    const preferred = voiceURI && availableVoices.find(voice => voice.voiceURI === voiceURI);
+    if (preferred && speaksLanguage(preferred)) {
+      return preferred;
     }
 
-    // Fall back to any available voice
-    return availableVoices.length > 0 ? availableVoices[0] : null;
+    // Prefer local voices over remote, then the system default
+    const ranked = [...availableVoices].sort((a, b) => (
+      (!!b.localService - !!a.localService) || (!!b.default - !!a.default)
+    ));
+
+    // A voice for another language is still better than none
+    return ranked.find(speaksLanguage) || preferred || ranked[0] || null;
   }
 
   /**
-   * Private: Start speech synthesis for session
+   * Private: Start speech synthesis for session from its current position
    */
   async _startSpeechSynthesis(session, voice) {
-    const textToSpeak = session.getRemainingText();
-
-    if (!textToSpeak) {
+    const segments = session.languageSegments.filter(segment => segment.end > session.currentCharIndex);
+    const blocks = session.blocks.filter(block => block.end > session.currentCharIndex);
+    const sentences = this._applyBlocks(session.text, this._splitAtSegments(
+      session.text,
+      this._splitIntoSentences(session.text, session.currentCharIndex),
+      [...segments, ...blocks]
+    ), blocks);
+
+    if (sentences.length === 0) {
       throw new TextProcessingError('No text to speak');
     }
 
-    // Create utterance
-    const utterance = new SpeechSynthesisUtterance(textToSpeak);
-    utterance.voice = voice;
-    utterance.rate = session.speed;
-    utterance.volume = session.volume;
-    utterance.pitch = 1.0;
+    // Paragraphs in other languages are spoken by a voice for that language, and
+    // normalized by its rules
+    for (const segment of segments) {
+      const inSegment = sentences.filter(sentence => sentence.start >= segment.start && sentence.start < segment.end);
+      inSegment.forEach(sentence => {
+        sentence.language = segment.language;
+      });
 
-    // Set up event handlers
-    utterance.onstart = () => {
-      session.updateState({ isPlaying: true, isPaused: false });
-      this._broadcastSessionUpdate(session);
-    };
+      const segmentVoice = await this._getBestVoice(segment.language, segment.voiceURI);
+      if (!segmentVoice || segmentVoice === voice) continue;
+      inSegment.forEach(sentence => {
+        sentence.voice = segmentVoice;
+      });
+    }
 
-    utterance.onend = () => {
-      session.updateState({ isPlaying: false, isPaused: false, currentPosition: session.totalWords });
-      this._broadcastSessionUpdate(session);
+    if (this.currentSessionId !== session.sessionId) {
+      this._interruptCurrentSession();
+    }
+
+    // The user's pronunciations for the page come before the built-in rules
+    const normalizer = session.pronunciations.length > 0
+      ? this.textNormalizer.withRules(TextNormalizerClass.pronunciationRules(session.pronunciations))
+      : this.textNormalizer;
+
+    this.currentSessionId = session.sessionId;
+    this.speechQueue.start(session.text, sentences, {
+      rate: session.speed,
+      volume: session.volume,
+      voice,
+      language: session.language,
+      normalizer,
+    });
+  }
+
+  /**
+   * Private: Restart the current session from the last reported boundary
+   * so a new setting is heard straight away
+   */
+  _scheduleRestart(session) {
+    clearTimeout(this.restartTimer);
+
+    this.restartTimer = setTimeout(async () => {
+      if (this.currentSessionId !== session.sessionId || !this.speechQueue.isActive) return;
 
-      if (this.currentSessionId === session.sessionId) {
-        this.currentUtterance = null;
-        this.currentSessionId = null;
+      if (this.speechQueue.isPaused) {
+        // Drop the paused utterance; resumeSpeech restarts at the new setting
+        this.speechQueue.cancel();
+        return;
       }
-    };
-
-    utterance.onerror = (event) => {
-      console.error('Speech synthesis error:', event.error);
-      session.updateState({ isPlaying: false, isPaused: false });
-      this._broadcastError(new Error(`Speech synthesis error: ${event.error}`), session.sessionId);
-    };
-
-    utterance.onboundary = (event) => {
-      if (event.name === 'word') {
-        const wordIndex = this._calculateWordIndex(event.charIndex, session);
-        session.updateState({ currentPosition: wordIndex });
-        this._broadcastSessionUpdate(session);
+
+      try {
+        await this._startSpeechSynthesis(session, this.speechQueue.options.voice);
+      } catch (error) {
+        console.warn('Failed to restart speech with new settings:', error);
       }
-    };
+    }, this.restartDelay);
+  }
 
-    // Store as current utterance
-    this.currentUtterance = utterance;
-    this.currentSessionId = session.sessionId;
+  /**
+   * Private: Split text into sentences starting at a character offset.
+   * Chunks built from these keep offsets into the full session text.
+   */
+  _splitIntoSentences(text, fromChar = 0) {
+    const sentences = [];
+    const pattern = /\S[^.!?]*(?:[.!?]+|$)/g;
+    pattern.lastIndex = fromChar;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      sentences.push({ text: match[0], start: match.index });
+    }
+    return sentences;
+  }
 
-    // Start speaking
-    speechSynthesis.speak(utterance);
+  /**
+   * Private: Split sentences where a language segment starts or ends, so each
+   * piece is in one language
+   */
+  _splitAtSegments(text, sentences, segments) {
+    if (segments.length === 0) return sentences;
+
+    const cuts = segments.flatMap(segment => [segment.start, segment.end]).sort((a, b) => a - b);
+
+    return sentences.flatMap(sentence => {
+      const end = sentence.start + sentence.text.length;
+      const points = [sentence.start, ...cuts.filter(cut => cut > sentence.start && cut < end), end];
+      if (points.length === 2) return [sentence];
+
+      return points.slice(1).map((to, i) => {
+        const piece = text.substring(points[i], to);
+        return { text: piece.trim(), start: points[i] + piece.length - piece.trimStart().length };
+      }).filter(piece => piece.text);
+    });
+  }
+
+  /**
+   * Private: Drop sentences in skipped blocks, e.g. code, stand one sentence with the
+   * block's speech in for blocks spoken another way, e.g. a table read row by row, and
+   * give the first sentence of each other block its announcement. Restarting partway
+   * into a block doesn't announce it again.
+   */
+  _applyBlocks(text, sentences, blocks) {
+    if (blocks.length === 0) return sentences;
+
+    const result = [];
+    const spokenBlocks = new Set();
+    sentences.forEach(sentence => {
+      const block = blocks.find(candidate => sentence.start >= candidate.start && sentence.start < candidate.end);
+      if (!block) {
+        result.push(sentence);
+        return;
+      }
+      if (block.skip) return;
+
+      const announcement = block.announcement && sentence.start === block.start ? block.announcement : undefined;
+      if (block.speech) {
+        // Speech has no positions inside the block, so it is always said whole
+        if (spokenBlocks.has(block)) return;
+        spokenBlocks.add(block);
+        result.push({
+          text: text.substring(block.start, block.end),
+          start: block.start,
+          announcement,
+          speech: block.speech,
+        });
+        return;
+      }
+
+      if (announcement) sentence.announcement = announcement;
+      result.push(sentence);
+    });
+    return result;
+  }
+
+  /**
+   * Private: Mark the session being spoken as paused before something else
+   * takes over speech; resuming restarts it from its current position
+   */
+  _interruptCurrentSession() {
+    const session = this._getCurrentSession();
+    if (!session) return;
+
+    session.updateState({ isPlaying: false, isPaused: true });
+    this._broadcastSessionUpdate(session);
+  }
+
+  /**
+   * Private: Forget paused sessions, oldest first, until no more than limit remain.
+   * Readings interrupted by another tab would otherwise stay until their tab closes.
+   * Their position was saved when they paused, and resuming one that is gone makes
+   * its tab start it again from there.
+   */
+  _dropPausedSessions(limit) {
+    for (const session of this.activeSessions.values()) {
+      if (this.activeSessions.size <= limit) return;
+      if (session.sessionId === this.currentSessionId || !session.isPaused) continue;
+
+      this.activeSessions.delete(session.sessionId);
+      this.tabSwitchPaused.delete(session.sessionId);
+    }
+  }
+
+  /**
+   * Private: Get the session currently being spoken
+   */
+  _getCurrentSession() {
+    return this.activeSessions.get(this.currentSessionId) || null;
+  }
+
+  /**
+   * Private: Mark the session playing as each chunk starts
+   */
+  _handleChunkStart(chunk, total) {
+    const session = this._getCurrentSession();
+    if (!session) return;
+
+    session.updateState({ isPlaying: true, isPaused: false });
+    this._broadcastProgress(session, {
+      type: 'SPEECH_CHUNK_STARTED',
+      chunk: { index: chunk.index, start: chunk.start, end: chunk.end },
+      total,
+    });
+  }
+
+  /**
+   * Private: Track the spoken word and forward the boundary for highlighting
+   */
+  _handleBoundary(event, chunk) {
+    const session = this._getCurrentSession();
+    if (!session) return;
+
+    if (event.name === 'word') {
+      // Chunk offsets are into the full session text, so this is exact
+      session.updateState({ currentCharIndex: chunk.start + event.charIndex });
+    }
+
+    this._broadcastProgress(session, {
+      type: 'SPEECH_BOUNDARY',
+      name: event.name,
+      charIndex: event.charIndex,
+      charLength: event.charLength,
+      chunk: { index: chunk.index, start: chunk.start, end: chunk.end },
+    });
+  }
+
+  /**
+   * Private: Finish the session after its last chunk
+   */
+  _handleEnd() {
+    const session = this._getCurrentSession();
+    if (!session) return;
+
+    session.updateState({ isPlaying: false, isPaused: false, currentPosition: session.totalWords });
+    this.currentSessionId = null;
+    this.activeSessions.delete(session.sessionId);
+
+    this._broadcast(session, { type: 'SESSION_ENDED' });
   }
 
   /**
-   * Private: Calculate word index from character index
+   * Private: End the session on a synthesis error
    */
-  _calculateWordIndex(charIndex, session) {
-    // This is a simplified calculation
-    // In a real implementation, you'd track character-to-word mapping
-    const textUpToChar = session.getRemainingText().substring(0, charIndex);
-    const wordsBeforeChar = textUpToChar.split(/\s+/).length - 1;
-    return session.currentPosition + Math.max(0, wordsBeforeChar);
+  _handleError(event) {
+    const session = this._getCurrentSession();
+    if (!session) return;
+
+    console.error('Speech synthesis error:', event.error);
+    session.updateState({ isPlaying: false, isPaused: false });
+    this.currentSessionId = null;
+    this._broadcastError(new Error(`Speech synthesis error: ${event.error}`), session.sessionId);
+    this.activeSessions.delete(session.sessionId);
   }
 
   /**
@@ -396,15 +777,8 @@ class SpeechController {
   /**
    * Private: Broadcast session update to content script
    */
-  _broadcastSessionUpdate(session) {
-    try {
-      chrome.tabs.sendMessage(session.tabId, {
-        type: 'SESSION_UPDATED',
-        session: session.toJSON(),
-      });
-    } catch (error) {
-      console.warn('Failed to broadcast session update:', error);
-    }
+  _broadcastSessionUpdate(session, reason) {
+    this._broadcast(session, reason ? { type: 'SESSION_UPDATED', reason } : { type: 'SESSION_UPDATED' });
   }
 
   /**
@@ -413,15 +787,30 @@ class SpeechController {
   _broadcastError(error, sessionId) {
     const session = this.activeSessions.get(sessionId);
     if (session) {
-      try {
-        chrome.tabs.sendMessage(session.tabId, {
-          type: 'SESSION_ERROR',
-          error: error.message,
-          sessionId,
-        });
-      } catch (broadcastError) {
-        console.warn('Failed to broadcast error:', broadcastError);
+      this._broadcast(session, { type: 'SESSION_ERROR', error: error.message, sessionId });
+    }
+  }
+
+  /**
+   * Private: Send a progress message with only the session's position and state.
+   * These go out with every word, so they leave the text, blocks and so on behind.
+   */
+  _broadcastProgress(session, message) {
+    this._broadcast(session, message, session.toProgressJSON());
+  }
+
+  /**
+   * Private: Send a message about a session to the tab it belongs to
+   */
+  _broadcast(session, message, payload = session.toJSON()) {
+    try {
+      const result = this.sendToTab(session.tabId, { ...message, session: payload });
+      // The tab may have navigated away or closed
+      if (result && typeof result.catch === 'function') {
+        result.catch(() => {});
       }
+    } catch (error) {
+      console.warn('Failed to broadcast session message:', error);
     }
   }
 
@@ -430,9 +819,7 @@ class SpeechController {
    */
   _bindSpeechEvents() {
     // Handle browser speech synthesis events
-    const synth = typeof global !== 'undefined' && global.speechSynthesis
-      ? global.speechSynthesis
-      : (typeof window !== 'undefined' ? window.speechSynthesis : null);
+    const synth = this._getSynth();
 
     if (synth && synth.addEventListener) {
       synth.addEventListener('voiceschanged', () => {
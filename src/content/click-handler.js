@@ -3,27 +3,94 @@
 class ClickHandler {
   constructor() {
     this.isActive = false;
-    this.currentSpeech = null;
     this.highlightPaused = false;
+    this.spokenText = '';
+    this.spokenSentences = [];
+    this.currentSpokenSentenceIndex = 0;
+
+    // Content waiting to be read after the current reading, e.g. linked articles
+    this.pendingContents = [];
+    // Where the context menu was last opened, for "Read from here"
+    this.contextMenuPoint = null;
+
+    // Clicks only start reading with Alt held, from the gutter button or while picking,
+    // so links and buttons keep working while the reader is on
+    this.isPicking = false;
+    this.gutterButton = null;
+    this.gutterBlock = null;
+
+    // Say what headings, lists and so on are before reading them, and how to speak
+    // code, tables and math
+    this.announceBlocks = true;
+    this.blockSpeech = new BlockSpeech();
+
+    // The user's pronunciations for this site, and the word last spoken so its
+    // pronunciation can be fixed
+    this.pronunciations = [];
+    this.currentWord = '';
+
+    // Bound once so the same functions can be removed again
+    this.handleClick = this.handleClick.bind(this);
+    this.handleMouseOver = this.handleMouseOver.bind(this);
+    this.handlePickKeyDown = this.handlePickKeyDown.bind(this);
+
+    // Speech runs in the background SpeechController, which reports progress back
+    this.speechClient = new SpeechClient({
+      onChunkStart: (chunk, total) => this.handleChunkStart(chunk, total),
+      onBoundary: (event, chunk) => this.handleSpeechBoundary(event, chunk),
+      onEnd: () => this.handleReadingEnd(),
+      onError: (event) => {
+        console.error('Speech synthesis error:', event.error);
+        this.handleReadingEnd();
+      },
+      onResumeFailed: () => this.readFromSentence(this.getCurrentSentenceIndex()),
+      onStateChange: (state) => this.handlePlaybackStateChange(state)
+    });
+  }
+
+  applyPreferences(preferences) {
+    this.announceBlocks = preferences.announceBlocks;
+    this.blockSpeech = new BlockSpeech(preferences.blockStrategies);
+  }
+
+  // The user's pronunciations from PronunciationLexicon; readings use this site's
+  applyPronunciations(entries) {
+    this.pronunciations = PronunciationLexicon.forSite(entries, window.location.hostname);
+  }
+
+  // Pronunciations saved while reading: say the current sentence again with them
+  setPronunciations(entries) {
+    this.applyPronunciations(entries);
+    if (this.speechClient.isActive) {
+      this.readFromSentence(this.getCurrentSentenceIndex());
+    }
+  }
+
+  // Pause on the word being spoken and offer to change how it is said
+  fixPronunciation() {
+    if (this.speechClient.isActive && !this.speechClient.isPaused) {
+      this.togglePlayPause();
+    }
+    window.pronunciationFixer?.open(document.getElementById('sr-pronunciation-panel'), this.currentWord);
   }
 
   activate() {
     if (this.isActive) return;
 
     this.isActive = true;
-    document.addEventListener('click', this.handleClick.bind(this));
-    document.body.style.cursor = 'crosshair';
+    // Capture, so an Alt+click on a link reads it instead of downloading it
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('mouseover', this.handleMouseOver);
   }
 
   deactivate() {
     this.isActive = false;
-    document.removeEventListener('click', this.handleClick.bind(this));
-    document.body.style.cursor = 'default';
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('mouseover', this.handleMouseOver);
+    this.stopPicking();
+    this.hideGutterButton();
 
-    if (this.currentSpeech) {
-      this.currentSpeech.cancel();
-      this.currentSpeech = null;
-    }
+    this.speechClient.cancel();
   }
 
   async handleClick(event) {
@@ -31,32 +98,174 @@ class ClickHandler {
 
     // Ignore clicks on the overlay controls
     const element = event.target;
-    if (element.closest('#screen-reader-overlay')) {
+    if (element.closest('#screen-reader-overlay, #sr-gutter-play')) {
       return;
     }
 
+    // Other clicks belong to the page
+    if (!this.isPicking && !event.altKey) return;
+
     event.preventDefault();
     event.stopPropagation();
+    this.stopPicking();
+
+    await this.readFromEvent(event);
+  }
+
+  // One-shot mode: the next click picks where to start reading
+  startPicking() {
+    if (!this.isActive) return;
+
+    this.isPicking = true;
+    document.documentElement.classList.add('sr-picking');
+    document.addEventListener('keydown', this.handlePickKeyDown, true);
+    window.uiOverlay?.show();
+    window.uiOverlay?.showStatus('Click where you want to start reading (Esc to cancel)');
+  }
+
+  stopPicking() {
+    if (!this.isPicking) return;
+
+    this.isPicking = false;
+    document.documentElement.classList.remove('sr-picking');
+    document.removeEventListener('keydown', this.handlePickKeyDown, true);
+    window.uiOverlay?.showStatus('');
+  }
 
+  handlePickKeyDown(event) {
+    if (event.key !== 'Escape') return;
+
+    // Only cancel picking, not the reading shortcut Escape may also be
+    event.preventDefault();
+    event.stopPropagation();
+    this.stopPicking();
+  }
+
+  // Show a "play from here" button beside the paragraph under the mouse
+  handleMouseOver(event) {
+    if (!this.isActive || !(event.target instanceof Element)) return;
+    if (event.target.closest('#screen-reader-overlay, #sr-gutter-play')) return;
+
+    const block = event.target.closest(ClickHandler.GUTTER_BLOCKS);
+    if (!block || block === this.gutterBlock) return;
+    if (block.textContent.trim().length < ClickHandler.GUTTER_MIN_TEXT) return;
+
+    this.showGutterButton(block);
+  }
+
+  showGutterButton(block) {
+    // Pages that rebuild their body also remove the button
+    if (!this.gutterButton || !this.gutterButton.isConnected) {
+      this.gutterButton = document.createElement('button');
+      this.gutterButton.id = 'sr-gutter-play';
+      this.gutterButton.type = 'button';
+      this.gutterButton.title = 'Read from here';
+      this.gutterButton.setAttribute('aria-label', 'Read from here');
+      this.gutterButton.textContent = '▶';
+      this.gutterButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.gutterBlock) this.readFromElement(this.gutterBlock);
+      });
+      document.body.appendChild(this.gutterButton);
+    }
+
+    // Positioned in page coordinates so it scrolls with the paragraph
+    const rect = block.getBoundingClientRect();
+    this.gutterButton.style.top = `${rect.top + window.scrollY}px`;
+    this.gutterButton.style.left = `${Math.max(0, rect.left + window.scrollX - ClickHandler.GUTTER_WIDTH)}px`;
+    this.gutterButton.hidden = false;
+    this.gutterBlock = block;
+  }
+
+  hideGutterButton() {
+    if (this.gutterButton) {
+      this.gutterButton.hidden = true;
+    }
+    this.gutterBlock = null;
+  }
+
+  // Save the text under the pointer when the context menu opens. The menu item is
+  // chosen later, maybe after scrolling, so coordinates would point elsewhere by then.
+  rememberContextMenu(event) {
+    this.contextMenuPoint = { target: event.target, caretRange: this.getCaretRange(event) };
+  }
+
+  // Start reading from the sentence under a mouse event's position
+  async readFromEvent(event) {
     try {
-      // Pass the click event to extract text based on coordinates
+      // Pass the event to extract text based on coordinates
       const text = await this.extractTextFromClick(event);
+      this.beginReading(text, event.target);
+    } catch (error) {
+      console.error('Error handling click:', error);
+    }
+  }
 
-      if (text && text.trim()) {
-        this.startReading(text);
-        window.uiOverlay?.show();
+  // Start reading from the beginning of a block, e.g. from its gutter button
+  async readFromElement(element) {
+    this.currentReadingInfo = null;
 
-        // Notify highlighter that reading started
-        window.dispatchEvent(new CustomEvent('sr-reading-started', {
-          detail: { element: element, text: text }
-        }));
+    try {
+      if (!window.textExtractor) {
+        window.textExtractor = new TextExtractor();
+      }
+
+      let articleContent = null;
+      try {
+        articleContent = await window.textExtractor.extractArticleText();
+      } catch (error) {
+        console.warn('Could not extract article, reading the paragraph only:', error.message);
       }
+
+      const offset = this.getElementArticleOffset(element, articleContent);
+      let text;
+      if (offset !== -1) {
+        const sentences = this.splitIntoSentences(articleContent.extractedText, articleContent.blocks);
+        const sentenceIndex = sentences.findIndex(sentence => offset < sentence.end);
+        text = this.setupArticleReading(articleContent, sentences, Math.max(0, sentenceIndex), element);
+      } else {
+        // Outside the article, e.g. a paragraph in a sidebar
+        text = this.extractTextFromElement(element);
+      }
+
+      this.beginReading(text, element);
     } catch (error) {
-      console.error('Error handling click:', error);
+      console.error('Error reading from element:', error);
     }
   }
 
+  beginReading(text, element) {
+    if (!text || !text.trim()) return;
+
+    this.startReading(text);
+    window.uiOverlay?.show();
+
+    // Notify highlighter that reading started
+    window.dispatchEvent(new CustomEvent('sr-reading-started', {
+      detail: { element, text }
+    }));
+  }
+
+  // Where an element's first word is in the extracted article, or -1
+  getElementArticleOffset(element, articleContent) {
+    if (!articleContent || !articleContent.offsetMap) return -1;
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      const start = node.textContent.search(/\S/);
+      if (start === -1) continue;
+
+      const offset = articleContent.findCharPositionByDom(node, start);
+      if (offset !== -1) return offset;
+    }
+    return -1;
+  }
+
   async extractTextFromClick(event) {
+    this.currentReadingInfo = null;
+
     try {
       // Extract the full article text first
       if (!window.textExtractor) {
@@ -80,13 +289,24 @@ class ClickHandler {
 
       // Find the clicked text within the article
       const clickedElement = event.target;
+
+      // Exact path: map the caret position straight into the extracted text
+      const clickOffset = this.getClickedArticleOffset(event, articleContent);
+      if (clickOffset !== -1) {
+        const sentences = this.splitIntoSentences(fullArticleText, articleContent.blocks);
+        const sentenceIndex = sentences.findIndex(sentence => clickOffset < sentence.end);
+        if (sentenceIndex !== -1) {
+          return this.setupArticleReading(articleContent, sentences, sentenceIndex, clickedElement);
+        }
+      }
+
       const clickedText = this.getClickedSentenceText(event);
 
       console.log('DEBUG: Clicked sentence text:', clickedText);
 
       if (!clickedText) {
         // Fallback: return full article
-        return this.setupFullArticleReading(fullArticleText);
+        return this.setupFullArticleReading(fullArticleText, articleContent);
       }
 
       if (!fullArticleText) {
@@ -95,7 +315,7 @@ class ClickHandler {
       }
 
       // Split full article into sentences first
-      const allSentences = this.splitIntoSentences(fullArticleText);
+      const allSentences = this.splitIntoSentences(fullArticleText, articleContent?.blocks);
 
       // Find which sentence matches our clicked text exactly
       let startSentenceIndex = 0;
@@ -121,18 +341,7 @@ class ClickHandler {
         console.log(`DEBUG: Will start reading from: "${allSentences[startSentenceIndex].text}"`);
       }
 
-      // Return all text from this sentence to the end
-      const remainingText = allSentences.slice(startSentenceIndex).map(s => s.text).join(' ');
-
-      // Store reading info for progressive highlighting
-      this.currentReadingInfo = {
-        startSentenceIndex: startSentenceIndex,
-        sentences: allSentences,
-        fullArticleText: fullArticleText,
-        clickedElement: clickedElement
-      };
-
-      return remainingText;
+      return this.setupArticleReading(articleContent, allSentences, startSentenceIndex, clickedElement);
 
     } catch (error) {
       console.error('Error extracting article text:', error);
@@ -141,19 +350,69 @@ class ClickHandler {
     }
   }
 
-  getClickedSentenceText(event) {
-    // Get the text of the sentence that was clicked using coordinates
-    let range;
+  setupArticleReading(articleContent, sentences, startSentenceIndex, clickedElement) {
+    // Store reading info for progressive highlighting
+    this.currentReadingInfo = {
+      startSentenceIndex,
+      sentences,
+      fullArticleText: articleContent.extractedText,
+      offsetMap: articleContent.offsetMap,
+      language: articleContent.language,
+      languageSegments: articleContent.languageSegments,
+      blocks: articleContent.blocks || [],
+      clickedElement
+    };
+
+    // Return all text from this sentence to the end
+    return this.getArticleTextFrom(sentences[startSentenceIndex].start);
+  }
+
+  // Article text from a character offset to the end, without leading whitespace
+  getArticleTextFrom(charIndex) {
+    return this.currentReadingInfo.fullArticleText.substring(charIndex).replace(/^\s+/, '');
+  }
+
+  // Continue an article from a saved character offset, e.g. on a later visit
+  resumeArticle(articleContent, charIndex) {
+    const sentences = this.splitIntoSentences(articleContent.extractedText, articleContent.blocks);
+    const sentenceIndex = sentences.findIndex(sentence => charIndex < sentence.end);
+    if (sentenceIndex === -1) return;
+
+    this.setupArticleReading(articleContent, sentences, sentenceIndex, document.body);
+    this.startReading(this.getArticleTextFrom(charIndex));
+    window.uiOverlay?.show();
+  }
+
+  getClickedArticleOffset(event, articleContent) {
+    if (!articleContent || !articleContent.offsetMap) return -1;
+
+    const range = this.getCaretRange(event);
+    if (!range) return -1;
+
+    return articleContent.findCharPositionByDom(range.startContainer, range.startOffset);
+  }
+
+  getCaretRange(event) {
+    // A point saved earlier, e.g. by rememberContextMenu, already has its range
+    if (event.caretRange) return event.caretRange;
+
     if (document.caretRangeFromPoint) {
-      range = document.caretRangeFromPoint(event.clientX, event.clientY);
-    } else if (document.caretPositionFromPoint) {
+      return document.caretRangeFromPoint(event.clientX, event.clientY);
+    }
+    if (document.caretPositionFromPoint) {
       const caretPos = document.caretPositionFromPoint(event.clientX, event.clientY);
       if (caretPos) {
-        range = document.createRange();
+        const range = document.createRange();
         range.setStart(caretPos.offsetNode, caretPos.offset);
+        return range;
       }
     }
+    return null;
+  }
 
+  getClickedSentenceText(event) {
+    // Get the text of the sentence that was clicked using coordinates
+    const range = this.getCaretRange(event);
     if (!range) return null;
 
     // Find the paragraph containing this click
@@ -183,16 +442,20 @@ class ClickHandler {
     return null;
   }
 
-  setupFullArticleReading(fullArticleText) {
+  setupFullArticleReading(fullArticleText, articleContent = null) {
     if (!fullArticleText) {
       console.error('DEBUG: setupFullArticleReading called with null text');
       return '';
     }
-    const allSentences = this.splitIntoSentences(fullArticleText);
+    const allSentences = this.splitIntoSentences(fullArticleText, articleContent?.blocks);
     this.currentReadingInfo = {
       startSentenceIndex: 0,
       sentences: allSentences,
       fullArticleText: fullArticleText,
+      offsetMap: articleContent?.offsetMap || null,
+      language: articleContent?.language,
+      languageSegments: articleContent?.languageSegments,
+      blocks: articleContent?.blocks || [],
       clickedElement: document.body
     };
     return fullArticleText;
@@ -218,7 +481,9 @@ class ClickHandler {
     return textOffset;
   }
 
-  splitIntoSentences(text) {
+  // Sentences of text with their [start, end) offsets. Sentences are also split where
+  // a block (see TextContent) starts, so a heading is a sentence of its own.
+  splitIntoSentences(text, blocks = []) {
     if (!text || typeof text !== 'string') {
       console.error('splitIntoSentences called with invalid text:', text);
       return [];
@@ -253,7 +518,17 @@ class ClickHandler {
       }
     }
 
-    return sentences;
+    const starts = (blocks || []).map(block => block.start);
+    if (starts.length === 0) return sentences;
+
+    return sentences.flatMap(sentence => {
+      const cuts = [sentence.start, ...starts.filter(start => start > sentence.start && start < sentence.end), sentence.end];
+      return cuts.slice(1).map((end, i) => ({
+        text: text.substring(cuts[i], end).trim(),
+        start: cuts[i],
+        end
+      })).filter(piece => piece.text.length > 0);
+    });
   }
 
   extractTextFromElement(element) {
@@ -326,71 +601,311 @@ class ClickHandler {
   }
 
   startReading(text) {
-    this.stopReading();
-
-    if ('speechSynthesis' in window) {
-      this.currentSpeech = new SpeechSynthesisUtterance(text);
-      this.currentSpeech.rate = window.uiOverlay?.currentSpeed || 1.0;
-      this.highlightPaused = false; // Reset pause state for new reading
+    // Queued content stays queued when a new reading replaces the current one
+    this.cancelSpeech();
 
-      // Set up progressive highlighting
-      this.setupProgressiveHighlighting();
+    this.highlightPaused = false; // Reset pause state for new reading
 
-      this.currentSpeech.onend = () => {
-        this.currentSpeech = null;
-        // Notify highlighter that reading ended naturally
-        window.dispatchEvent(new CustomEvent('sr-reading-stopped'));
+    // Text that didn't come from the article still gets sentence info so it can be skipped through
+    if (!this.currentReadingInfo) {
+      this.currentReadingInfo = {
+        startSentenceIndex: 0,
+        sentences: this.splitIntoSentences(text),
+        fullArticleText: text,
+        offsetMap: null,
+        language: LanguageDetector.detect(text, document),
+        clickedElement: document.body
       };
+    }
 
-      speechSynthesis.speak(this.currentSpeech);
+    // Set up progressive highlighting
+    this.setupProgressiveHighlighting(text);
+
+    // Readings run to the end of the article, so send all of it with where to start;
+    // the saved session then matches the article on a later visit
+    const article = this.currentReadingInfo.fullArticleText;
+    const isArticleSuffix = article.endsWith(text);
+    this.speechClient.start(isArticleSuffix ? article : text, {
+      // Paragraphs in another language are read with a voice for that language
+      ...window.voicePicker?.getVoiceOptions({
+        language: this.currentReadingInfo.language,
+        languageSegments: isArticleSuffix ? this.currentReadingInfo.languageSegments : []
+      }),
+      blocks: isArticleSuffix ? this.getSpeechBlocks() : [],
+      pronunciations: this.pronunciations,
+      rate: window.uiOverlay?.currentSpeed || 1.0,
+      volume: window.uiOverlay?.volume,
+      startCharIndex: isArticleSuffix ? article.length - text.length : 0
+    });
+  }
+
+  // Read content after the current reading finishes, or now if nothing is playing
+  queueContent(content) {
+    if (this.speechClient.isActive) {
+      this.pendingContents.push(content);
+      return this.pendingContents.length;
     }
+
+    this.readContent(content);
+    window.uiOverlay?.show();
+    return 0;
   }
 
-  setupProgressiveHighlighting() {
-    // Highlighting disabled for now - too buggy
-    // The core speech functionality works perfectly
-    console.log('DEBUG: Highlighting disabled - focusing on reliable speech functionality');
+  // Read extracted content such as a selection from its first sentence,
+  // keeping its offset map so highlighting stays within it
+  readContent(content) {
+    const sentences = this.splitIntoSentences(content.extractedText, content.blocks);
+    this.startReading(this.setupArticleReading(content, sentences, 0, document.body));
+  }
+
+  setupProgressiveHighlighting(text) {
+    // Sentence offsets are relative to the spoken text so boundary
+    // charIndex values can be resolved without re-searching the article
+    this.spokenText = text;
+    this.spokenSentences = this.mapSpokenSentences(text);
+    this.currentSpokenSentenceIndex = 0;
     this.highlightPaused = false;
   }
 
-  updateSentenceHighlight(sentenceText) {
-    // Disable sentence-level highlighting events for now
-    // The element-level highlighting is already working
-    console.log('DEBUG: Skipping sentence highlighting event (using element highlighting instead)');
+  readFromSentence(sentenceIndex) {
+    const info = this.currentReadingInfo;
+    if (!info || sentenceIndex < 0 || sentenceIndex >= info.sentences.length) return;
 
-    // Don't dispatch the sr-sentence-progress event that interferes with element highlighting
-    // window.dispatchEvent(new CustomEvent('sr-sentence-progress', {
-    //   detail: {
-    //     sentenceText: sentenceText.trim(),
-    //     fullArticleText: this.currentReadingInfo?.fullArticleText
-    //   }
-    // }));
+    info.startSentenceIndex = sentenceIndex;
+    this.startReading(this.getArticleTextFrom(info.sentences[sentenceIndex].start));
   }
 
-  stopReading() {
-    if (this.currentSpeech) {
-      speechSynthesis.cancel();
-      this.currentSpeech = null;
+  getCurrentSentenceIndex() {
+    const info = this.currentReadingInfo;
+    return info ? info.startSentenceIndex + this.currentSpokenSentenceIndex : -1;
+  }
+
+  // Blocks the controller announces, skips or speaks differently while reading the article
+  getSpeechBlocks() {
+    return (this.currentReadingInfo.blocks || [])
+      .map(block => {
+        const { skip = false, speech = '', announced = false } = this.blockSpeech.render(block);
+        return {
+          start: block.start,
+          end: block.end,
+          type: block.type,
+          announcement: this.announceBlocks && !announced ? TextContent.describeBlock(block) : '',
+          skip,
+          speech
+        };
+      })
+      .filter(block => block.announcement || block.skip || block.speech);
+  }
+
+  // Restart speech at the neighbouring sentence, paragraph or section boundary.
+  // direction is 1 (forward) or -1 (backward).
+  skip(direction, unit = 'sentence') {
+    if (!this.currentReadingInfo || !this.speechClient.isActive) return;
+
+    const current = this.getCurrentSentenceIndex();
+    let target = current + direction;
+    if (unit === 'paragraph') {
+      target = this.findParagraphBoundary(current, direction);
+    } else if (unit === 'section') {
+      target = this.findSectionBoundary(current, direction);
+    }
+
+    this.readFromSentence(target);
+  }
+
+  // Sentence a neighbouring section starts at. Sections start at headings; going back
+  // from inside a section returns to its heading. -1 if there is no next section.
+  findSectionBoundary(sentenceIndex, direction) {
+    const info = this.currentReadingInfo;
+    const headings = (info.blocks || [])
+      .filter(block => block.type === 'heading')
+      .map(block => info.sentences.findIndex(sentence => sentence.end > block.start))
+      .filter(index => index !== -1);
+
+    if (direction > 0) {
+      const next = headings.find(index => index > sentenceIndex);
+      return next === undefined ? -1 : next;
+    }
+
+    const previous = headings.filter(index => index < sentenceIndex).pop();
+    return previous === undefined ? 0 : previous;
+  }
+
+  findParagraphBoundary(sentenceIndex, direction) {
+    const paragraphs = this.getSentenceParagraphs();
+    const current = paragraphs[sentenceIndex];
+
+    // Without a DOM map there are no paragraphs to move between
+    if (!paragraphs.length) return sentenceIndex + direction;
+
+    if (direction > 0) {
+      return paragraphs.findIndex((paragraph, i) => i > sentenceIndex && paragraph !== current);
     }
 
+    // Backward: go to the start of this paragraph, or the previous one if already there
+    let start = sentenceIndex;
+    while (start > 0 && paragraphs[start - 1] === current) start--;
+    if (start < sentenceIndex) return start;
+
+    let previous = start - 1;
+    while (previous > 0 && paragraphs[previous - 1] === paragraphs[start - 1]) previous--;
+    return previous;
+  }
+
+  // Paragraph number for each article sentence, derived from the block element it starts in
+  getSentenceParagraphs() {
+    const info = this.currentReadingInfo;
+    if (!info.offsetMap) return [];
+    if (info.paragraphs) return info.paragraphs;
+
+    let paragraph = -1;
+    let lastBlock = null;
+    info.paragraphs = info.sentences.map(sentence => {
+      const offset = info.fullArticleText.indexOf(sentence.text, sentence.start);
+      const block = info.offsetMap.blockAt(offset);
+      if (block !== lastBlock) {
+        paragraph++;
+        lastBlock = block;
+      }
+      return paragraph;
+    });
+
+    return info.paragraphs;
+  }
+
+  mapSpokenSentences(text) {
+    const info = this.currentReadingInfo;
+    let articleCursor = -1;
+    if (info && info.offsetMap && info.sentences[info.startSentenceIndex]) {
+      articleCursor = info.sentences[info.startSentenceIndex].start;
+    }
+
+    // Split at the same block starts as the article's sentences, so indices line up
+    const offset = info && info.fullArticleText.endsWith(text) ? info.fullArticleText.length - text.length : -1;
+    const blocks = offset === -1 ? [] : (info.blocks || [])
+      .map(block => ({ start: block.start - offset, end: block.end - offset }))
+      .filter(block => block.start > 0);
+
+    // Spoken text is built from article sentences in order, so each one can be
+    // placed in the extracted article text by searching forward
+    return this.splitIntoSentences(text, blocks).map(sentence => {
+      let articleOffset = null;
+      if (articleCursor !== -1) {
+        const found = info.fullArticleText.indexOf(sentence.text, articleCursor);
+        if (found !== -1) {
+          articleOffset = found;
+          articleCursor = found + sentence.text.length;
+        }
+      }
+      return { ...sentence, articleOffset };
+    });
+  }
+
+  handleChunkStart(chunk, total) {
+    const sentenceIndex = this.spokenSentences.findIndex(sentence => chunk.start < sentence.end);
+    if (sentenceIndex !== -1) {
+      this.currentSpokenSentenceIndex = sentenceIndex;
+    }
+
+    window.dispatchEvent(new CustomEvent('sr-chunk-changed', {
+      detail: {
+        index: chunk.index,
+        total,
+        start: chunk.start,
+        end: chunk.end
+      }
+    }));
+  }
+
+  handleSpeechBoundary(event, chunk) {
+    if (event.name !== 'word' || this.highlightPaused) return;
+
+    // Boundary offsets are relative to the chunk being spoken
+    const text = this.spokenText;
+    const charIndex = chunk.start + event.charIndex;
+
+    const sentenceIndex = this.spokenSentences.findIndex(
+      sentence => charIndex >= sentence.start && charIndex < sentence.end
+    );
+    if (sentenceIndex === -1) return;
+
+    this.currentSpokenSentenceIndex = sentenceIndex;
+
+    const sentence = this.spokenSentences[sentenceIndex];
+    const sentenceStart = text.indexOf(sentence.text, sentence.start);
+    if (sentenceStart === -1) return;
+
+    // charLength is missing in some engines, so fall back to the next whitespace
+    const wordLength = event.charLength ||
+      (text.substring(charIndex).match(/^\S+/) || [''])[0].length;
+    this.currentWord = text.substring(charIndex, charIndex + wordLength).replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+    window.dispatchEvent(new CustomEvent('sr-word-progress', {
+      detail: {
+        sentenceText: sentence.text,
+        sentenceIndex,
+        wordStart: charIndex - sentenceStart,
+        wordEnd: charIndex - sentenceStart + wordLength,
+        offsetMap: sentence.articleOffset !== null ? this.currentReadingInfo.offsetMap : null,
+        articleOffset: sentence.articleOffset
+      }
+    }));
+  }
+
+  // Paused or resumed by the speech controller rather than from this page
+  handlePlaybackStateChange({ isPaused, reason }) {
+    this.highlightPaused = isPaused;
+    window.dispatchEvent(new CustomEvent('sr-playback-state', {
+      detail: { isPaused, reason }
+    }));
+  }
+
+  handleReadingEnd() {
+    // Notify highlighter that reading ended naturally
+    window.dispatchEvent(new CustomEvent('sr-reading-stopped'));
+
+    if (this.pendingContents.length > 0) {
+      this.readContent(this.pendingContents.shift());
+    }
+  }
+
+  stopReading() {
+    this.pendingContents = [];
+    this.cancelSpeech();
+  }
+
+  cancelSpeech() {
+    this.speechClient.cancel();
+
     // Notify highlighter that reading stopped
     window.dispatchEvent(new CustomEvent('sr-reading-stopped'));
   }
 
   togglePlayPause() {
-    if (speechSynthesis.paused) {
-      speechSynthesis.resume();
+    if (this.speechClient.isPaused) {
+      this.speechClient.resume();
       this.highlightPaused = false;
-    } else if (speechSynthesis.speaking) {
-      speechSynthesis.pause();
+    } else if (this.speechClient.isActive) {
+      this.speechClient.pause();
       this.highlightPaused = true;
     }
   }
 }
 
+// Blocks that get a "play from here" gutter button, and how much text they need
+ClickHandler.GUTTER_BLOCKS = 'p, li, blockquote, pre, dd, figcaption, h1, h2, h3, h4, h5, h6';
+ClickHandler.GUTTER_MIN_TEXT = 20;
+// Space the button takes to the left of the block, in pixels
+ClickHandler.GUTTER_WIDTH = 28;
+
 // Initialize click handler
 window.clickHandler = new ClickHandler();
 
+// Remember where the context menu was opened for "Read from here"
+document.addEventListener('contextmenu', (e) => {
+  window.clickHandler.rememberContextMenu(e);
+}, true);
+
 // Listen for UI events
 window.addEventListener('sr-toggle-play-pause', () => {
   window.clickHandler.togglePlayPause();
@@ -400,8 +915,19 @@ window.addEventListener('sr-stop', () => {
   window.clickHandler.stopReading();
 });
 
-window.addEventListener('sr-speed-change', () => {
-  // Just update the speed setting for next utterance
-  // Web Speech API doesn't support changing speed of active utterance
-  // This is standard behavior - speed changes apply to next reading session
+window.addEventListener('sr-pick-start', () => {
+  window.clickHandler.startPicking();
+});
+
+window.addEventListener('sr-fix-pronunciation', () => {
+  window.clickHandler.fixPronunciation();
+});
+
+window.addEventListener('sr-skip', (e) => {
+  window.clickHandler.skip(e.detail.direction, e.detail.unit);
+});
+
+window.addEventListener('sr-speed-change', (e) => {
+  // The controller restarts speech at the current word with the new speed
+  window.clickHandler.speechClient.setOptions({ rate: e.detail.speed });
 });
\ No newline at end of file
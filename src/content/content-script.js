@@ -3,6 +3,10 @@
 class ScreenReaderExtension {
   constructor() {
     this.isInitialized = false;
+    // Whether the reader is on for this site
+    this.isEnabled = false;
+    // UserPreferences from the options page, once loaded
+    this.preferences = null;
   }
 
   async init() {
@@ -25,6 +29,31 @@ class ScreenReaderExtension {
       // Setup message listeners
       this.setupExtensionActivation();
 
+      // Overlay "read selection" button
+      window.addEventListener('sr-read-selection', () => {
+        this.readSelection().catch(() => {
+          this.showNotification('Select some text to read first');
+        });
+      });
+
+      // Keyboard shortcuts from stored preferences
+      window.addEventListener('sr-shortcut-conflict', (e) => {
+        this.showNotification(`Shortcut ${e.detail.shortcut} is also used by this page`);
+      });
+      await window.keyboardController?.init();
+
+      // Voice choices for this page's language and site
+      await window.voicePicker?.init();
+
+      // Speed, volume and progress defaults and pronunciations from the options page
+      await this.loadPreferences();
+
+      // Offer to continue an article read on an earlier visit, or else start
+      // reading it if the options say so
+      if (window.clickHandler?.isActive) {
+        this.offerResume().then(offered => offered || this.autoStart());
+      }
+
       this.isInitialized = true;
       console.log('Screen Reader Extension initialized');
 
@@ -33,26 +62,85 @@ class ScreenReaderExtension {
     }
   }
 
-  async checkExtensionState() {
+  async loadPreferences() {
+    const apply = (data) => {
+      try {
+        this.preferences = data ? UserPreferences.fromJSON(data) : new UserPreferences();
+      } catch (error) {
+        console.warn('Invalid stored preferences, using defaults:', error);
+        this.preferences = new UserPreferences();
+      }
+      window.uiOverlay?.applyPreferences(this.preferences);
+      window.textHighlighter?.applyPreferences(this.preferences);
+      window.clickHandler?.applyPreferences(this.preferences);
+    };
+
     try {
-      const result = await chrome.storage.local.get(['extensionEnabled']);
-      const isEnabled = result.extensionEnabled !== false; // Default to enabled
+      const result = await chrome.storage.sync.get(['userPreferences']);
+      apply(result.userPreferences);
+    } catch (error) {
+      console.warn('Could not load preferences, using defaults:', error);
+    }
+
+    chrome.storage.onChanged?.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.userPreferences) {
+        apply(changes.userPreferences.newValue);
+      }
+    });
 
-      if (isEnabled) {
-        this.activate();
-      } else {
-        this.deactivate();
+    await this.loadPronunciations();
+    chrome.storage.onChanged?.addListener((changes, areaName) => {
+      if (areaName === 'sync' && PronunciationLexicon.isChange(changes)) {
+        this.loadPronunciations();
       }
+    });
+  }
+
+  async loadPronunciations() {
+    try {
+      window.clickHandler?.applyPronunciations(await new PronunciationLexicon().load());
     } catch (error) {
+      console.warn('Could not load pronunciations:', error);
+    }
+  }
+
+  async checkExtensionState() {
+    let isEnabled = false;
+    try {
+      isEnabled = await new SiteActivation().isEnabled(window.location.href);
+    } catch (error) {
+      // Stay off if we can't check state, like a new install
       console.error('Error checking extension state:', error);
-      // Default to enabled if we can't check state
+    }
+
+    if (isEnabled && !this.isEnabled) {
       this.activate();
+    } else if (!isEnabled && this.isEnabled) {
+      this.deactivate();
     }
+
+    // Keep the toolbar badge in step with this page
+    window.messaging.sendToBackground({ type: 'SITE_STATE', enabled: isEnabled }).catch(error => {
+      console.warn('Failed to report reader state:', error);
+    });
   }
 
   setupExtensionActivation() {
+    // The reader was turned on or off for this site, here or in another tab,
+    // or the options' always-on sites changed
+    chrome.storage.onChanged?.addListener((changes, areaName) => {
+      if ((areaName === 'local' && changes.siteActivation) ||
+          (areaName === 'sync' && changes.userPreferences)) {
+        this.checkExtensionState();
+      }
+    });
+
+
     // Listen for messages from popup to enable/disable
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // Session messages from the speech controller are handled by SpeechClient
+      if (!message.action) return false;
+
       switch (message.action) {
         case 'enable':
           this.activate();
@@ -64,6 +152,39 @@ class ScreenReaderExtension {
           sendResponse({ success: true });
           break;
 
+        case 'togglePlayPause':
+          window.clickHandler?.togglePlayPause();
+          sendResponse({ success: true });
+          break;
+
+        case 'stop':
+          window.clickHandler?.stopReading();
+          window.uiOverlay?.hide();
+          sendResponse({ success: true });
+          break;
+
+        case 'readSelection':
+          this.readSelection()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true; // Respond asynchronously
+
+        case 'pickStartPoint':
+          window.clickHandler?.startPicking();
+          sendResponse({ success: true });
+          break;
+
+        case 'readFromHere':
+          this.readFromHere();
+          sendResponse({ success: true });
+          break;
+
+        case 'readLinkedArticle':
+          this.readLinkedArticle(message.url, message.html)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true; // Respond asynchronously
+
         // Legacy support
         case 'ACTIVATE_READER':
           this.activate();
@@ -81,15 +202,118 @@ class ScreenReaderExtension {
     });
   }
 
+  async readSelection() {
+    if (!window.textExtractor) {
+      window.textExtractor = new TextExtractor();
+    }
+
+    const content = await window.textExtractor.extractSelectedText(window.getSelection());
+    window.clickHandler?.readContent(content);
+    window.uiOverlay?.show();
+  }
+
+  async offerResume() {
+    if (!window.textExtractor) {
+      window.textExtractor = new TextExtractor();
+    }
+
+    try {
+      const content = await window.textExtractor.extractArticleText();
+      const saved = await new SessionStore().load(content.pageUrl, SessionStore.fingerprint(content.extractedText));
+      if (!saved || !saved.currentCharIndex) return false;
+
+      window.uiOverlay?.offerResume(() => {
+        window.clickHandler?.resumeArticle(content, saved.currentCharIndex);
+      });
+      return true;
+    } catch (error) {
+      console.log('No saved reading position to offer:', error.message);
+      return false;
+    }
+  }
+
+  // Read an article from the top as soon as the page is opened, when autoStart
+  // is on for this site and the page is confidently an article
+  async autoStart() {
+    if (!this.preferences?.allowsAutoStart(window.location.hostname)) return false;
+
+    if (!window.textExtractor) {
+      window.textExtractor = new TextExtractor();
+    }
+
+    try {
+      const { isArticle, confidence } = window.textExtractor.classifyPage();
+      if (!isArticle) {
+        console.log(`Not starting automatically: page is probably not an article (${confidence})`);
+        return false;
+      }
+
+      // Pages opened in background tabs start when they're first shown
+      await this.whenVisible();
+      // By then the reader may be off, or already reading something else
+      if (!window.clickHandler?.isActive || window.clickHandler.speechClient.isActive) return false;
+
+      const content = await window.textExtractor.extractArticleText();
+      window.clickHandler?.readContent(content);
+      window.uiOverlay?.show();
+      this.showNotification('Reading this article automatically');
+      return true;
+    } catch (error) {
+      console.log('Could not start reading automatically:', error.message);
+      return false;
+    }
+  }
+
+  whenVisible() {
+    if (document.visibilityState !== 'hidden') return Promise.resolve();
+
+    return new Promise(resolve => {
+      const onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') return;
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        resolve();
+      };
+      document.addEventListener('visibilitychange', onVisibilityChange);
+    });
+  }
+
+  readFromHere() {
+    const point = window.clickHandler?.contextMenuPoint;
+    if (!point) {
+      this.showNotification('Right-click on the text you want to start from');
+      return;
+    }
+    window.clickHandler.readFromEvent(point);
+  }
+
+  async readLinkedArticle(url, html) {
+    if (!window.textExtractor) {
+      window.textExtractor = new TextExtractor();
+    }
+
+    try {
+      const content = await window.textExtractor.extractArticleFromHtml(html, url);
+      const position = window.clickHandler?.queueContent(content);
+      this.showNotification(position > 0
+        ? `Queued "${content.title}" (${position} waiting)`
+        : `Reading "${content.title}"`);
+    } catch (error) {
+      this.showNotification('Could not find article text on the linked page');
+      throw error;
+    }
+  }
+
   activate() {
-    console.log('Screen Reader activated - click anywhere to start reading');
+    this.isEnabled = true;
+    console.log('Screen Reader activated - Alt+click text to start reading');
     window.clickHandler?.activate();
 
     // Show a brief notification
-    this.showNotification('Screen Reader enabled - click anywhere to start reading');
+    this.showNotification('Screen Reader enabled for this site - Alt+click text, or use ▶ beside a paragraph, to start reading');
   }
 
   deactivate() {
+    this.isEnabled = false;
     console.log('Screen Reader deactivated');
     window.clickHandler?.deactivate();
     window.uiOverlay?.hide();
@@ -98,7 +322,7 @@ class ScreenReaderExtension {
     window.textHighlighter?.clearHighlight();
 
     // Show deactivation notification
-    this.showNotification('Screen Reader disabled');
+    this.showNotification('Screen Reader disabled for this site');
   }
 
   showNotification(message) {
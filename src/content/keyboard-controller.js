@@ -0,0 +1,216 @@
+/**
+ * KeyboardController - Dispatches the keyboard shortcuts from UserPreferences
+ * to the click handler and overlay
+ */
+
+class KeyboardController {
+  constructor() {
+    this.preferences = new UserPreferences();
+    this.bindings = [];
+    this.reportedConflicts = new Set();
+    this.speedStep = 0.1;
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Load stored preferences and start listening for keys
+   */
+  async init() {
+    await this.loadPreferences();
+
+    // Bubble phase on window so page handlers run first and conflicts can be seen
+    window.addEventListener('keydown', this.handleKeyDown);
+
+    chrome.storage.onChanged?.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.userPreferences) {
+        this.applyPreferences(changes.userPreferences.newValue);
+      }
+    });
+  }
+
+  async loadPreferences() {
+    try {
+      const result = await chrome.storage.sync.get(['userPreferences']);
+      this.applyPreferences(result.userPreferences);
+    } catch (error) {
+      console.warn('Could not load keyboard shortcuts, using defaults:', error);
+      this.applyPreferences(null);
+    }
+  }
+
+  applyPreferences(data) {
+    try {
+      this.preferences = data ? UserPreferences.fromJSON(data) : new UserPreferences();
+    } catch (error) {
+      console.warn('Invalid stored preferences, using defaults:', error);
+      this.preferences = new UserPreferences();
+    }
+
+    this.bindings = Object.entries(this.preferences.keyboardShortcuts).map(([action, shortcut]) => ({
+      action,
+      shortcut,
+      ...KeyboardController.parseShortcut(shortcut),
+    }));
+
+    this.reportedConflicts.clear();
+    this.findPageConflicts().forEach(conflict => this.reportConflict(conflict));
+  }
+
+  /**
+   * Parse a shortcut string such as "Space" or "Ctrl+Shift+K"
+   * @returns {{key: string, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean}}
+   */
+  static parseShortcut(shortcut) {
+    const parts = String(shortcut).split('+').map(part => part.trim()).filter(Boolean);
+    const modifiers = parts.slice(0, -1).map(part => part.toLowerCase());
+
+    return {
+      key: parts[parts.length - 1] || '',
+      ctrl: modifiers.includes('ctrl') || modifiers.includes('control'),
+      alt: modifiers.includes('alt') || modifiers.includes('option'),
+      shift: modifiers.includes('shift'),
+      meta: modifiers.includes('meta') || modifiers.includes('cmd') || modifiers.includes('command'),
+    };
+  }
+
+  /**
+   * Find the binding for a key event.
+   * Shift on a skip shortcut that doesn't itself use Shift moves by paragraph.
+   * @returns {{action: string, unit: string}|null}
+   */
+  matchEvent(event) {
+    const exact = this.bindings.find(binding => this._matches(binding, event, event.shiftKey));
+    if (exact) return { action: exact.action, unit: 'sentence' };
+
+    if (event.shiftKey) {
+      const skip = this.bindings.find(binding =>
+        (binding.action === 'skipForward' || binding.action === 'skipBackward') &&
+        this._matches(binding, event, false)
+      );
+      if (skip) return { action: skip.action, unit: 'paragraph' };
+    }
+
+    return null;
+  }
+
+  handleKeyDown(event) {
+    // Shortcuts only apply while there is something to control
+    if (!this.isReaderActive()) return;
+    if (this.isEditableTarget(event.target)) return;
+
+    const match = this.matchEvent(event);
+    if (!match) return;
+
+    // The page already handled this key itself: leave it alone and report it
+    if (event.defaultPrevented) {
+      this.reportConflict({
+        action: match.action,
+        shortcut: this.preferences.getShortcut(match.action),
+        source: 'page handler',
+      });
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.runAction(match.action, match.unit);
+  }
+
+  runAction(action, unit = 'sentence') {
+    const overlay = window.uiOverlay;
+
+    switch (action) {
+      case 'playPause':
+        window.clickHandler?.togglePlayPause();
+        break;
+      case 'stop':
+        if (overlay) {
+          overlay.close();
+        } else {
+          window.clickHandler?.stopReading();
+        }
+        break;
+      case 'speedUp':
+        overlay?.setSpeed(overlay.currentSpeed + this.speedStep);
+        break;
+      case 'speedDown':
+        overlay?.setSpeed(overlay.currentSpeed - this.speedStep);
+        break;
+      case 'skipForward':
+        window.clickHandler?.skip(1, unit);
+        break;
+      case 'skipBackward':
+        window.clickHandler?.skip(-1, unit);
+        break;
+      case 'nextSection':
+        window.clickHandler?.skip(1, 'section');
+        break;
+      case 'previousSection':
+        window.clickHandler?.skip(-1, 'section');
+        break;
+    }
+  }
+
+  isReaderActive() {
+    return Boolean(window.clickHandler?.speechClient.isActive || window.uiOverlay?.isVisible);
+  }
+
+  isEditableTarget(target) {
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+    if (target.isContentEditable) return true;
+    return Boolean(target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+  }
+
+  /**
+   * Find page accesskeys that collide with configured shortcuts
+   * @returns {Array<{action: string, shortcut: string, source: string}>}
+   */
+  findPageConflicts() {
+    const conflicts = [];
+    if (typeof document === 'undefined' || !document.body) return conflicts;
+
+    document.querySelectorAll('[accesskey]').forEach(element => {
+      const accessKey = element.getAttribute('accesskey').toLowerCase();
+      this.bindings.forEach(binding => {
+        // Browsers trigger accesskeys with Alt (plus Shift or Ctrl on some platforms)
+        if (binding.alt && binding.key.toLowerCase() === accessKey) {
+          conflicts.push({ action: binding.action, shortcut: binding.shortcut, source: 'accesskey' });
+        }
+      });
+    });
+
+    return conflicts;
+  }
+
+  reportConflict(conflict) {
+    const key = `${conflict.action}:${conflict.source}`;
+    if (this.reportedConflicts.has(key)) return;
+    this.reportedConflicts.add(key);
+
+    console.warn(`Shortcut ${conflict.shortcut} for ${conflict.action} conflicts with a page ${conflict.source}`);
+    window.dispatchEvent(new CustomEvent('sr-shortcut-conflict', { detail: conflict }));
+  }
+
+  /**
+   * Private: Check a binding against an event with the given Shift state
+   */
+  _matches(binding, event, shift) {
+    if (binding.ctrl !== event.ctrlKey || binding.alt !== event.altKey) return false;
+    if (binding.meta !== event.metaKey || binding.shift !== shift) return false;
+
+    // With Alt, letters can arrive as other characters (Option+N on macOS), so also
+    // compare the physical key
+    const key = binding.key.toLowerCase();
+    const code = (event.code || '').toLowerCase();
+    return key === code || `key${key}` === code ||
+      key === (event.key || '').toLowerCase() ||
+      (key === 'space' && event.key === ' ');
+  }
+}
+
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyboardController;
+} else if (typeof window !== 'undefined') {
+  window.keyboardController = new KeyboardController();
+}
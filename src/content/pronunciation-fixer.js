@@ -0,0 +1,120 @@
+/**
+ * PronunciationFixer - Lets the user change how the word being read is said, from the
+ * overlay, and saves it to the PronunciationLexicon for this site or every site
+ */
+
+class PronunciationFixer {
+  constructor() {
+    this.lexicon = new PronunciationLexicon();
+    this.entries = [];
+    this.panel = null;
+  }
+
+  async loadEntries() {
+    try {
+      this.entries = await this.lexicon.load();
+    } catch (error) {
+      console.warn('Could not load pronunciations:', error);
+      this.entries = [];
+    }
+  }
+
+  /**
+   * Show the form for a word, filled in with what is said for it now
+   * @param {Element} panel - Overlay panel to show the form in
+   * @param {string} [word] - Word that was highlighted; the user can type one otherwise
+   */
+  async open(panel, word = '') {
+    if (!panel) return;
+    this.panel = panel;
+
+    await this.loadEntries();
+    this.render(word);
+    panel.hidden = false;
+    panel.querySelector(word ? '#sr-pronunciation-replacement' : '#sr-pronunciation-match')?.focus();
+  }
+
+  close() {
+    if (this.panel) {
+      this.panel.hidden = true;
+    }
+  }
+
+  render(word) {
+    const hostname = window.location.hostname;
+
+    const match = document.createElement('input');
+    match.id = 'sr-pronunciation-match';
+    match.type = 'text';
+    match.title = 'Word';
+    match.placeholder = 'Word';
+    match.value = word;
+
+    const replacement = document.createElement('input');
+    replacement.id = 'sr-pronunciation-replacement';
+    replacement.type = 'text';
+    replacement.title = 'Say it as';
+    replacement.placeholder = 'Say it as, e.g. "sequel"';
+
+    const siteOnly = document.createElement('input');
+    siteOnly.id = 'sr-pronunciation-site';
+    siteOnly.type = 'checkbox';
+    const siteLabel = document.createElement('label');
+    siteLabel.append(siteOnly, ` Only on ${UserPreferences.siteKey(hostname)}`);
+    siteLabel.hidden = !hostname;
+
+    const save = document.createElement('button');
+    save.id = 'sr-pronunciation-save';
+    save.textContent = 'Save';
+
+    const cancel = document.createElement('button');
+    cancel.id = 'sr-pronunciation-cancel';
+    cancel.textContent = 'Cancel';
+
+    this.panel.replaceChildren(match, replacement, siteLabel, save, cancel);
+
+    // Show what is said for the word now, preferring this site's entry
+    const showCurrent = () => {
+      const text = match.value.trim().toLowerCase();
+      const current = PronunciationLexicon.forSite(this.entries, hostname)
+        .find(entry => !entry.regex && entry.match.toLowerCase() === text);
+      replacement.value = current ? current.replacement : '';
+      siteOnly.checked = Boolean(current && current.site);
+    };
+    showCurrent();
+
+    match.addEventListener('change', showCurrent);
+    cancel.addEventListener('click', () => this.close());
+    save.addEventListener('click', async () => {
+      try {
+        await this.save(match.value, replacement.value, { siteOnly: siteOnly.checked });
+        this.close();
+      } catch (error) {
+        window.uiOverlay?.showStatus(error.message);
+      }
+    });
+  }
+
+  /**
+   * Save how to say a word and read the current sentence again with it
+   * @param {string} word - Word as it is written
+   * @param {string} replacement - What to say instead
+   * @param {Object} [options]
+   * @param {boolean} [options.siteOnly] - Use it on this site only
+   */
+  async save(word, replacement, { siteOnly = false } = {}) {
+    this.entries = await this.lexicon.add({
+      match: word,
+      replacement,
+      site: siteOnly ? UserPreferences.siteKey(window.location.hostname) : '',
+    });
+    window.clickHandler?.setPronunciations(this.entries);
+  }
+}
+
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PronunciationFixer;
+} else if (typeof window !== 'undefined') {
+  window.pronunciationFixer = new PronunciationFixer();
+}
@@ -0,0 +1,217 @@
+/**
+ * SpeechClient - Plays text through the background SpeechController.
+ * Commands go out as START_READING/PAUSE/RESUME/SET_SPEED/STOP_READING messages and
+ * progress comes back as session messages, so callers see the same callbacks as a
+ * local SpeechQueue.
+ */
+
+class SpeechClient {
+  constructor({ onChunkStart, onBoundary, onEnd, onError, onResumeFailed, onStateChange } = {}) {
+    this.onChunkStart = onChunkStart || (() => {});
+    this.onBoundary = onBoundary || (() => {});
+    this.onEnd = onEnd || (() => {});
+    this.onError = onError || (() => {});
+    this.onResumeFailed = onResumeFailed || (() => {});
+    this.onStateChange = onStateChange || (() => {});
+
+    // Latest session state from the controller, null until START_READING is answered
+    this.session = null;
+    // Identifies this reading in session messages, including ones that arrive before the session
+    this.contentId = null;
+    // Where reading started in the session text; offsets passed to callbacks are relative to it
+    this.textOffset = 0;
+    this.currentChunk = null;
+    this.options = {};
+    this.isActive = false;
+    this.isPaused = false;
+    this.startCount = 0;
+
+    this.handleMessage = this.handleMessage.bind(this);
+    chrome.runtime.onMessage.addListener(this.handleMessage);
+
+    // Speech outlives the page, so stop it when the page goes away
+    window.addEventListener('pagehide', () => this.cancel());
+  }
+
+  /**
+   * Start reading text
+   * @param {string} text - Whole text, e.g. the article, so the session can be saved and resumed
+   * @param {Object} options - rate, volume, language, voiceURI, languageSegments (spans of text
+   *   in other languages, each with its own voiceURI), blocks (spans to announce, skip or say
+   *   differently, see AudioSession), pronunciations (the user's, from UserPreferences)
+   *   and startCharIndex (where in text to start)
+   */
+  start(text, options = {}) {
+    this.cancel();
+
+    const contentId = `reading_${Date.now()}_${++this.startCount}`;
+    this.contentId = contentId;
+    this.textOffset = options.startCharIndex || 0;
+    this.options = { ...options };
+    this.isActive = true;
+
+    window.messaging.sendToBackground({
+      type: 'START_READING',
+      contentId,
+      text,
+      startCharIndex: this.textOffset,
+      fingerprint: SessionStore.fingerprint(text),
+      pageUrl: window.location.href,
+      speed: options.rate,
+      volume: options.volume,
+      language: options.language,
+      voiceURI: options.voiceURI,
+      languageSegments: options.languageSegments,
+      blocks: options.blocks,
+      pronunciations: options.pronunciations
+    })
+      .then(response => {
+        if (!response || !response.success) {
+          throw new Error(response ? response.error : 'No response from speech controller');
+        }
+
+        if (contentId !== this.contentId) {
+          // Cancelled or restarted while the controller was starting
+          this._send('STOP_READING', response.session.sessionId);
+          return;
+        }
+
+        this.session = response.session;
+
+        // Apply changes made while waiting for the session
+        if (this.isPaused) {
+          this._send('PAUSE');
+        }
+        if (this.options.rate !== undefined && this.options.rate !== this.session.speed) {
+          this._send('SET_SPEED', this.session.sessionId, { speed: this.options.rate });
+        }
+      })
+      .catch(error => {
+        if (contentId !== this.contentId) return;
+        this._reset();
+        this.onError({ error: error.message });
+      });
+  }
+
+  pause() {
+    if (!this.isActive || this.isPaused) return;
+    this.isPaused = true;
+    if (this.session) this._send('PAUSE');
+  }
+
+  resume() {
+    if (!this.isActive || !this.isPaused) return;
+    this.isPaused = false;
+    if (!this.session) return;
+
+    this._send('RESUME').then(response => {
+      // The controller may have lost the session, e.g. if its document was closed
+      if (!response || !response.success) this.onResumeFailed();
+    });
+  }
+
+  cancel() {
+    if (this.session) this._send('STOP_READING');
+    this._reset();
+  }
+
+  /**
+   * Update speech settings. A new rate is heard from the current word; volume
+   * applies from the next chunk.
+   */
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+    if (!this.session) return;
+
+    if (options.rate !== undefined) this._send('SET_SPEED', this.session.sessionId, { speed: options.rate });
+    if (options.volume !== undefined) this._send('SET_VOLUME', this.session.sessionId, { volume: options.volume });
+  }
+
+  /**
+   * Get the chunk currently being spoken
+   */
+  getCurrentChunk() {
+    return this.currentChunk;
+  }
+
+  /**
+   * Handle session messages broadcast by the controller
+   */
+  handleMessage(message) {
+    if (!message.session || !this.contentId || message.session.contentId !== this.contentId) {
+      return false;
+    }
+
+    // Progress messages carry only the position and state, so keep the rest
+    this.session = { ...this.session, ...message.session };
+
+    switch (message.type) {
+      case 'SPEECH_CHUNK_STARTED':
+        this.currentChunk = this._relativeChunk(message.chunk);
+        this.onChunkStart(this.currentChunk, message.total);
+        break;
+
+      case 'SPEECH_BOUNDARY':
+        this.onBoundary({
+          name: message.name,
+          charIndex: message.charIndex,
+          charLength: message.charLength
+        }, this._relativeChunk(message.chunk));
+        break;
+
+      case 'SESSION_UPDATED':
+        // e.g. paused because another tab started reading, or reason 'tab-switch'
+        this.isPaused = message.session.isPaused;
+        this.onStateChange({ isPaused: this.isPaused, reason: message.reason || null });
+        break;
+
+      case 'SESSION_ENDED':
+        this._reset();
+        this.onEnd();
+        break;
+
+      case 'SESSION_ERROR':
+        this._reset();
+        this.onError({ error: message.error });
+        break;
+    }
+
+    return false;
+  }
+
+  /**
+   * Private: Send a command for a session
+   */
+  _send(type, sessionId = this.session.sessionId, extra = {}) {
+    return window.messaging.sendToBackground({ type, sessionId, ...extra }).catch(error => {
+      console.warn(`Failed to send ${type}:`, error);
+      return null;
+    });
+  }
+
+  /**
+   * Private: Make a chunk's offsets relative to where reading started
+   */
+  _relativeChunk(chunk) {
+    return { ...chunk, start: chunk.start - this.textOffset, end: chunk.end - this.textOffset };
+  }
+
+  /**
+   * Private: Forget the current reading
+   */
+  _reset() {
+    this.session = null;
+    this.contentId = null;
+    this.textOffset = 0;
+    this.currentChunk = null;
+    this.isActive = false;
+    this.isPaused = false;
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpeechClient;
+} else if (typeof window !== 'undefined') {
+  window.SpeechClient = SpeechClient;
+}
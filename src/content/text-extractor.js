@@ -19,52 +19,15 @@ class TextExtractor {
    * @returns {Promise<TextContent>} Processed text content
    */
   async extractArticleText() {
+    const pageUrl = window.location.href;
+
     try {
       // Check if page is ready
       if (!this._isPageReady()) {
         throw new ExtractionError('Page not ready for text extraction', 'PAGE_NOT_READY');
       }
 
-      const pageUrl = window.location.href;
-      let extractedText = '';
-      let title = '';
-      let articleBounds = null;
-      let extractionMethod = 'readability';
-
-      // Try Readability algorithm first
-      try {
-        const readabilityResult = this._extractWithReadability();
-        if (readabilityResult) {
-          extractedText = readabilityResult.textContent;
-          title = readabilityResult.title;
-          articleBounds = readabilityResult.bounds;
-        }
-      } catch (error) {
-        console.warn('Readability extraction failed:', error);
-      }
-
-      // Fallback to simple text extraction
-      if (!extractedText || extractedText.length < 100) {
-        const fallbackResult = this._extractWithFallback();
-        extractedText = fallbackResult.textContent;
-        title = fallbackResult.title;
-        articleBounds = fallbackResult.bounds;
-        extractionMethod = 'fallback';
-      }
-
-      // Final validation
-      if (!extractedText || extractedText.trim().length === 0) {
-        throw new ExtractionError('No readable text content found on page', 'NO_CONTENT');
-      }
-
-      // Create TextContent object
-      return new TextContent({
-        pageUrl,
-        title,
-        extractedText: extractedText.trim(),
-        extractionMethod,
-        articleBounds,
-      });
+      return this._extractFromDocument(document, pageUrl);
 
     } catch (error) {
       if (error instanceof ExtractionError) {
@@ -81,6 +44,140 @@ class TextExtractor {
     }
   }
 
+  /**
+   * Extract article text from another page's HTML without navigating to it
+   * @param {string} html - Markup of the page
+   * @param {string} pageUrl - URL the markup was fetched from
+   * @returns {Promise<TextContent>} Processed text content (not mapped to the current page)
+   */
+  async extractArticleFromHtml(html, pageUrl) {
+    try {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      return this._extractFromDocument(doc, pageUrl);
+    } catch (error) {
+      if (error instanceof ExtractionError) {
+        throw error;
+      }
+      throw new ProcessingError('Failed to extract text from linked page', error);
+    }
+  }
+
+  /**
+   * Estimate whether a page is a single article rather than e.g. a home page,
+   * search results or an app, from its metadata and its main content
+   * @param {Document} [doc] - Page to classify
+   * @returns {{isArticle: boolean, confidence: number}} Confidence from 0 to 1
+   */
+  classifyPage(doc = document) {
+    const documentClone = doc.cloneNode(true);
+    this._removeUnwantedElements(documentClone);
+    const main = this._findMainContent(documentClone);
+    if (!main) {
+      return { isArticle: false, confidence: 0 };
+    }
+
+    // Publishers mark up articles for link previews and search engines
+    const ogType = doc.querySelector('meta[property="og:type"]')?.getAttribute('content') || '';
+    const structuredTypes = Array.from(doc.querySelectorAll('script[type="application/ld+json"]'))
+      .map(script => script.textContent)
+      .join(' ');
+    let metadata = 0;
+    if (ogType.toLowerCase() === 'article' ||
+        /"@type"\s*:\s*"(News|Blog|Scholarly|Tech)?(Article|Posting)"/.test(structuredTypes) ||
+        doc.querySelector('[itemtype*="schema.org/"][itemtype$="Article"]')) {
+      metadata = 1;
+    } else if (doc.querySelectorAll('article').length === 1) {
+      metadata = 0.5;
+    }
+
+    const text = main.textContent.trim();
+    const words = text.split(/\s+/).length;
+    const paragraphs = Array.from(main.querySelectorAll('p'))
+      .filter(paragraph => paragraph.textContent.trim().length >= 80).length;
+    const linkText = Array.from(main.querySelectorAll('a'))
+      .reduce((total, link) => total + link.textContent.length, 0);
+    const linkDensity = text.length > 0 ? linkText / text.length : 1;
+
+    let confidence = metadata * 0.3 +
+      Math.min(1, words / TextExtractor.ARTICLE_WORDS) * 0.3 +
+      Math.min(1, paragraphs / TextExtractor.ARTICLE_PARAGRAPHS) * 0.25 +
+      Math.max(0, 1 - linkDensity * 2) * 0.15;
+
+    // A site's front page lists articles even when it looks like one
+    if (doc.location && doc.location.pathname === '/') {
+      confidence *= 0.5;
+    }
+
+    confidence = Math.round(confidence * 100) / 100;
+    return { isArticle: confidence >= TextExtractor.ARTICLE_CONFIDENCE, confidence };
+  }
+
+  /**
+   * Run Readability, then the fallback, over a document
+   */
+  _extractFromDocument(doc, pageUrl) {
+    let extractedText = '';
+    let offsetMap = null;
+    let title = '';
+    let articleBounds = null;
+    let extractionMethod = 'readability';
+
+    // Try Readability algorithm first
+    try {
+      const readabilityResult = this._extractWithReadability(doc);
+      if (readabilityResult) {
+        extractedText = readabilityResult.textContent;
+        offsetMap = readabilityResult.offsetMap;
+        title = readabilityResult.title;
+        articleBounds = readabilityResult.bounds;
+      }
+    } catch (error) {
+      console.warn('Readability extraction failed:', error);
+    }
+
+    // Fallback to simple text extraction
+    if (!extractedText || extractedText.length < 100) {
+      const fallbackResult = this._extractWithFallback(doc);
+      extractedText = fallbackResult.textContent;
+      offsetMap = fallbackResult.offsetMap;
+      title = fallbackResult.title;
+      articleBounds = fallbackResult.bounds;
+      extractionMethod = 'fallback';
+    }
+
+    // Final validation
+    if (!extractedText || extractedText.trim().length === 0) {
+      throw new ExtractionError('No readable text content found on page', 'NO_CONTENT');
+    }
+
+    extractedText = extractedText.trim();
+    const language = LanguageDetector.detect(extractedText, doc);
+
+    // Paragraphs in other languages can only be told apart with the map of the text
+    const languageSegments = language && offsetMap && offsetMap.text === extractedText
+      ? LanguageDetector.findSegments(offsetMap, language)
+      : [];
+
+    // Headings, lists, code and so on; their elements only mean something on this page
+    const blocks = offsetMap && offsetMap.text === extractedText
+      ? this._describeBlocks(offsetMap, doc === document)
+      : [];
+
+    // Create TextContent object
+    return new TextContent({
+      pageUrl,
+      title,
+      extractedText,
+      extractionMethod,
+      articleBounds,
+      language,
+      languageSegments,
+      blocks,
+      // Offsets only mean something for text that is on the current page
+      offsetMap: doc === document ? offsetMap : null,
+    });
+  }
+
   /**
    * Extract text from user selection
    * @param {Selection} selection - Browser Selection object
@@ -100,6 +197,16 @@ class TextExtractor {
       const pageUrl = window.location.href;
       const title = document.title || 'Selected Text';
 
+      // Map the selected characters back to the page so highlighting stays inside the selection
+      let offsetMap = null;
+      try {
+        offsetMap = TextOffsetMap.fromRange(selection.getRangeAt(0), {
+          exclude: 'script, style',
+        });
+      } catch (error) {
+        offsetMap = null;
+      }
+
       // Get bounds of selection
       let articleBounds = null;
       try {
@@ -120,12 +227,19 @@ class TextExtractor {
         articleBounds = this._createDefaultBounds();
       }
 
+      const extractedText = offsetMap && offsetMap.text ? offsetMap.text : selectedText;
+      const language = LanguageDetector.detect(extractedText, document);
+
       return new TextContent({
         pageUrl,
         title,
-        extractedText: selectedText,
+        extractedText,
         extractionMethod: 'selection',
+        language,
+        languageSegments: language && offsetMap && offsetMap.text ? LanguageDetector.findSegments(offsetMap, language) : [],
+        blocks: offsetMap && offsetMap.text ? this._describeBlocks(offsetMap, true) : [],
         articleBounds,
+        offsetMap,
       });
 
     } catch (error) {
@@ -147,25 +261,30 @@ class TextExtractor {
   /**
    * Extract text using Readability algorithm
    */
-  _extractWithReadability() {
-    const documentClone = document.cloneNode(true);
+  _extractWithReadability(doc = document) {
+    const documentClone = doc.cloneNode(true);
+
+    // Remember which live text node each cloned one came from before pruning the clone
+    const liveNodes = this._mapClonedTextNodes(doc, documentClone);
 
     // Remove unwanted elements
     this._removeUnwantedElements(documentClone);
 
-    // Find main content using heuristics
+    // Read the title first: finding the content takes it out of the clone
+    const title = this._extractTitle(documentClone);
     const article = this._findMainContent(documentClone);
 
     if (!article) {
       throw new Error('No main content found');
     }
 
-    const textContent = this._extractTextFromElement(article);
-    const title = this._extractTitle(documentClone);
-    const bounds = this._getElementBounds(article);
+    const offsetMap = this._buildOffsetMap(article, node => liveNodes.get(node) || node);
+    // The article is assembled in the clone, which has no layout; measure its live text
+    const bounds = this._getTextBounds(offsetMap);
 
     return {
-      textContent,
+      textContent: offsetMap.text,
+      offsetMap,
       title,
       bounds,
     };
@@ -174,7 +293,7 @@ class TextExtractor {
   /**
    * Fallback text extraction for pages where Readability fails
    */
-  _extractWithFallback() {
+  _extractWithFallback(doc = document) {
     // Try common article selectors
     const selectors = [
       'main',
@@ -194,7 +313,7 @@ class TextExtractor {
 
     // Find element with most text content
     for (const selector of selectors) {
-      const element = document.querySelector(selector);
+      const element = doc.querySelector(selector);
       if (element) {
         const textLength = element.textContent.trim().length;
         if (textLength > maxTextLength) {
@@ -206,15 +325,16 @@ class TextExtractor {
 
     // If no good element found, use document body
     if (!bestElement) {
-      bestElement = document.body;
+      bestElement = doc.body;
     }
 
-    const textContent = this._extractTextFromElement(bestElement);
-    const title = document.title || 'Web Page';
+    const offsetMap = this._buildOffsetMap(bestElement);
+    const title = doc.title || 'Web Page';
     const bounds = this._getElementBounds(bestElement);
 
     return {
-      textContent,
+      textContent: offsetMap.text,
+      offsetMap,
       title,
       bounds,
     };
@@ -239,6 +359,9 @@ class TextExtractor {
       '.menu',
       '.navigation',
       '[aria-hidden="true"]',
+      // The LaTeX or MathML source KaTeX keeps next to a formula
+      'annotation',
+      'annotation-xml',
     ];
 
     unwantedSelectors.forEach(selector => {
@@ -248,104 +371,54 @@ class TextExtractor {
   }
 
   /**
-   * Find main content element using content density heuristics
+   * The typed blocks of mapped text, with what BlockSpeech needs to speak them
+   * @param {TextOffsetMap} offsetMap - Map of the extracted text
+   * @param {boolean} keepElements - Whether the text is on the current page
    */
-  _findMainContent(doc) {
-    const candidates = [];
-
-    // Look for semantic elements first
-    const semanticElements = doc.querySelectorAll('main, article, [role="main"]');
-    semanticElements.forEach(element => {
-      candidates.push({
-        element,
-        score: this._calculateContentScore(element) + 100, // Bonus for semantic markup
-      });
-    });
-
-    // Look for elements with content-related classes/IDs
-    const contentElements = doc.querySelectorAll([
-      '.content', '.post', '.article', '.entry',
-      '#content', '#main', '#article', '#post'
-    ].join(', '));
-
-    contentElements.forEach(element => {
-      candidates.push({
-        element,
-        score: this._calculateContentScore(element),
-      });
+  _describeBlocks(offsetMap, keepElements) {
+    return offsetMap.blocks().map(block => {
+      const described = BlockSpeech.describe(block);
+      return keepElements ? described : { ...described, element: null };
     });
-
-    // Find all paragraph containers
-    const paragraphContainers = doc.querySelectorAll('div');
-    paragraphContainers.forEach(element => {
-      const score = this._calculateContentScore(element);
-      if (score > 50) { // Only consider elements with substantial content
-        candidates.push({ element, score });
-      }
-    });
-
-    // Return element with highest score
-    candidates.sort((a, b) => b.score - a.score);
-    return candidates.length > 0 ? candidates[0].element : null;
   }
 
   /**
-   * Calculate content density score for an element
+   * Find the main content with Readability-style scoring (see ReadabilityScorer).
+   * Moves the content into a detached container, so only call it on a copy.
    */
-  _calculateContentScore(element) {
-    if (!element) return 0;
-
-    let score = 0;
-    const text = element.textContent || '';
-    const textLength = text.trim().length;
-
-    // Base score from text length
-    score += textLength / 25;
-
-    // Bonus for paragraphs
-    const paragraphs = element.querySelectorAll('p');
-    score += paragraphs.length * 25;
-
-    // Penalty for high link density
-    const links = element.querySelectorAll('a');
-    const linkText = Array.from(links).reduce((total, link) => total + (link.textContent || '').length, 0);
-    const linkDensity = textLength > 0 ? linkText / textLength : 0;
-    if (linkDensity > 0.5) {
-      score *= (1 - linkDensity);
-    }
-
-    // Penalty for many small elements (likely navigation/sidebar)
-    const childElements = element.children.length;
-    if (childElements > 20 && textLength / childElements < 50) {
-      score *= 0.5;
-    }
-
-    return Math.max(0, score);
+  _findMainContent(doc) {
+    return new ReadabilityScorer(this.readabilityOptions).grabArticle(doc);
   }
 
   /**
-   * Extract clean text from element
+   * Build whitespace-collapsed text for element with a map back to DOM positions
+   * @param {Element} element - Content root
+   * @param {Function} [resolveNode] - Maps walked text nodes to live page nodes
+   * @returns {TextOffsetMap}
    */
-  _extractTextFromElement(element) {
-    if (!element) return '';
-
-    // Create a clone to avoid modifying original
-    const clone = element.cloneNode(true);
-
-    // Remove remaining unwanted elements
-    const unwanted = clone.querySelectorAll('script, style, nav, header, footer, .ad');
-    unwanted.forEach(el => el.remove());
-
-    // Get text content and clean it up
-    let text = clone.textContent || '';
-
-    // Normalize whitespace
-    text = text.replace(/\s+/g, ' ').trim();
+  _buildOffsetMap(element, resolveNode) {
+    return TextOffsetMap.fromElement(element, {
+      exclude: 'script, style, nav, header, footer, .ad',
+      resolveNode,
+    });
+  }
 
-    // Remove excessive line breaks
-    text = text.replace(/\n\s*\n\s*\n/g, '\n\n');
+  /**
+   * Pair each text node of a cloned document with its original
+   */
+  _mapClonedTextNodes(original, clone) {
+    const liveNodes = new Map();
+    const originalWalker = document.createTreeWalker(original, NodeFilter.SHOW_TEXT);
+    const cloneWalker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+
+    let node;
+    while ((node = originalWalker.nextNode())) {
+      const clonedNode = cloneWalker.nextNode();
+      if (!clonedNode) break;
+      liveNodes.set(clonedNode, node);
+    }
 
-    return text;
+    return liveNodes;
   }
 
   /**
@@ -373,11 +446,19 @@ class TextExtractor {
       }
     }
 
-    return document.title || 'Web Page';
+    return doc.title || 'Web Page';
   }
 
   /**
-   * Get bounding rectangle for element
+   * Get bounding rectangle of mapped text where it is on the page
+   */
+  _getTextBounds(offsetMap) {
+    const range = offsetMap.text ? offsetMap.createRange(0, offsetMap.text.length) : null;
+    return this._getElementBounds(range);
+  }
+
+  /**
+   * Get bounding rectangle for element or range
    */
   _getElementBounds(element) {
     try {
@@ -418,6 +499,12 @@ class TextExtractor {
   }
 }
 
+// classifyPage() calls a page an article from this confidence up
+TextExtractor.ARTICLE_CONFIDENCE = 0.6;
+// Main content this long, in words and in paragraphs of 80+ characters, counts fully
+TextExtractor.ARTICLE_WORDS = 500;
+TextExtractor.ARTICLE_PARAGRAPHS = 5;
+
 // Export for both Node.js and browser environments
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = TextExtractor;
@@ -4,9 +4,28 @@ class TextHighlighter {
   constructor() {
     this.currentHighlight = null;
     this.highlightClass = 'sr-text-highlight';
+    this.wordHighlightClass = 'sr-word-highlight';
+    this.sentenceTintClass = 'sr-sentence-tint';
+
+    // Word tracking state for the current reading
+    this.offsetMap = null;
+    this.sentenceRanges = new Map();
+    this.searchFrom = 0;
+    this.tintedSentenceIndex = null;
+    // Word and sentence overlays can be turned off in the options
+    this.highlightWords = true;
+
     this.injectStyles();
   }
 
+  // Settings from the options page
+  applyPreferences(preferences) {
+    this.highlightWords = preferences.highlightCurrentWord;
+    if (!this.highlightWords) {
+      this.clearWordTracking();
+    }
+  }
+
   injectStyles() {
     // Inject CSS for highlighting if not already present
     if (!document.getElementById('sr-highlight-styles')) {
@@ -25,6 +44,20 @@ class TextHighlighter {
           padding: 4px !important;
           margin: 2px !important;
         }
+        .${this.wordHighlightClass},
+        .${this.sentenceTintClass} {
+          position: absolute;
+          pointer-events: none;
+          border-radius: 3px;
+        }
+        .${this.wordHighlightClass} {
+          background-color: rgba(255, 193, 7, 0.55);
+          z-index: 1000000;
+        }
+        .${this.sentenceTintClass} {
+          background-color: rgba(255, 235, 59, 0.25);
+          z-index: 999999;
+        }
       `;
       document.head.appendChild(style);
     }
@@ -144,6 +177,8 @@ class TextHighlighter {
     const orphanedSentenceHighlights = document.querySelectorAll('.sr-sentence-highlight');
     orphanedSentenceHighlights.forEach(el => el.remove());
 
+    this.clearWordTracking();
+
     const orphanedHighlights = document.querySelectorAll(`.${this.highlightClass}`);
     orphanedHighlights.forEach(el => {
       el.classList.remove(this.highlightClass);
@@ -322,6 +357,134 @@ class TextHighlighter {
     }
   }
 
+  // Track the word currently being spoken. Word offsets are relative to sentenceText.
+  // When the reading came from extracted article text, offsetMap/articleOffset place
+  // the sentence exactly; otherwise it is located in the page once and cached.
+  trackWord({ sentenceText, sentenceIndex, wordStart, wordEnd, offsetMap, articleOffset }) {
+    if (!sentenceText || !this.highlightWords) return;
+
+    const useArticleMap = Boolean(offsetMap) && typeof articleOffset === 'number';
+    if (useArticleMap) {
+      this._setOffsetMap(offsetMap);
+    }
+
+    let sentenceRange = this.sentenceRanges.get(sentenceIndex);
+    if (!sentenceRange) {
+      sentenceRange = useArticleMap
+        ? this._useArticleMap(sentenceText, articleOffset)
+        : this._locateInPage(sentenceText);
+      if (!sentenceRange) return;
+
+      this.sentenceRanges.set(sentenceIndex, sentenceRange);
+    }
+
+    if (this.tintedSentenceIndex !== sentenceIndex) {
+      this._removeOverlays(this.sentenceTintClass);
+      this._drawRangeOverlays(
+        this.offsetMap.createRange(sentenceRange.start, sentenceRange.end),
+        this.sentenceTintClass
+      );
+      this.tintedSentenceIndex = sentenceIndex;
+    }
+
+    const start = Math.max(sentenceRange.start, sentenceRange.start + wordStart);
+    const end = Math.min(sentenceRange.end, sentenceRange.start + wordEnd);
+    if (start >= end) return;
+
+    this._removeOverlays(this.wordHighlightClass);
+    const overlays = this._drawRangeOverlays(
+      this.offsetMap.createRange(start, end),
+      this.wordHighlightClass
+    );
+
+    if (overlays.length > 0 && !this._isInViewport(overlays[0])) {
+      overlays[0].scrollIntoView({
+        behavior: 'smooth',
+        block: 'center',
+        inline: 'nearest'
+      });
+    }
+  }
+
+  // Remove word and sentence overlays and forget the located sentences
+  clearWordTracking() {
+    this._removeOverlays(this.wordHighlightClass);
+    this._removeOverlays(this.sentenceTintClass);
+    this.offsetMap = null;
+    this.sentenceRanges.clear();
+    this.searchFrom = 0;
+    this.tintedSentenceIndex = null;
+  }
+
+  // Switch to another offset map. Located sentences are offsets into the old one, so
+  // they are forgotten along with its tint.
+  _setOffsetMap(offsetMap) {
+    if (offsetMap === this.offsetMap) return;
+
+    this._removeOverlays(this.sentenceTintClass);
+    this.offsetMap = offsetMap;
+    this.sentenceRanges.clear();
+    this.searchFrom = 0;
+    this.tintedSentenceIndex = null;
+  }
+
+  _useArticleMap(sentenceText, articleOffset) {
+    const end = articleOffset + sentenceText.length;
+    if (this.offsetMap.text.substring(articleOffset, end) !== sentenceText) return null;
+
+    return { start: articleOffset, end };
+  }
+
+  _locateInPage(sentenceText) {
+    if (!this.offsetMap) {
+      this._setOffsetMap(TextOffsetMap.fromElement(document.body, {
+        exclude: 'script, style, noscript, #screen-reader-overlay',
+      }));
+    }
+
+    // Sentences are spoken in order, so search forward from the last match first
+    const located = this.offsetMap.locate(sentenceText, this.searchFrom) ||
+      this.offsetMap.locate(sentenceText, 0);
+    if (located) {
+      this.searchFrom = located.start;
+    }
+    return located;
+  }
+
+  // Draw one absolutely positioned box per line box of the range
+  _drawRangeOverlays(range, className) {
+    if (!range || typeof range.getClientRects !== 'function') return [];
+
+    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
+    const overlays = [];
+
+    Array.from(range.getClientRects()).forEach(rect => {
+      if (rect.width === 0 || rect.height === 0) return;
+
+      const overlay = document.createElement('div');
+      overlay.className = className;
+      overlay.style.top = (rect.top + scrollTop) + 'px';
+      overlay.style.left = (rect.left + scrollLeft) + 'px';
+      overlay.style.width = rect.width + 'px';
+      overlay.style.height = rect.height + 'px';
+
+      document.body.appendChild(overlay);
+      overlays.push(overlay);
+    });
+
+    return overlays;
+  }
+
+  _removeOverlays(className) {
+    document.querySelectorAll(`.${className}`).forEach(el => el.remove());
+  }
+
+  _isInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.top >= 0 && rect.bottom <= window.innerHeight;
+  }
+
   createSentenceOverlay(rect, sentenceText) {
     const overlay = document.createElement('div');
     overlay.className = 'sr-sentence-highlight';
@@ -355,15 +518,27 @@ class TextHighlighter {
   }
 }
 
-// Initialize text highlighter
-window.textHighlighter = new TextHighlighter();
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextHighlighter;
+} else if (typeof window !== 'undefined') {
+  // Initialize text highlighter
+  window.textHighlighter = new TextHighlighter();
+}
 
 // Disable old sentence-based highlighting events that interfere with element highlighting
 // The new element highlighting is handled directly in click-handler.js
 
 // Keep only the stop event for cleanup
 window.addEventListener('sr-reading-stopped', () => {
-  window.textHighlighter.stopHighlighting();
+  window.textHighlighter?.stopHighlighting();
+});
+
+// Word-level tracking driven by speech boundary events
+window.addEventListener('sr-word-progress', (e) => {
+  if (e.detail) {
+    window.textHighlighter?.trackWord(e.detail);
+  }
 });
 
 // Disabled the following events that interfere with element highlighting:
@@ -6,6 +6,11 @@ class UIOverlay {
     this.isVisible = false;
     this.isReading = false;
     this.currentSpeed = 1.0;
+    this.volume = 1.0;
+    this.showProgress = true;
+    this.theme = 'auto';
+    this.position = null;
+    this.resumeHandler = null;
   }
 
   create() {
@@ -15,24 +20,86 @@ class UIOverlay {
     this.overlay.id = 'screen-reader-overlay';
     this.overlay.innerHTML = `
       <div class="sr-controls">
+        <button id="sr-resume" hidden>Resume from where you left off</button>
+        <button id="sr-prev-paragraph" title="Previous paragraph (Shift+←)">⏮️</button>
+        <button id="sr-prev-sentence" title="Previous sentence (←)">⏪</button>
         <button id="sr-play-pause" title="Play/Pause">⏯️</button>
-        <input type="range" id="sr-speed" min="0.5" max="2" step="0.1" value="1" title="Speed">
-        <span id="sr-speed-label">1.0x</span>
+        <button id="sr-next-sentence" title="Next sentence (→)">⏩</button>
+        <button id="sr-next-paragraph" title="Next paragraph (Shift+→)">⏭️</button>
+        <button id="sr-read-selection" title="Read selected text">📝</button>
+        <button id="sr-pick" title="Pick where to start reading">🎯</button>
+        <input type="range" id="sr-speed" min="0.5" max="2" step="0.1" value="${this.currentSpeed}" title="Speed">
+        <span id="sr-speed-label">${this.currentSpeed.toFixed(1)}x</span>
+        <span id="sr-progress"></span>
+        <span id="sr-status" role="status"></span>
+        <button id="sr-voice" title="Voice">🗣️</button>
+        <button id="sr-fix-pronunciation" title="Fix how the highlighted word is said">🔤</button>
         <button id="sr-close" title="Close">✖️</button>
       </div>
+      <div id="sr-voice-panel" class="sr-controls" hidden></div>
+      <div id="sr-pronunciation-panel" class="sr-controls" hidden></div>
     `;
 
     document.body.appendChild(this.overlay);
+    this.applyAppearance();
     this.attachEventListeners();
   }
 
+  // Theme and position from the options page. The position puts the overlay's anchor
+  // corner x% from the left of the window and y% from the top.
+  applyAppearance() {
+    if (!this.overlay) return;
+
+    this.overlay.classList.remove('sr-theme-auto', 'sr-theme-light', 'sr-theme-dark');
+    this.overlay.classList.add(`sr-theme-${this.theme}`);
+
+    if (this.position) {
+      const { x, y, anchor } = this.position;
+      const [vertical, horizontal] = anchor.split('-');
+      Object.assign(this.overlay.style, {
+        left: `${x}%`,
+        top: `${y}%`,
+        transform: `translate(${horizontal === 'right' ? '-100%' : '0'}, ${vertical === 'bottom' ? '-100%' : '0'})`,
+      });
+    }
+  }
+
   attachEventListeners() {
     const playPause = document.getElementById('sr-play-pause');
     const speed = document.getElementById('sr-speed');
     const close = document.getElementById('sr-close');
 
     playPause?.addEventListener('click', () => this.togglePlayPause());
+    document.getElementById('sr-resume')?.addEventListener('click', () => {
+      const resume = this.resumeHandler;
+      this.hideResumeOffer();
+      resume?.();
+    });
+    document.getElementById('sr-prev-paragraph')
+      ?.addEventListener('click', () => this.skip(-1, 'paragraph'));
+    document.getElementById('sr-prev-sentence')
+      ?.addEventListener('click', () => this.skip(-1, 'sentence'));
+    document.getElementById('sr-next-sentence')
+      ?.addEventListener('click', () => this.skip(1, 'sentence'));
+    document.getElementById('sr-next-paragraph')
+      ?.addEventListener('click', () => this.skip(1, 'paragraph'));
+
+    // Keep the page selection when pressing the button
+    const readSelection = document.getElementById('sr-read-selection');
+    readSelection?.addEventListener('mousedown', (e) => e.preventDefault());
+    readSelection?.addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('sr-read-selection'));
+    });
+    document.getElementById('sr-pick')?.addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('sr-pick-start'));
+    });
     speed?.addEventListener('input', (e) => this.updateSpeed(e.target.value));
+    document.getElementById('sr-voice')?.addEventListener('click', () => {
+      window.voicePicker?.toggle(document.getElementById('sr-voice-panel'));
+    });
+    document.getElementById('sr-fix-pronunciation')?.addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('sr-fix-pronunciation'));
+    });
     close?.addEventListener('click', () => this.close());
   }
 
@@ -52,9 +119,30 @@ class UIOverlay {
   close() {
     // Close button: stop reading AND hide overlay
     window.dispatchEvent(new CustomEvent('sr-stop'));
+    this.hideResumeOffer();
+    window.voicePicker?.close();
+    window.pronunciationFixer?.close();
     this.hide();
   }
 
+  // Show the overlay with a button to continue a reading saved on an earlier visit
+  offerResume(onResume) {
+    this.show();
+    this.resumeHandler = onResume;
+    const resume = document.getElementById('sr-resume');
+    if (resume) {
+      resume.hidden = false;
+    }
+  }
+
+  hideResumeOffer() {
+    this.resumeHandler = null;
+    const resume = document.getElementById('sr-resume');
+    if (resume) {
+      resume.hidden = true;
+    }
+  }
+
   togglePlayPause() {
     this.isReading = !this.isReading;
     window.dispatchEvent(new CustomEvent('sr-toggle-play-pause', {
@@ -62,6 +150,49 @@ class UIOverlay {
     }));
   }
 
+  skip(direction, unit) {
+    window.dispatchEvent(new CustomEvent('sr-skip', {
+      detail: { direction, unit }
+    }));
+  }
+
+  // Explain a pause the user didn't ask for here; empty text clears it
+  showStatus(text) {
+    const status = document.getElementById('sr-status');
+    if (status) {
+      status.textContent = text;
+    }
+  }
+
+  updateProgress(index, total) {
+    const progress = document.getElementById('sr-progress');
+    if (progress) {
+      progress.textContent = this.showProgress && total > 1 ? `${index + 1}/${total}` : '';
+    }
+  }
+
+  // Defaults from the options page. The speed only changes while the overlay is
+  // hidden so a reading in progress doesn't suddenly speed up.
+  applyPreferences(preferences) {
+    this.volume = preferences.defaultVolume;
+    this.showProgress = preferences.showProgress;
+    this.theme = preferences.theme;
+    this.position = preferences.overlayPosition;
+    this.applyAppearance();
+    if (!this.isVisible) {
+      this.setSpeed(preferences.defaultSpeed);
+    }
+  }
+
+  setSpeed(speed) {
+    const clamped = Math.min(2, Math.max(0.5, Math.round(speed * 10) / 10));
+    const slider = document.getElementById('sr-speed');
+    if (slider) {
+      slider.value = clamped;
+    }
+    this.updateSpeed(clamped.toFixed(1));
+  }
+
   updateSpeed(speed) {
     this.currentSpeed = parseFloat(speed);
     const label = document.getElementById('sr-speed-label');
@@ -75,4 +206,25 @@ class UIOverlay {
 }
 
 // Initialize overlay
-window.uiOverlay = new UIOverlay();
\ No newline at end of file
+window.uiOverlay = new UIOverlay();
+
+// Starting another reading replaces the offer to resume
+window.addEventListener('sr-reading-started', () => {
+  window.uiOverlay.hideResumeOffer();
+});
+
+// Say why reading paused when it wasn't from this page's controls
+window.addEventListener('sr-playback-state', (e) => {
+  const { isPaused, reason } = e.detail;
+  window.uiOverlay.isReading = !isPaused;
+  window.uiOverlay.showStatus(isPaused && reason === 'tab-switch' ? 'Paused because you switched tabs' : '');
+});
+
+window.addEventListener('sr-reading-stopped', () => {
+  window.uiOverlay.showStatus('');
+});
+
+// Show which chunk of a long reading is being spoken
+window.addEventListener('sr-chunk-changed', (e) => {
+  window.uiOverlay.updateProgress(e.detail.index, e.detail.total);
+});
\ No newline at end of file
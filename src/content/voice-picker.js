@@ -0,0 +1,214 @@
+/**
+ * VoicePicker - Chooses the voice for a page from UserPreferences and lets the user
+ * pick, preview and save voices from the overlay
+ */
+
+class VoicePicker {
+  constructor() {
+    this.preferences = new UserPreferences();
+    this.voices = [];
+    this.panel = null;
+    // Language of the last text read, which may differ from what the page declares
+    this.readingLanguage = '';
+  }
+
+  /**
+   * Load stored preferences and follow changes made elsewhere
+   */
+  async init() {
+    await this.loadPreferences();
+
+    chrome.storage.onChanged?.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.userPreferences) {
+        this.applyPreferences(changes.userPreferences.newValue);
+      }
+    });
+  }
+
+  async loadPreferences() {
+    try {
+      const result = await chrome.storage.sync.get(['userPreferences']);
+      this.applyPreferences(result.userPreferences);
+    } catch (error) {
+      console.warn('Could not load voice preferences, using defaults:', error);
+      this.applyPreferences(null);
+    }
+  }
+
+  applyPreferences(data) {
+    try {
+      this.preferences = data ? UserPreferences.fromJSON(data) : new UserPreferences();
+    } catch (error) {
+      console.warn('Invalid stored preferences, using defaults:', error);
+      this.preferences = new UserPreferences();
+    }
+  }
+
+  /**
+   * Language and site of the current page, used to look up voice overrides
+   */
+  getPageContext() {
+    return {
+      language: this.readingLanguage || document.documentElement.lang || navigator.language || '',
+      hostname: window.location.hostname,
+    };
+  }
+
+  /**
+   * Speech options for reading text on this page
+   * @param {Object} [reading]
+   * @param {string} [reading.language] - Detected language of the text
+   * @param {Array} [reading.languageSegments] - Spans of the text in other languages
+   * @returns {{language: string, voiceURI: string, languageSegments: Array}} Options with
+   *   the saved voice for the text and for each span
+   */
+  getVoiceOptions({ language = '', languageSegments = [] } = {}) {
+    if (language) this.readingLanguage = language;
+
+    const context = this.getPageContext();
+    return {
+      language: context.language,
+      voiceURI: this.preferences.getVoiceFor(context),
+      languageSegments: (languageSegments || []).map(segment => ({
+        ...segment,
+        voiceURI: this.preferences.getVoiceFor({ language: segment.language, hostname: context.hostname }),
+      })),
+    };
+  }
+
+  async toggle(panel) {
+    if (this.panel === panel && !panel.hidden) {
+      this.close();
+    } else {
+      await this.open(panel);
+    }
+  }
+
+  async open(panel) {
+    this.panel = panel;
+
+    try {
+      const response = await window.messaging.sendToBackground({ type: 'GET_VOICES' });
+      this.voices = response && response.success ? response.voices : [];
+    } catch (error) {
+      console.warn('Could not load voices:', error);
+      this.voices = [];
+    }
+
+    this.render();
+    panel.hidden = false;
+  }
+
+  close() {
+    if (this.panel) {
+      this.panel.hidden = true;
+    }
+  }
+
+  render() {
+    const { language, hostname } = this.getPageContext();
+    const languageKey = UserPreferences.languageKey(language);
+
+    // Group voices by language, with this page's language first
+    const groups = new Map();
+    [...this.voices]
+      .sort((a, b) => {
+        const aMatches = UserPreferences.languageKey(a.lang) === languageKey;
+        const bMatches = UserPreferences.languageKey(b.lang) === languageKey;
+        return (bMatches - aMatches) || a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name);
+      })
+      .forEach(voice => {
+        if (!groups.has(voice.lang)) groups.set(voice.lang, []);
+        groups.get(voice.lang).push(voice);
+      });
+
+    const select = document.createElement('select');
+    select.id = 'sr-voice-select';
+    select.title = 'Voice';
+    select.add(new Option('Automatic', ''));
+    groups.forEach((voices, lang) => {
+      const group = document.createElement('optgroup');
+      group.label = lang;
+      voices.forEach(voice => {
+        group.appendChild(new Option(voice.localService ? voice.name : `${voice.name} (online)`, voice.voiceURI));
+      });
+      select.appendChild(group);
+    });
+
+    const scope = document.createElement('select');
+    scope.id = 'sr-voice-scope';
+    scope.title = 'Use this voice';
+    scope.add(new Option('For all pages', 'default'));
+    if (languageKey) scope.add(new Option(`For "${languageKey}" pages`, 'language'));
+    if (hostname) scope.add(new Option(`On ${UserPreferences.siteKey(hostname)}`, 'site'));
+
+    const preview = document.createElement('button');
+    preview.id = 'sr-voice-preview';
+    preview.textContent = 'Preview';
+
+    const save = document.createElement('button');
+    save.id = 'sr-voice-save';
+    save.textContent = 'Save';
+
+    this.panel.replaceChildren(select, preview, scope, save);
+
+    // Show what each scope currently uses
+    const showCurrent = () => {
+      select.value = this.getSavedVoice(scope.value);
+    };
+    showCurrent();
+
+    scope.addEventListener('change', showCurrent);
+    preview.addEventListener('click', () => this.preview(select.value));
+    save.addEventListener('click', async () => {
+      try {
+        await this.save(select.value, scope.value);
+        this.close();
+      } catch (error) {
+        window.uiOverlay?.showStatus(error.message);
+      }
+    });
+  }
+
+  /**
+   * Voice saved for a scope: "default", "language" or "site"
+   */
+  getSavedVoice(scope) {
+    const { language, hostname } = this.getPageContext();
+
+    if (scope === 'site') return this.preferences.siteVoices[UserPreferences.siteKey(hostname)] || '';
+    if (scope === 'language') return this.preferences.languageVoices[UserPreferences.languageKey(language)] || '';
+    return this.preferences.voicePreference;
+  }
+
+  preview(voiceURI) {
+    window.messaging.sendToBackground({ type: 'PREVIEW_VOICE', voiceURI }).catch(error => {
+      console.warn('Could not preview voice:', error);
+    });
+  }
+
+  /**
+   * Save a voice for a scope; an empty voice clears it
+   * @param {string} voiceURI - Voice to save
+   * @param {string} scope - "default", "language" or "site"
+   */
+  async save(voiceURI, scope = 'default') {
+    const { language, hostname } = this.getPageContext();
+
+    // Start from what's stored so settings changed elsewhere aren't lost
+    await this.loadPreferences();
+    this.preferences.setVoice(voiceURI, {
+      language: scope === 'language' ? language : undefined,
+      hostname: scope === 'site' ? hostname : undefined,
+    });
+
+    await chrome.storage.sync.set({ userPreferences: this.preferences.toJSON() });
+  }
+}
+
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VoicePicker;
+} else if (typeof window !== 'undefined') {
+  window.voicePicker = new VoicePicker();
+}
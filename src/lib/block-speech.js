@@ -0,0 +1,242 @@
+/**
+ * BlockSpeech - How code blocks, tables and math are spoken. TextExtractor records what
+ * speaking a block needs while the page is at hand (describe), and the player picks
+ * what to say with the user's strategy for the block type (render).
+ */
+
+class BlockSpeech {
+  /**
+   * @param {Object} [strategies] - Strategy by block type, e.g. { code: 'summary' }, from
+   *   UserPreferences.blockStrategies. Types without one are read as they appear.
+   */
+  constructor(strategies = {}) {
+    this.strategies = strategies || {};
+  }
+
+  /**
+   * Add what speaking a block needs once its element is gone: a code block's source
+   * and language, a table's cells, a formula's spoken form
+   * @param {Object} block - Block from TextOffsetMap.blocks()
+   * @returns {Object} The block with details added
+   */
+  static describe(block) {
+    const element = block.element;
+    if (!element) return block;
+
+    switch (block.type) {
+      case 'code': {
+        const source = element.textContent.replace(/\n+$/, '');
+        return {
+          ...block,
+          source,
+          lineCount: source.split('\n').length,
+          language: BlockSpeech.languageOf(element),
+        };
+      }
+      case 'table':
+        return {
+          ...block,
+          rows: Array.from(element.rows).map(row => Array.from(row.cells).map(cell => ({
+            text: cell.textContent.replace(/\s+/g, ' ').trim(),
+            header: cell.tagName === 'TH',
+          }))),
+        };
+      case 'math':
+        return { ...block, spoken: SpokenMath.fromElement(element) };
+      default:
+        return block;
+    }
+  }
+
+  /**
+   * Name of a code block's language from the classes highlighters add, such as
+   * "language-js" or "highlight-source-python", or a data-lang attribute
+   * @param {Element} element - <pre> element
+   * @returns {string} Language name, or '' when the page doesn't say
+   */
+  static languageOf(element) {
+    const candidates = [element, ...element.querySelectorAll('code')];
+    for (const candidate of candidates) {
+      const attribute = candidate.getAttribute('data-lang') || candidate.getAttribute('data-language');
+      const match = attribute
+        ? [null, attribute]
+        : (candidate.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang|highlight-source|brush:)-?\s*([\w+#-]+)/i);
+      if (match) {
+        const id = match[1].toLowerCase();
+        return BlockSpeech.LANGUAGES[id] || id.charAt(0).toUpperCase() + id.slice(1);
+      }
+    }
+    return '';
+  }
+
+  /**
+   * What to say for a block under its type's strategy
+   * @param {Object} block - Block from TextContent, with the details from describe
+   * @returns {{skip?: boolean, speech?: string, announced?: boolean}} skip leaves the
+   *   block out, speech is said instead of its text and announced means speech already
+   *   says what the block is. Empty when the block is read as it appears.
+   */
+  render(block) {
+    const strategy = this.strategies[block.type] || 'read';
+    if (strategy === 'skip') return { skip: true };
+
+    switch (`${block.type}:${strategy}`) {
+      case 'code:summary':
+        return { speech: BlockSpeech.summarizeCode(block), announced: true };
+      case 'code:symbols':
+        return block.source ? { speech: BlockSpeech.speakCode(block.source) } : {};
+      case 'table:rows':
+        return block.rows && block.rows.length ? { speech: BlockSpeech.speakTable(block.rows) } : {};
+      case 'math:spoken':
+        return block.spoken ? { speech: block.spoken } : {};
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * "Code block, 12 lines, JavaScript."
+   */
+  static summarizeCode(block) {
+    const lineCount = block.lineCount || block.text.split('\n').length;
+    const parts = ['Code block', `${lineCount} line${lineCount === 1 ? '' : 's'}`];
+    if (block.language) parts.push(block.language);
+    return `${parts.join(', ')}.`;
+  }
+
+  /**
+   * Read code line by line with its symbols named: "const x equals 1 semicolon."
+   * @param {string} source - Code with its line breaks
+   * @returns {string}
+   */
+  static speakCode(source) {
+    return source.split('\n')
+      .map(line => (line.match(BlockSpeech.CODE_TOKEN) || [])
+        .map(token => BlockSpeech.CODE_SYMBOLS[token] || token)
+        .join(' '))
+      .filter(line => line)
+      .map(line => `${line}.`)
+      .join(' ');
+  }
+
+  /**
+   * Read a table row by row, saying each cell's column header before it:
+   * "Row 1: Name, Ada; Age, 36." A row header replaces the row number.
+   * @param {Array<Array<{text: string, header: boolean}>>} rows - Cells by row
+   * @returns {string}
+   */
+  static speakTable(rows) {
+    const firstRow = rows[0] || [];
+    const columnHeaders = firstRow.length > 0 && firstRow.every(cell => cell.header)
+      ? firstRow.map(cell => cell.text)
+      : null;
+    const bodyRows = columnHeaders ? rows.slice(1) : rows;
+
+    return bodyRows
+      .map((row, rowIndex) => {
+        const rowHeader = row.length > 1 && row[0].header ? row[0].text : '';
+        const cells = row
+          .map((cell, column) => ({ ...cell, column }))
+          .filter(cell => cell.text && !(rowHeader && cell.column === 0))
+          .map(cell => {
+            const header = columnHeaders && columnHeaders[cell.column];
+            return header ? `${header}, ${cell.text}` : cell.text;
+          });
+        if (cells.length === 0) return '';
+        return `${rowHeader || `Row ${rowIndex + 1}`}: ${cells.join('; ')}.`;
+      })
+      .filter(row => row)
+      .join(' ');
+  }
+}
+
+// Language names for the ids highlighters use; others are capitalized
+BlockSpeech.LANGUAGES = {
+  js: 'JavaScript',
+  javascript: 'JavaScript',
+  jsx: 'JavaScript',
+  ts: 'TypeScript',
+  typescript: 'TypeScript',
+  tsx: 'TypeScript',
+  py: 'Python',
+  python: 'Python',
+  rb: 'Ruby',
+  rs: 'Rust',
+  cpp: 'C++',
+  'c++': 'C++',
+  cs: 'C#',
+  csharp: 'C#',
+  sh: 'Shell',
+  bash: 'Shell',
+  shell: 'Shell',
+  console: 'Shell',
+  zsh: 'Shell',
+  html: 'HTML',
+  xml: 'XML',
+  css: 'CSS',
+  json: 'JSON',
+  yaml: 'YAML',
+  yml: 'YAML',
+  sql: 'SQL',
+  php: 'PHP',
+  kt: 'Kotlin',
+  golang: 'Go',
+};
+
+// A name, a number, a multi-character operator or any other single symbol
+BlockSpeech.CODE_TOKEN = /[A-Za-z_$][\w$]*|\d+(?:\.\d+)?|===|!==|==|!=|=>|->|<=|>=|&&|\|\||\+\+|--|::|\S/g;
+
+BlockSpeech.CODE_SYMBOLS = {
+  '{': 'open brace',
+  '}': 'close brace',
+  '(': 'open paren',
+  ')': 'close paren',
+  '[': 'open bracket',
+  ']': 'close bracket',
+  '<': 'less than',
+  '>': 'greater than',
+  '<=': 'less than or equal',
+  '>=': 'greater than or equal',
+  '=': 'equals',
+  '==': 'double equals',
+  '===': 'triple equals',
+  '!=': 'not equals',
+  '!==': 'not double equals',
+  '=>': 'arrow',
+  '->': 'arrow',
+  '&&': 'and and',
+  '||': 'or or',
+  '++': 'plus plus',
+  '--': 'minus minus',
+  '::': 'double colon',
+  '+': 'plus',
+  '-': 'minus',
+  '*': 'star',
+  '/': 'slash',
+  '\\': 'backslash',
+  '%': 'percent',
+  '!': 'bang',
+  '?': 'question mark',
+  ':': 'colon',
+  ';': 'semicolon',
+  ',': 'comma',
+  '.': 'dot',
+  '"': 'quote',
+  "'": 'single quote',
+  '`': 'backtick',
+  '#': 'hash',
+  '@': 'at',
+  '&': 'ampersand',
+  '|': 'pipe',
+  '^': 'caret',
+  '~': 'tilde',
+  '_': 'underscore',
+  '$': 'dollar',
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BlockSpeech;
+} else if (typeof window !== 'undefined') {
+  window.BlockSpeech = BlockSpeech;
+}
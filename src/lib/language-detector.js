@@ -0,0 +1,228 @@
+/**
+ * LanguageDetector - Works out which language text is in, from what the page declares
+ * (<html lang>, og:locale) and a local classifier that looks at the writing system and,
+ * for Latin-script text, common function words. Nothing leaves the browser.
+ */
+
+class LanguageDetector {
+  /**
+   * Language the page declares for itself
+   * @param {Document} doc - Page document
+   * @returns {string} Language tag such as "de-DE", or '' if none is declared
+   */
+  static declaredLanguage(doc) {
+    const candidates = [
+      doc.documentElement && doc.documentElement.getAttribute('lang'),
+      doc.querySelector('meta[property="og:locale"]')?.getAttribute('content'),
+      doc.querySelector('meta[http-equiv="content-language" i]')?.getAttribute('content'),
+    ];
+
+    for (const candidate of candidates) {
+      const language = LanguageDetector.normalizeTag(candidate);
+      if (language) return language;
+    }
+    return '';
+  }
+
+  /**
+   * Normalize a language tag: "de_DE" and "DE-de" become "de-DE". Tags that Intl would
+   * reject, such as "en-", are cut back to their language.
+   * @returns {string} Tag, or '' for a missing or unusable value
+   */
+  static normalizeTag(tag) {
+    const parts = String(tag || '').trim().split(/[-_]/);
+    if (!/^[a-z]{2,3}$/i.test(parts[0])) return '';
+
+    const language = parts[0].toLowerCase();
+    const normalized = [language, ...parts.slice(1).map(part => (
+      part.length === 2 ? part.toUpperCase() : part
+    ))].join('-');
+
+    for (const candidate of [normalized, language]) {
+      try {
+        return Intl.getCanonicalLocales(candidate)[0];
+      } catch (error) {
+        // Not a valid BCP 47 tag; try the next candidate
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Guess the language of text
+   * @param {string} text - Text to classify
+   * @returns {{language: string, confidence: number}|null} Primary language subtag and a
+   *   0-1 confidence, or null if there is too little text to tell
+   */
+  static classify(text) {
+    const sample = String(text || '').substring(0, LanguageDetector.SAMPLE_LENGTH);
+
+    // Writing systems other than Latin identify the language on their own
+    const counts = {};
+    let letters = 0;
+    for (const char of sample) {
+      if (!/\p{L}/u.test(char)) continue;
+      letters++;
+
+      // Latin letters, including accented ones, are all below U+0250
+      const script = char < '\u0250' ? null : LanguageDetector.SCRIPTS.find(({ pattern }) => pattern.test(char));
+      const name = script ? script.name : 'latin';
+      counts[name] = (counts[name] || 0) + 1;
+    }
+
+    if (letters < LanguageDetector.MIN_LETTERS) return null;
+
+    // Japanese mixes kana with Han characters; Han alone is Chinese
+    const kana = counts.kana || 0;
+    const cjk = kana + (counts.han || 0);
+    if (cjk / letters > 0.5) {
+      return { language: kana / cjk >= 0.1 ? 'ja' : 'zh', confidence: cjk / letters };
+    }
+
+    const [dominant, dominantCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    if (dominant !== 'latin') {
+      const script = LanguageDetector.SCRIPTS.find(({ name }) => name === dominant);
+      return script.language ? { language: script.language, confidence: dominantCount / letters } : null;
+    }
+
+    return LanguageDetector._classifyLatin(sample);
+  }
+
+  /**
+   * Language of an article: the declared language unless the text is confidently in
+   * another one, e.g. a German article on a site whose template says lang="en"
+   * @param {string} text - Article text
+   * @param {Document} [doc] - Document the text came from
+   * @returns {string} Language tag, or '' if unknown
+   */
+  static detect(text, doc = null) {
+    const declared = doc ? LanguageDetector.declaredLanguage(doc) : '';
+    const detected = LanguageDetector.classify(text);
+
+    if (!detected) return declared;
+    if (!declared) return detected.language;
+
+    // Keep the declared region, e.g. "en-GB", when the language agrees
+    if (declared.split('-')[0] === detected.language) return declared;
+    return detected.confidence >= LanguageDetector.OVERRIDE_CONFIDENCE ? detected.language : declared;
+  }
+
+  /**
+   * Find the paragraphs of mapped text that are in a different language from the article.
+   * A paragraph's language comes from a lang attribute inside the page, else the classifier.
+   * @param {TextOffsetMap} offsetMap - Map of the article text
+   * @param {string} language - Article language
+   * @returns {Array<{start: number, end: number, language: string}>} Spans of the text, in order
+   */
+  static findSegments(offsetMap, language) {
+    const text = offsetMap.text;
+    const primary = language.split('-')[0];
+    const segments = [];
+
+    const addBlock = (start, end, block) => {
+      const blockText = text.substring(start, end);
+      let blockLanguage = '';
+
+      const marked = block && block.closest('[lang]');
+      if (marked && marked !== marked.ownerDocument.documentElement) {
+        blockLanguage = LanguageDetector.normalizeTag(marked.getAttribute('lang'));
+      }
+      if (!blockLanguage) {
+        const detected = LanguageDetector.classify(blockText);
+        blockLanguage = detected ? detected.language : '';
+      }
+
+      if (!blockLanguage || blockLanguage.split('-')[0] === primary) return;
+
+      // Merge with the previous paragraph when it is in the same language
+      const previous = segments[segments.length - 1];
+      if (previous && previous.language === blockLanguage && !text.substring(previous.end, start).trim()) {
+        previous.end = end;
+      } else {
+        segments.push({ start, end, language: blockLanguage });
+      }
+    };
+
+    let blockStart = 0;
+    let block = offsetMap.blockAt(0);
+    let lastNode = offsetMap.nodes[0];
+    for (let i = 1; i <= text.length; i++) {
+      // Consecutive characters from the same text node share a block
+      if (i < text.length && offsetMap.nodes[i] === lastNode) continue;
+
+      const next = i < text.length ? offsetMap.blockAt(i) : null;
+      lastNode = offsetMap.nodes[i];
+      if (i < text.length && next === block) continue;
+
+      addBlock(blockStart, i, block);
+      blockStart = i;
+      block = next;
+    }
+
+    // Trim the spaces between paragraphs off each span
+    return segments.map(segment => {
+      const raw = text.substring(segment.start, segment.end);
+      const start = segment.start + (raw.length - raw.trimStart().length);
+      return { ...segment, start, end: segment.start + raw.trimEnd().length };
+    });
+  }
+
+  /**
+   * Private: Score Latin-script text by how many of each language's function words it uses
+   */
+  static _classifyLatin(sample) {
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = Object.entries(LanguageDetector.STOPWORDS).map(([language, stopwords]) => [
+      language,
+      words.reduce((score, word) => score + (stopwords.has(word) ? 1 : 0), 0),
+    ]).sort((a, b) => b[1] - a[1]);
+
+    const [[language, best], [, second]] = scores;
+    if (best < LanguageDetector.MIN_STOPWORDS) return null;
+
+    const confidence = (best - second) / best;
+    return confidence >= LanguageDetector.MIN_CONFIDENCE ? { language, confidence } : null;
+  }
+}
+
+// Characters read from the start of the text when classifying
+LanguageDetector.SAMPLE_LENGTH = 5000;
+// Less text than this is left unclassified
+LanguageDetector.MIN_LETTERS = 12;
+LanguageDetector.MIN_STOPWORDS = 3;
+// How far ahead the best Latin-script language must be of the next one
+LanguageDetector.MIN_CONFIDENCE = 0.3;
+// Needed to overrule the language the page declares
+LanguageDetector.OVERRIDE_CONFIDENCE = 0.6;
+
+// Scripts other than Latin; language is left out where a script is shared by many languages
+LanguageDetector.SCRIPTS = [
+  { name: 'kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, language: 'ja' },
+  { name: 'han', pattern: /\p{Script=Han}/u, language: 'zh' },
+  { name: 'hangul', pattern: /\p{Script=Hangul}/u, language: 'ko' },
+  { name: 'cyrillic', pattern: /\p{Script=Cyrillic}/u, language: 'ru' },
+  { name: 'greek', pattern: /\p{Script=Greek}/u, language: 'el' },
+  { name: 'hebrew', pattern: /\p{Script=Hebrew}/u, language: 'he' },
+  { name: 'arabic', pattern: /\p{Script=Arabic}/u, language: 'ar' },
+  { name: 'thai', pattern: /\p{Script=Thai}/u, language: 'th' },
+  { name: 'devanagari', pattern: /\p{Script=Devanagari}/u, language: 'hi' },
+  { name: 'other', pattern: /[^\p{Script=Latin}]/u, language: '' },
+];
+
+// Frequent words that mostly belong to one language; words common to several are left out
+LanguageDetector.STOPWORDS = Object.fromEntries(Object.entries({
+  en: 'the and of to is that it was for with this are be have from by not you which they his her but were at on has had will would',
+  de: 'der die das und ist nicht ein eine zu den mit sich des auf dem für auch wird werden sie ich wir von bei nach wie oder aber hat sind war einen im',
+  es: 'el los las y del por para es su al lo como más pero sus fue este esta muy también está hay son ser ya entre cuando',
+  fr: 'le les des et est une du dans qui pas pour sur au avec ce cette sont mais ou ont plus nous vous je elle été aux leur',
+  it: 'il di che della per non sono gli nel alla anche questo questa delle dei più ma ha ed degli stato essere molto tra',
+  pt: 'os da do das dos em um uma não para com pelo pela mais ao são também foi muito já está seu sua ele isso',
+  nl: 'het een van dat op te zijn niet met voor er aan ook als bij door maar om wordt naar worden nog dan heeft kan wat hij werd uit',
+}).map(([language, words]) => [language, new Set(words.split(' '))]));
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LanguageDetector;
+} else if (typeof window !== 'undefined') {
+  window.LanguageDetector = LanguageDetector;
+}
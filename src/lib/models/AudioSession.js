@@ -8,6 +8,13 @@ class AudioSession {
     pageUrl,
     text = '',
     startWordIndex = 0,
+    startCharIndex = null,
+    fingerprint = null,
+    language = '',
+    voiceURI = '',
+    languageSegments = [],
+    blocks = [],
+    pronunciations = [],
     speed = 1.0,
     volume = 1.0,
     tabId,
@@ -25,18 +32,34 @@ class AudioSession {
     this.contentId = contentId;
     this.pageUrl = pageUrl;
     this.tabId = tabId;
+    // Identifies the text so a saved session can be matched to it on a later visit
+    this.fingerprint = fingerprint;
 
     // Speech content
     this.text = text;
     this.words = this._extractWords(text);
+    this.wordOffsets = this._findWordOffsets(text);
     this.totalWords = this.words.length;
 
-    // Playback state
+    // Playback state: the current word, and the exact character reading continues from
     this.currentPosition = Math.max(0, Math.min(startWordIndex, this.totalWords - 1));
+    this.currentCharIndex = this.getWordOffset(this.currentPosition);
+    if (startCharIndex !== null) {
+      this._setCharIndex(startCharIndex);
+    }
     this.isPlaying = false;
     this.isPaused = false;
 
     // Audio settings
+    this.language = language || '';
+    this.voiceURI = voiceURI || '';
+    // Spans of text in other languages, each {start, end, language, voiceURI}
+    this.languageSegments = Array.isArray(languageSegments) ? languageSegments : [];
+    // Blocks to announce, skip or say differently, each {start, end, type, announcement,
+    // skip, speech}; speech is said instead of the block's text
+    this.blocks = Array.isArray(blocks) ? blocks : [];
+    // The user's pronunciations for the page, each {match, replacement, regex}
+    this.pronunciations = Array.isArray(pronunciations) ? pronunciations : [];
     this.speed = this._validateSpeed(speed);
     this.volume = this._validateVolume(volume);
 
@@ -48,12 +71,14 @@ class AudioSession {
   /**
    * Update session state
    */
-  updateState({ isPlaying, isPaused, currentPosition, speed, volume }) {
+  updateState({ isPlaying, isPaused, currentPosition, currentCharIndex, speed, volume }) {
     if (isPlaying !== undefined) this.isPlaying = isPlaying;
     if (isPaused !== undefined) this.isPaused = isPaused;
     if (currentPosition !== undefined) {
       this.currentPosition = Math.max(0, Math.min(currentPosition, this.totalWords - 1));
+      this.currentCharIndex = this.getWordOffset(this.currentPosition);
     }
+    if (currentCharIndex !== undefined) this._setCharIndex(currentCharIndex);
     if (speed !== undefined) this.speed = this._validateSpeed(speed);
     if (volume !== undefined) this.volume = this._validateVolume(volume);
 
@@ -78,6 +103,36 @@ class AudioSession {
     return this.words.slice(this.currentPosition).join(' ');
   }
 
+  /**
+   * Get the character offset in text where a word starts
+   */
+  getWordOffset(wordIndex) {
+    if (wordIndex <= 0 || this.wordOffsets.length === 0) return 0;
+    if (wordIndex >= this.wordOffsets.length) return this.text.length;
+    return this.wordOffsets[wordIndex];
+  }
+
+  /**
+   * Get the index of the word containing (or preceding) a character offset
+   */
+  getWordIndexAt(charIndex) {
+    let low = 0;
+    let high = this.wordOffsets.length - 1;
+    let found = 0;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.wordOffsets[mid] <= charIndex) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
   /**
    * Check if session is complete (reached end of text)
    */
@@ -93,6 +148,24 @@ class AudioSession {
     return Math.round((this.currentPosition / this.totalWords) * 100);
   }
 
+  /**
+   * Just the playback position and state, for messages sent with every word. The page
+   * and fingerprint go too, so the position can be saved even by a background script
+   * that restarted and missed the whole session.
+   */
+  toProgressJSON() {
+    return {
+      sessionId: this.sessionId,
+      contentId: this.contentId,
+      pageUrl: this.pageUrl,
+      fingerprint: this.fingerprint,
+      currentPosition: this.currentPosition,
+      currentCharIndex: this.currentCharIndex,
+      isPlaying: this.isPlaying,
+      isPaused: this.isPaused,
+    };
+  }
+
   /**
    * Convert to plain object for storage/transmission
    */
@@ -102,10 +175,17 @@ class AudioSession {
       contentId: this.contentId,
       pageUrl: this.pageUrl,
       tabId: this.tabId,
+      fingerprint: this.fingerprint,
       currentPosition: this.currentPosition,
+      currentCharIndex: this.currentCharIndex,
       totalWords: this.totalWords,
       isPlaying: this.isPlaying,
       isPaused: this.isPaused,
+      language: this.language,
+      voiceURI: this.voiceURI,
+      languageSegments: this.languageSegments,
+      blocks: this.blocks,
+      pronunciations: this.pronunciations,
       speed: this.speed,
       volume: this.volume,
       createdAt: this.createdAt,
@@ -123,6 +203,13 @@ class AudioSession {
       text: data.text || '',
       tabId: data.tabId,
       startWordIndex: data.currentPosition || 0,
+      startCharIndex: data.currentCharIndex !== undefined ? data.currentCharIndex : null,
+      fingerprint: data.fingerprint || null,
+      language: data.language,
+      voiceURI: data.voiceURI,
+      languageSegments: data.languageSegments,
+      blocks: data.blocks,
+      pronunciations: data.pronunciations,
       speed: data.speed || 1.0,
       volume: data.volume || 1.0,
     });
@@ -161,6 +248,32 @@ class AudioSession {
       .filter(word => word.length > 0);
   }
 
+  /**
+   * Private: Move to a character offset, keeping the word index in step
+   */
+  _setCharIndex(charIndex) {
+    this.currentCharIndex = Math.max(0, Math.min(charIndex, this.text.length));
+    this.currentPosition = this.getWordIndexAt(this.currentCharIndex);
+  }
+
+  /**
+   * Private: Find where each word from _extractWords starts in text
+   */
+  _findWordOffsets(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const offsets = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      // Same filter as _extractWords so indexes line up
+      if (match[0].replace(/[^\w\s]/g, '').length > 0) {
+        offsets.push(match.index);
+      }
+    }
+    return offsets;
+  }
+
   /**
    * Private: Validate speed value
    */
@@ -9,6 +9,10 @@ class TextContent {
     extractedText,
     extractionMethod = 'readability',
     articleBounds = null,
+    offsetMap = null,
+    language = '',
+    languageSegments = [],
+    blocks = [],
   }) {
     // Validation
     if (!pageUrl) throw new Error('pageUrl is required');
@@ -32,7 +36,22 @@ class TextContent {
     // Article layout info
     this.articleBounds = articleBounds || this._createDefaultBounds();
 
-    // Process text into structured format
+    // Maps extractedText offsets to live DOM positions. Only kept when it was
+    // built from exactly this text, and never serialized.
+    this.offsetMap = offsetMap && offsetMap.text === this.extractedText ? offsetMap : null;
+
+    // Language of the text (e.g. "de-DE", '' if unknown) and spans of it in other languages
+    this.language = String(language || '');
+    this.languageSegments = (languageSegments || []).filter(segment => (
+      segment.language && segment.start >= 0 && segment.end <= this.extractedText.length && segment.start < segment.end
+    ));
+
+    // Headings, lists, code and so on in text order, from TextOffsetMap.blocks(). Each
+    // has its type, text, [start, end) in extractedText and the element it came from,
+    // plus what BlockSpeech needs to speak code, tables and math.
+    this.blocks = this._validateBlocks(blocks);
+
+    // Process text into structured format; sentences never cross blocks
     this.sentences = this._extractSentences(this.extractedText);
     this.words = this._extractWords(this.extractedText);
     this.wordCount = this.words.length;
@@ -101,6 +120,72 @@ class TextContent {
     return -1;
   }
 
+  /**
+   * Get the block containing a character of extractedText
+   * @returns {Object|null} Block, or null between blocks
+   */
+  getBlockAt(charPosition) {
+    return this.blocks.find(block => charPosition >= block.start && charPosition < block.end) || null;
+  }
+
+  /**
+   * Get the block containing word at index
+   */
+  getBlockForWord(wordIndex) {
+    const word = this.getWord(wordIndex);
+    return word ? this.blocks[word.blockIndex] || null : null;
+  }
+
+  /**
+   * What to say before reading a block, e.g. "List, 4 items:"
+   * @param {Object} block - Block from blocks
+   * @returns {string} Announcement, or '' for paragraphs
+   */
+  static describeBlock(block) {
+    const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+
+    switch (block.type) {
+      case 'heading':
+        return 'Heading:';
+      case 'list':
+        return `List, ${count(block.itemCount || 0, 'item')}:`;
+      case 'quote':
+        return 'Quote:';
+      case 'code':
+        return 'Code block:';
+      case 'table':
+        return `Table, ${count(block.rowCount || 0, 'row')}:`;
+      case 'caption':
+        return 'Caption:';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Get the live DOM position behind a character of extractedText
+   * @returns {{node: Text, offset: number}|null}
+   */
+  getDomPosition(charPosition) {
+    return this.offsetMap ? this.offsetMap.positionAt(charPosition) : null;
+  }
+
+  /**
+   * Find the extractedText character for a live DOM position
+   * @returns {number} Character position or -1 if unmapped
+   */
+  findCharPositionByDom(node, offset) {
+    return this.offsetMap ? this.offsetMap.indexOfPosition(node, offset) : -1;
+  }
+
+  /**
+   * Create a DOM Range over extractedText characters [start, end)
+   * @returns {Range|null}
+   */
+  createDomRange(start, end) {
+    return this.offsetMap ? this.offsetMap.createRange(start, end) : null;
+  }
+
   /**
    * Get content statistics
    */
@@ -111,6 +196,7 @@ class TextContent {
       characterCount: this.extractedText.length,
       estimatedReadingTime: this.estimatedReadingTime,
       averageWordsPerSentence: Math.round(this.wordCount / this.sentences.length),
+      blockCount: this.blocks.length,
       extractionMethod: this.extractionMethod,
     };
   }
@@ -128,6 +214,10 @@ class TextContent {
       words: this.words,
       articleBounds: this.articleBounds,
       extractionMethod: this.extractionMethod,
+      language: this.language,
+      languageSegments: this.languageSegments,
+      // Elements only mean something on the page they came from
+      blocks: this.blocks.map(({ element: _element, ...block }) => block),
       extractedAt: this.extractedAt,
       wordCount: this.wordCount,
       estimatedReadingTime: this.estimatedReadingTime,
@@ -144,6 +234,9 @@ class TextContent {
       extractedText: data.extractedText,
       extractionMethod: data.extractionMethod,
       articleBounds: data.articleBounds,
+      language: data.language,
+      languageSegments: data.languageSegments,
+      blocks: data.blocks,
     });
 
     // Restore stored data
@@ -204,14 +297,45 @@ class TextContent {
   }
 
   /**
-   * Private: Extract sentences from text
+   * Private: Keep blocks that fit the text, in order and without overlaps. Text
+   * without blocks, e.g. restored from storage, is one paragraph.
+   */
+  _validateBlocks(blocks) {
+    const valid = [];
+    (blocks || []).forEach(block => {
+      if (!block || !TextContent.BLOCK_TYPES.includes(block.type)) return;
+
+      const after = valid.length > 0 ? valid[valid.length - 1].end : 0;
+      if (!(block.start >= after && block.start < block.end && block.end <= this.extractedText.length)) return;
+
+      const { element = null, ...rest } = block;
+      valid.push({ ...rest, element });
+    });
+
+    if (valid.length === 0) {
+      valid.push({ type: 'paragraph', start: 0, end: this.extractedText.length, element: null });
+    }
+
+    return valid.map((block, index) => ({
+      ...block,
+      index,
+      text: this.extractedText.substring(block.start, block.end),
+    }));
+  }
+
+  /**
+   * Private: Extract sentences from text, splitting at block starts too so a heading
+   * isn't read as the start of the paragraph after it
    */
   _extractSentences(text) {
     if (!text) return [];
 
+    const starts = this.blocks.map(block => block.start).filter(start => start > 0);
+    const pieces = [0, ...starts].map((start, i) => text.substring(start, starts[i] ?? text.length));
+
     // Split on sentence endings, keeping the punctuation
-    const sentences = text
-      .split(/(?<=[.!?])\s+/)
+    const sentences = pieces
+      .flatMap(piece => piece.split(/(?<=[.!?])\s+/))
       .map(sentence => sentence.trim())
       .filter(sentence => sentence.length > 0);
 
@@ -248,6 +372,7 @@ class TextContent {
           originalText: wordText,
           index: wordIndex++,
           sentenceIndex: sentIndex,
+          blockIndex: this._blockIndexAt(startChar),
           startChar: Math.max(0, startChar),
           endChar: Math.max(0, endChar),
         });
@@ -258,8 +383,21 @@ class TextContent {
 
     return words;
   }
+
+  /**
+   * Private: Index of the block a character is in, or of the one before it
+   */
+  _blockIndexAt(charPosition) {
+    let index = 0;
+    while (index + 1 < this.blocks.length && this.blocks[index + 1].start <= charPosition) {
+      index++;
+    }
+    return index;
+  }
 }
 
+TextContent.BLOCK_TYPES = ['heading', 'list', 'quote', 'code', 'table', 'caption', 'math', 'paragraph'];
+
 // Custom error types
 class ExtractionError extends Error {
   constructor(message, code = 'EXTRACTION_ERROR') {
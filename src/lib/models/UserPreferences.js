@@ -14,17 +14,32 @@ class UserPreferences {
     // Behavior settings
     this.autoStart = Boolean(data.autoStart ?? false);
     this.pauseOnTabSwitch = Boolean(data.pauseOnTabSwitch ?? true);
+    this.resumeOnTabReturn = Boolean(data.resumeOnTabReturn ?? true);
     this.highlightCurrentWord = Boolean(data.highlightCurrentWord ?? true);
     this.showProgress = Boolean(data.showProgress ?? true);
 
+    // Reading structure: say "Heading:", "List, 4 items:" and so on first, and how to
+    // speak code, tables and math
+    this.announceBlocks = Boolean(data.announceBlocks ?? true);
+    this.blockStrategies = this._validateBlockStrategies(data.blockStrategies);
+
+    // Sites where autoStart may or may not start reading; an empty allow list means any site
+    this.autoStartAllowList = this._validateSiteList(data.autoStartAllowList);
+    this.autoStartDenyList = this._validateSiteList(data.autoStartDenyList);
+
+    // Sites where the reader is on unless turned off there with the toolbar button
+    this.alwaysOnSites = this._validateSiteList(data.alwaysOnSites);
+
     // UI settings
     this.overlayPosition = this._validateOverlayPosition(
       data.overlayPosition ?? { x: 85, y: 10, anchor: 'top-right' }
     );
     this.theme = this._validateTheme(data.theme ?? 'auto');
 
-    // Voice settings
+    // Voice settings: a default voice, overridden per language ("fr") and per site
     this.voicePreference = data.voicePreference || '';
+    this.languageVoices = this._validateVoiceOverrides(data.languageVoices, UserPreferences.languageKey);
+    this.siteVoices = this._validateVoiceOverrides(data.siteVoices, UserPreferences.siteKey);
 
     // Keyboard shortcuts
     this.keyboardShortcuts = this._validateKeyboardShortcuts(
@@ -45,11 +60,19 @@ class UserPreferences {
       'defaultVolume',
       'autoStart',
       'pauseOnTabSwitch',
+      'resumeOnTabReturn',
       'highlightCurrentWord',
       'showProgress',
+      'announceBlocks',
+      'blockStrategies',
+      'autoStartAllowList',
+      'autoStartDenyList',
+      'alwaysOnSites',
       'overlayPosition',
       'theme',
       'voicePreference',
+      'languageVoices',
+      'siteVoices',
       'keyboardShortcuts',
     ];
 
@@ -68,10 +91,20 @@ class UserPreferences {
           break;
         case 'autoStart':
         case 'pauseOnTabSwitch':
+        case 'resumeOnTabReturn':
         case 'highlightCurrentWord':
         case 'showProgress':
+        case 'announceBlocks':
           this[key] = Boolean(updates[key]);
           break;
+        case 'blockStrategies':
+          this.blockStrategies = this._validateBlockStrategies(updates[key]);
+          break;
+        case 'autoStartAllowList':
+        case 'autoStartDenyList':
+        case 'alwaysOnSites':
+          this[key] = this._validateSiteList(updates[key]);
+          break;
         case 'overlayPosition':
           this.overlayPosition = this._validateOverlayPosition(updates[key]);
           break;
@@ -81,6 +114,12 @@ class UserPreferences {
         case 'voicePreference':
           this.voicePreference = String(updates[key] || '');
           break;
+        case 'languageVoices':
+          this.languageVoices = this._validateVoiceOverrides(updates[key], UserPreferences.languageKey);
+          break;
+        case 'siteVoices':
+          this.siteVoices = this._validateVoiceOverrides(updates[key], UserPreferences.siteKey);
+          break;
         case 'keyboardShortcuts':
           this.keyboardShortcuts = this._validateKeyboardShortcuts(updates[key]);
           break;
@@ -102,6 +141,75 @@ class UserPreferences {
     };
   }
 
+  /**
+   * Get the voice to use for a page: a site override, then a language override,
+   * then the default voice. Empty string means pick automatically.
+   * @param {Object} page
+   * @param {string} [page.language] - Language tag such as "en-GB"
+   * @param {string} [page.hostname] - Page hostname
+   * @returns {string} Voice URI
+   */
+  getVoiceFor({ language = '', hostname = '' } = {}) {
+    return this.siteVoices[UserPreferences.siteKey(hostname)] ||
+      this.languageVoices[UserPreferences.languageKey(language)] ||
+      this.voicePreference;
+  }
+
+  /**
+   * Set the default voice, or an override for a language or site.
+   * An empty voice removes the override.
+   * @param {string} voiceURI - Voice to use
+   * @param {Object} scope - { language } or { hostname }; neither sets the default
+   */
+  setVoice(voiceURI, { language, hostname } = {}) {
+    const voice = String(voiceURI || '');
+
+    const setOverride = (overrides, key) => {
+      const result = { ...overrides };
+      if (voice) {
+        result[key] = voice;
+      } else {
+        delete result[key];
+      }
+      return result;
+    };
+
+    if (hostname) {
+      this.siteVoices = setOverride(this.siteVoices, UserPreferences.siteKey(hostname));
+    } else if (language) {
+      this.languageVoices = setOverride(this.languageVoices, UserPreferences.languageKey(language));
+    } else {
+      this.voicePreference = voice;
+    }
+
+    this.updatedAt = new Date();
+    return this;
+  }
+
+  /**
+   * Whether to start reading articles on a site by themselves. A site on the deny
+   * list never qualifies; otherwise it must be on the allow list, if there is one.
+   * Sites match their subdomains, so "example.com" covers "news.example.com".
+   * @param {string} hostname - Page hostname
+   * @returns {boolean}
+   */
+  allowsAutoStart(hostname) {
+    if (!this.autoStart) return false;
+    if (UserPreferences.matchesSite(hostname, this.autoStartDenyList)) return false;
+    return this.autoStartAllowList.length === 0 || UserPreferences.matchesSite(hostname, this.autoStartAllowList);
+  }
+
+  /**
+   * Whether a site has an "always on" rule, e.g. "docs.example.com". Sites listed to
+   * start reading on automatically count too, since reading needs the reader on.
+   * @param {string} hostname - Page hostname
+   * @returns {boolean}
+   */
+  isAlwaysOn(hostname) {
+    if (UserPreferences.matchesSite(hostname, this.alwaysOnSites)) return true;
+    return this.autoStartAllowList.length > 0 && this.allowsAutoStart(hostname);
+  }
+
   /**
    * Get UI behavior settings
    */
@@ -109,8 +217,10 @@ class UserPreferences {
     return {
       autoStart: this.autoStart,
       pauseOnTabSwitch: this.pauseOnTabSwitch,
+      resumeOnTabReturn: this.resumeOnTabReturn,
       highlightCurrentWord: this.highlightCurrentWord,
       showProgress: this.showProgress,
+      announceBlocks: this.announceBlocks,
     };
   }
 
@@ -132,6 +242,8 @@ class UserPreferences {
       'stop',
       'skipForward',
       'skipBackward',
+      'nextSection',
+      'previousSection',
     ];
 
     if (!validActions.includes(action)) {
@@ -171,8 +283,10 @@ class UserPreferences {
       'defaultVolume',
       'autoStart',
       'pauseOnTabSwitch',
+      'resumeOnTabReturn',
       'highlightCurrentWord',
       'showProgress',
+      'announceBlocks',
       'theme',
       'voicePreference',
     ];
@@ -190,22 +304,118 @@ class UserPreferences {
       defaultVolume: this.defaultVolume,
       autoStart: this.autoStart,
       pauseOnTabSwitch: this.pauseOnTabSwitch,
+      resumeOnTabReturn: this.resumeOnTabReturn,
       highlightCurrentWord: this.highlightCurrentWord,
       showProgress: this.showProgress,
+      announceBlocks: this.announceBlocks,
+      blockStrategies: this.blockStrategies,
+      autoStartAllowList: this.autoStartAllowList,
+      autoStartDenyList: this.autoStartDenyList,
+      alwaysOnSites: this.alwaysOnSites,
       overlayPosition: this.overlayPosition,
       theme: this.theme,
       voicePreference: this.voicePreference,
+      languageVoices: this.languageVoices,
+      siteVoices: this.siteVoices,
       keyboardShortcuts: this.keyboardShortcuts,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
+      schemaVersion: UserPreferences.SCHEMA_VERSION,
     };
   }
 
   /**
-   * Create UserPreferences from stored data
+   * Create UserPreferences from stored data, migrating it from older schema versions
    */
   static fromJSON(data) {
-    return new UserPreferences(data);
+    return new UserPreferences(UserPreferences.migrate(data));
+  }
+
+  /**
+   * Bring stored preferences up to the current schema version. Unknown fields are
+   * dropped and invalid values fall back to their defaults.
+   * @param {Object|null} data - Stored preferences from any earlier version
+   * @param {Object} [legacy] - Settings releases before UserPreferences kept in
+   *   chrome.storage.local: speed, volume and voice
+   * @returns {Object} Data in the current schema
+   */
+  static migrate(data, legacy = {}) {
+    let migrated = { ...(data || {}) };
+    let version = Number(migrated.schemaVersion) || 0;
+
+    // Written by a newer release on another computer; leave it for that release to read
+    if (version > UserPreferences.SCHEMA_VERSION) return migrated;
+
+    while (version < UserPreferences.SCHEMA_VERSION) {
+      version++;
+      migrated = UserPreferences.MIGRATIONS[version](migrated, legacy);
+    }
+
+    // Keep only known fields, and only values that pass validation
+    const defaults = new UserPreferences().toJSON();
+    const result = { schemaVersion: UserPreferences.SCHEMA_VERSION };
+    Object.keys(defaults).forEach(field => {
+      if (field === 'schemaVersion' || migrated[field] === undefined) return;
+      try {
+        new UserPreferences({ [field]: migrated[field] });
+        result[field] = migrated[field];
+      } catch (error) {
+        console.warn(`Dropping invalid preference ${field}:`, error.message);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Key for language voice overrides: the primary language subtag, e.g. "en" for "en-GB"
+   */
+  static languageKey(language) {
+    return String(language || '').split(/[-_]/)[0].toLowerCase();
+  }
+
+  /**
+   * Key for site voice overrides: the hostname without "www."
+   */
+  static siteKey(hostname) {
+    return String(hostname || '').toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * Whether a hostname is one of a list of sites or a subdomain of one
+   * @param {string} hostname - Page hostname
+   * @param {string[]} sites - Sites as siteKeys
+   * @returns {boolean}
+   */
+  static matchesSite(hostname, sites) {
+    const host = UserPreferences.siteKey(hostname);
+    return sites.some(site => host === site || host.endsWith(`.${site}`));
+  }
+
+  /**
+   * Read a site as typed by the user, e.g. "*.example.com" or a pasted address such
+   * as "https://www.example.com/news"
+   * @param {string} text - Site as typed
+   * @returns {string} The site as a siteKey, or '' if text is blank
+   * @throws {Error} If text isn't a site
+   */
+  static parseSite(text) {
+    // "*.example.com" means the same as "example.com", which covers subdomains
+    const trimmed = String(text).trim().replace(/^\*\./, '');
+    if (!trimmed) return '';
+
+    let hostname;
+    try {
+      hostname = new URL(trimmed.includes('://') ? trimmed : `https://${trimmed}`).hostname;
+    } catch (error) {
+      throw new Error(`Not a site: ${trimmed}`);
+    }
+
+    const site = UserPreferences.siteKey(hostname);
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(site)) {
+      throw new Error(`Not a site: ${trimmed}`);
+    }
+    return site;
   }
 
   /**
@@ -294,6 +504,55 @@ class UserPreferences {
     return theme;
   }
 
+  /**
+   * Private: Validate a map of voice overrides, normalizing its keys
+   */
+  _validateVoiceOverrides(overrides, normalizeKey) {
+    if (!overrides || typeof overrides !== 'object') return {};
+
+    const result = {};
+    Object.entries(overrides).forEach(([key, voice]) => {
+      const normalized = normalizeKey(key);
+      if (normalized && voice) {
+        result[normalized] = String(voice);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Private: Validate a list of sites, keeping each as a siteKey. Entries may be
+   * pasted addresses such as "https://www.example.com/news".
+   */
+  _validateSiteList(sites) {
+    if (sites === undefined || sites === null) return [];
+    if (!Array.isArray(sites)) throw new Error('Sites must be a list');
+
+    const result = [];
+    sites.forEach(entry => {
+      const site = UserPreferences.parseSite(entry);
+      if (site && !result.includes(site)) result.push(site);
+    });
+    return result;
+  }
+
+  /**
+   * Private: Validate how each block type is spoken, filling in missing types
+   */
+  _validateBlockStrategies(strategies) {
+    const result = { ...UserPreferences.DEFAULT_BLOCK_STRATEGIES };
+    if (strategies === undefined || strategies === null) return result;
+    if (typeof strategies !== 'object') throw new Error('Block strategies must be an object');
+
+    Object.entries(strategies).forEach(([type, strategy]) => {
+      const valid = UserPreferences.BLOCK_STRATEGIES[type];
+      if (!valid) throw new Error(`Invalid block type: ${type}`);
+      if (!valid.includes(strategy)) throw new Error(`Invalid ${type} strategy: ${strategy}`);
+      result[type] = strategy;
+    });
+    return result;
+  }
+
   /**
    * Private: Validate keyboard shortcuts
    */
@@ -325,10 +584,48 @@ class UserPreferences {
       stop: 'Escape',
       skipForward: 'ArrowRight',
       skipBackward: 'ArrowLeft',
+      // Letters need modifiers so the page's own single-key shortcuts keep working;
+      // Alt+Shift+P is the browser-wide play/pause command
+      nextSection: 'Alt+Shift+N',
+      previousSection: 'Alt+Shift+B',
     };
   }
 }
 
+// Bump when stored fields change, and add a migration from the previous version
+UserPreferences.SCHEMA_VERSION = 1;
+
+// Ways to speak each block type; "read" reads the text as it appears on the page
+UserPreferences.BLOCK_STRATEGIES = {
+  code: ['read', 'summary', 'symbols', 'skip'],
+  table: ['read', 'rows', 'skip'],
+  math: ['read', 'spoken', 'skip'],
+};
+
+UserPreferences.DEFAULT_BLOCK_STRATEGIES = {
+  code: 'summary',
+  table: 'rows',
+  math: 'spoken',
+};
+
+// Migrations by the version they produce; each takes the previous version's data
+UserPreferences.MIGRATIONS = {
+  // Version 1: settings from before UserPreferences move over from local storage
+  1: (data, legacy = {}) => {
+    const migrated = { ...data };
+    if (migrated.defaultSpeed === undefined && legacy.speed !== undefined) {
+      migrated.defaultSpeed = legacy.speed;
+    }
+    if (migrated.defaultVolume === undefined && legacy.volume !== undefined) {
+      migrated.defaultVolume = legacy.volume;
+    }
+    if (!migrated.voicePreference && legacy.voice) {
+      migrated.voicePreference = legacy.voice;
+    }
+    return migrated;
+  },
+};
+
 // Export for both Node.js and browser environments
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = UserPreferences;
@@ -0,0 +1,185 @@
+/**
+ * PronunciationLexicon - The user's pronunciations: words the voices get wrong, or
+ * regular expressions, and what to say instead, for every site or one site. Kept in
+ * chrome.storage.sync apart from UserPreferences and split over as many items as it
+ * needs, since sync storage caps each item at 8 KB.
+ */
+
+class PronunciationLexicon {
+  constructor({ storage = chrome.storage.sync } = {}) {
+    this.storage = storage;
+  }
+
+  /**
+   * Load the saved pronunciations
+   * @returns {Promise<Array<{match: string, replacement: string, regex: boolean, site: string}>>}
+   */
+  async load() {
+    const { pronunciationKeys = [] } = await this.storage.get(['pronunciationKeys']);
+    if (pronunciationKeys.length === 0) return [];
+
+    const items = await this.storage.get(pronunciationKeys);
+    const entries = pronunciationKeys.flatMap(key => items[key] || []);
+    return PronunciationLexicon.validate(entries, { dropInvalid: true }).entries;
+  }
+
+  /**
+   * Replace the saved pronunciations
+   * @param {Array<Object>} entries - Entries as the user gave them
+   * @returns {Promise<Array<Object>>} The validated entries that were saved
+   * @throws {Error} If an entry is invalid or there are too many to store
+   */
+  async save(entries) {
+    const { entries: validated } = PronunciationLexicon.validate(entries);
+    const items = PronunciationLexicon.toItems(validated, this.storage.QUOTA_BYTES_PER_ITEM);
+
+    const { pronunciationKeys = [] } = await this.storage.get(['pronunciationKeys']);
+    const keys = Object.keys(items);
+    const stale = pronunciationKeys.filter(key => !keys.includes(key));
+
+    await this.storage.set({ ...items, pronunciationKeys: keys });
+    if (stale.length > 0) {
+      await this.storage.remove(stale);
+    }
+    return validated;
+  }
+
+  /**
+   * Add a pronunciation, replacing one for the same text and site
+   * @param {Object} entry - {match, replacement, regex, site}
+   * @returns {Promise<Array<Object>>} All saved entries
+   */
+  async add(entry) {
+    if (!String((entry && entry.match) || '').trim()) throw new Error('Enter the word to pronounce');
+    return this.save([...await this.load(), entry]);
+  }
+
+  /**
+   * Whether a chrome.storage change touched the saved pronunciations
+   */
+  static isChange(changes) {
+    return Object.keys(changes).some(key => key === 'pronunciationKeys' || key.startsWith('pronunciations_'));
+  }
+
+  /**
+   * The pronunciations to use on a page: its site's first, so they win over ones for
+   * every site that match the same text
+   * @param {Array<Object>} entries - Saved entries
+   * @param {string} hostname - Page hostname
+   * @returns {Array<Object>}
+   */
+  static forSite(entries, hostname) {
+    const forSite = entries.filter(entry => entry.site && UserPreferences.matchesSite(hostname, [entry.site]));
+    return [...forSite, ...entries.filter(entry => !entry.site)];
+  }
+
+  /**
+   * Check entries and tidy them. Entries without text to match are dropped, and a
+   * later entry for the same text and site replaces an earlier one.
+   * @param {Array<Object>} entries - Entries as the user gave them
+   * @param {Object} [options]
+   * @param {boolean} [options.dropInvalid] - Leave invalid entries out instead of throwing
+   * @returns {{entries: Array<Object>, skipped: number}} Valid entries and how many were
+   *   left out as invalid
+   */
+  static validate(entries, { dropInvalid = false } = {}) {
+    if (entries === undefined || entries === null) return { entries: [], skipped: 0 };
+    if (!Array.isArray(entries)) throw new Error('Pronunciations must be a list');
+
+    const result = [];
+    let skipped = 0;
+    entries.forEach(entry => {
+      let validated;
+      try {
+        validated = PronunciationLexicon.validateEntry(entry);
+      } catch (error) {
+        if (!dropInvalid) throw error;
+        skipped++;
+        return;
+      }
+      if (!validated) return;
+
+      const existing = result.findIndex(other => PronunciationLexicon._isSame(other, validated));
+      if (existing !== -1) result.splice(existing, 1);
+      result.push(validated);
+    });
+    return { entries: result, skipped };
+  }
+
+  /**
+   * Check one entry
+   * @returns {Object|null} The tidied entry, or null if it has no text to match
+   * @throws {Error} With a message to show the user
+   */
+  static validateEntry(entry) {
+    const match = String((entry && entry.match) || '').trim();
+    if (!match) return null;
+
+    const replacement = String(entry.replacement || '').trim();
+    if (!replacement) throw new Error(`Enter what to say for "${match}"`);
+
+    const regex = Boolean(entry.regex);
+    if (regex) {
+      try {
+        new RegExp(match, 'g');
+      } catch (error) {
+        throw new Error(`Not a valid pattern: ${match}`);
+      }
+    }
+
+    return { match, replacement, regex, site: UserPreferences.parseSite(entry.site || '') };
+  }
+
+  /**
+   * Split entries into storage items that each fit in quotaBytes
+   * @param {Array<Object>} entries - Validated entries
+   * @param {number} [quotaBytes] - Largest item, counting its key
+   * @returns {Object} Items by key, e.g. {pronunciations_0: [...]}
+   * @throws {Error} If the entries need more than PronunciationLexicon.MAX_ITEMS items
+   */
+  static toItems(entries, quotaBytes = PronunciationLexicon.QUOTA_BYTES_PER_ITEM) {
+    const size = (key, value) => new TextEncoder().encode(key + JSON.stringify(value)).length;
+    const keyFor = index => `pronunciations_${index}`;
+
+    const chunks = [];
+    let chunk = [];
+    entries.forEach(entry => {
+      const key = keyFor(chunks.length);
+      if (chunk.length > 0 && size(key, [...chunk, entry]) > quotaBytes) {
+        chunks.push(chunk);
+        chunk = [];
+      }
+      if (size(keyFor(chunks.length), [entry]) > quotaBytes) {
+        throw new Error(`The pronunciation of "${entry.match}" is too long to save`);
+      }
+      chunk.push(entry);
+    });
+    if (chunk.length > 0) chunks.push(chunk);
+
+    if (chunks.length > PronunciationLexicon.MAX_ITEMS) {
+      throw new Error(`Too many pronunciations to save (${entries.length}); remove some and try again`);
+    }
+    return Object.fromEntries(chunks.map((items, index) => [keyFor(index), items]));
+  }
+
+  /**
+   * Private: Whether two entries are for the same text and site. Words match in any
+   * case, so they are compared that way.
+   */
+  static _isSame(a, b) {
+    const text = entry => (entry.regex ? entry.match : entry.match.toLowerCase());
+    return a.regex === b.regex && a.site === b.site && text(a) === text(b);
+  }
+}
+
+// chrome.storage.sync's limit on one item, used when the storage doesn't say
+PronunciationLexicon.QUOTA_BYTES_PER_ITEM = 8192;
+// Items the lexicon may use, leaving the rest of sync storage's 100 KB for other settings
+PronunciationLexicon.MAX_ITEMS = 8;
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PronunciationLexicon;
+} else if (typeof window !== 'undefined') {
+  window.PronunciationLexicon = PronunciationLexicon;
+}
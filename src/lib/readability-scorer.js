@@ -0,0 +1,457 @@
+/**
+ * ReadabilityScorer - Finds the main content of a page the way Mozilla's Readability
+ * does. Paragraphs score their parents and grandparents, class and id names add or
+ * take away weight, and the best candidate takes in related siblings before junk such
+ * as comment threads and link lists is cleaned out of it. If what's left is too short,
+ * it tries again with fewer rules.
+ */
+
+class ReadabilityScorer {
+  /**
+   * @param {Object} [options] - TextExtractor.readabilityOptions
+   * @param {number} [options.nbTopCandidates] - Best candidates compared when looking for
+   *   an ancestor they share
+   * @param {number} [options.charThreshold] - Characters an article needs before retries stop
+   * @param {string[]} [options.classesToPreserve] - Elements with these classes are never
+   *   cleaned out
+   * @param {number} [options.maxElemsToParse] - Give up on pages with more elements; 0 for no limit
+   * @param {boolean} [options.debug] - Log candidate scores
+   */
+  constructor({
+    nbTopCandidates = 5,
+    charThreshold = 500,
+    classesToPreserve = [],
+    maxElemsToParse = 0,
+    debug = false,
+  } = {}) {
+    this.nbTopCandidates = nbTopCandidates;
+    this.charThreshold = charThreshold;
+    this.classesToPreserve = classesToPreserve;
+    this.maxElemsToParse = maxElemsToParse;
+    this.debug = debug;
+  }
+
+  /**
+   * Find the article in a document. Its nodes are moved into a new container that
+   * isn't attached to the document, so pass a copy of the page.
+   * @param {Document} doc - Page to search
+   * @returns {Element|null} Container holding the article, or null if there is no text
+   */
+  grabArticle(doc) {
+    const body = doc.body;
+    if (!body) return null;
+
+    if (this.maxElemsToParse > 0) {
+      const count = body.getElementsByTagName('*').length;
+      if (count > this.maxElemsToParse) {
+        throw new Error(`Aborting parsing document; ${count} elements found`);
+      }
+    }
+
+    // Try each set of rules on copies, so a failed attempt leaves the page as it was
+    const attempts = [];
+    for (const flags of ReadabilityScorer.ATTEMPTS) {
+      const nodes = this._selectContent(body, flags);
+      const trial = this._assemble(doc, nodes.map(node => node.cloneNode(true)), flags);
+      const textLength = this._innerText(trial).length;
+
+      attempts.push({ nodes, flags, textLength });
+      if (textLength >= this.charThreshold) break;
+    }
+
+    // Nothing was long enough: keep the attempt that found the most text
+    const best = attempts.reduce((longest, attempt) => (
+      attempt.textLength > longest.textLength ? attempt : longest
+    ));
+    if (best.textLength === 0) return null;
+
+    if (this.debug) {
+      console.log(`Readability: ${best.textLength} characters with flags ${best.flags}`);
+    }
+    return this._assemble(doc, best.nodes, best.flags);
+  }
+
+  /**
+   * Private: Choose the nodes that make up the article under one set of rules
+   */
+  _selectContent(body, flags) {
+    const candidates = this._scoreParagraphs(body, flags);
+    const top = Array.from(candidates, ([element, score]) => ({ element, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.nbTopCandidates);
+
+    if (this.debug) {
+      top.forEach(({ element, score }) => {
+        console.log(`Readability candidate ${element.tagName}.${element.className} #${element.id}: ${score.toFixed(1)}`);
+      });
+    }
+
+    // No paragraphs to go on, so the whole page is the article
+    if (top.length === 0 || top[0].element === body) {
+      return Array.from(body.childNodes);
+    }
+
+    const topCandidate = this._refineTopCandidate(top, candidates, body, flags);
+    if (topCandidate === body) {
+      return Array.from(body.childNodes);
+    }
+
+    return this._mergeSiblings(topCandidate, candidates);
+  }
+
+  /**
+   * Private: Give each paragraph's score to its ancestors, less the further up they
+   * are, then scale every candidate by how little of it is links
+   * @returns {Map<Element, number>} Candidate scores
+   */
+  _scoreParagraphs(body, flags) {
+    const candidates = new Map();
+    const elements = [];
+    this._collectElementsToScore(body, flags, elements);
+
+    elements.forEach(element => {
+      const text = this._innerText(element);
+      if (text.length < 25) return;
+
+      // Commas suggest sentences; length counts, up to a point
+      const score = 1 + text.split(ReadabilityScorer.COMMAS).length + Math.min(Math.floor(text.length / 100), 3);
+
+      this._ancestors(element, 5).forEach((ancestor, level) => {
+        // Skip the root element
+        if (!ancestor.parentElement) return;
+
+        if (!candidates.has(ancestor)) {
+          candidates.set(ancestor, this._initialScore(ancestor, flags));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        candidates.set(ancestor, candidates.get(ancestor) + score / divider);
+      });
+    });
+
+    candidates.forEach((score, element) => {
+      candidates.set(element, score * (1 - this._linkDensity(element)));
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Private: Collect paragraph-like elements, skipping hidden ones and, while
+   * stripping unlikely candidates, ones whose class or id mark them as page furniture
+   */
+  _collectElementsToScore(root, flags, elements) {
+    Array.from(root.children).forEach(element => {
+      if (this._isHidden(element)) return;
+      if ((flags & ReadabilityScorer.FLAG_STRIP_UNLIKELYS) && this._isUnlikely(element)) return;
+
+      if (ReadabilityScorer.TAGS_TO_SCORE.includes(element.tagName) || this._isParagraphLike(element)) {
+        elements.push(element);
+      }
+      this._collectElementsToScore(element, flags, elements);
+    });
+  }
+
+  /**
+   * Private: Settle on one candidate. Several strong candidates inside one ancestor
+   * mean the ancestor is the article; so does a parent that outscores the candidate.
+   */
+  _refineTopCandidate(top, candidates, body, flags) {
+    let topCandidate = top[0].element;
+    const topScore = top[0].score;
+
+    const alternatives = top.slice(1)
+      .filter(candidate => candidate.score / topScore >= 0.75)
+      .map(candidate => this._ancestors(candidate.element));
+    if (alternatives.length >= ReadabilityScorer.MINIMUM_TOP_CANDIDATES) {
+      let parent = topCandidate.parentElement;
+      while (parent && parent !== body) {
+        const sharing = alternatives.filter(ancestors => ancestors.includes(parent)).length;
+        if (sharing >= ReadabilityScorer.MINIMUM_TOP_CANDIDATES) {
+          topCandidate = parent;
+          break;
+        }
+        parent = parent.parentElement;
+      }
+    }
+    if (!candidates.has(topCandidate)) {
+      candidates.set(topCandidate, this._initialScore(topCandidate, flags));
+    }
+
+    let parent = topCandidate.parentElement;
+    let lastScore = candidates.get(topCandidate);
+    const scoreThreshold = lastScore / 3;
+    while (parent && parent !== body) {
+      if (candidates.has(parent)) {
+        const parentScore = candidates.get(parent);
+        if (parentScore < scoreThreshold) break;
+        if (parentScore > lastScore) {
+          topCandidate = parent;
+          break;
+        }
+        lastScore = parentScore;
+      }
+      parent = parent.parentElement;
+    }
+
+    // Wrappers around nothing but the candidate add nothing, but their siblings might
+    parent = topCandidate.parentElement;
+    while (parent && parent !== body && parent.children.length === 1) {
+      topCandidate = parent;
+      parent = topCandidate.parentElement;
+    }
+    if (!candidates.has(topCandidate)) {
+      candidates.set(topCandidate, this._initialScore(topCandidate, flags));
+    }
+
+    return topCandidate;
+  }
+
+  /**
+   * Private: The candidate plus siblings that belong with it, e.g. the rest of an
+   * article split around an ad, in page order
+   */
+  _mergeSiblings(topCandidate, candidates) {
+    const topScore = candidates.get(topCandidate);
+    const threshold = Math.max(10, topScore * 0.2);
+    const className = topCandidate.getAttribute('class') || '';
+
+    return Array.from(topCandidate.parentElement.children).filter(sibling => {
+      if (sibling === topCandidate) return true;
+
+      const bonus = className && sibling.getAttribute('class') === className ? topScore * 0.2 : 0;
+      if (candidates.has(sibling) && candidates.get(sibling) + bonus >= threshold) return true;
+
+      if (this._isParagraphLike(sibling)) {
+        const text = this._innerText(sibling);
+        const linkDensity = this._linkDensity(sibling);
+        if (text.length > 80 && linkDensity < 0.25) return true;
+        if (text.length > 0 && text.length <= 80 && linkDensity === 0 && /\.( |$)/.test(text)) return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Private: Put the chosen nodes in a container and clean it
+   */
+  _assemble(doc, nodes, flags) {
+    const container = doc.createElement('div');
+    nodes.forEach(node => container.appendChild(node));
+    this._clean(container, flags);
+    return container;
+  }
+
+  /**
+   * Private: Remove what doesn't belong in the article text
+   */
+  _clean(container, flags) {
+    const removeWhere = (selector, test) => {
+      // Last first, so nested matches are judged before what contains them
+      Array.from(container.querySelectorAll(selector)).reverse().forEach(element => {
+        if (container.contains(element) && !this._isPreserved(element) && test(element)) {
+          element.remove();
+        }
+      });
+    };
+
+    removeWhere('*', element => this._isHidden(element) ||
+      ((flags & ReadabilityScorer.FLAG_STRIP_UNLIKELYS) && this._isUnlikely(element)));
+    removeWhere(ReadabilityScorer.JUNK_TAGS, () => true);
+
+    // Headings marked as something else, e.g. "h2.comments-title"
+    removeWhere('h1, h2', heading => this._classWeight(heading, flags) < 0);
+
+    if (flags & ReadabilityScorer.FLAG_CLEAN_CONDITIONALLY) {
+      removeWhere('form, fieldset', element => this._isJunk(element, flags));
+      removeWhere('table, ul, ol, div, section', element => this._isJunk(element, flags));
+    }
+  }
+
+  /**
+   * Private: Whether a container inside the article looks like comments, link lists,
+   * galleries or forms rather than writing
+   */
+  _isJunk(element, flags) {
+    if (element.closest('code, pre')) return false;
+
+    // Data tables are content
+    if (element.tagName === 'TABLE' && element.querySelector('th, caption')) return false;
+
+    const weight = this._classWeight(element, flags);
+    if (weight < 0) return true;
+
+    const text = this._innerText(element);
+    if (text.split(ReadabilityScorer.COMMAS).length > 10) return false;
+
+    const isList = element.tagName === 'UL' || element.tagName === 'OL';
+    const paragraphs = element.getElementsByTagName('p').length;
+    const images = element.getElementsByTagName('img').length;
+    const listItems = element.getElementsByTagName('li').length - 100;
+    const inputs = element.getElementsByTagName('input').length;
+    const headingLength = Array.from(element.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .reduce((total, heading) => total + this._innerText(heading).length, 0);
+    const headingDensity = text.length > 0 ? headingLength / text.length : 0;
+    const linkDensity = this._linkDensity(element);
+
+    return (images > 1 && paragraphs / images < 0.5 && !element.closest('figure')) ||
+      (!isList && listItems > paragraphs) ||
+      (inputs > Math.floor(paragraphs / 3)) ||
+      (!isList && headingDensity < 0.9 && text.length < 25 && (images === 0 || images > 2) && linkDensity > 0) ||
+      (weight < 25 && linkDensity > 0.2) ||
+      (weight >= 25 && linkDensity > 0.5);
+  }
+
+  /**
+   * Private: Starting score for a candidate from its tag and class weight
+   */
+  _initialScore(element, flags) {
+    let score = 0;
+    switch (element.tagName) {
+      case 'DIV':
+        score = 5;
+        break;
+      case 'PRE':
+      case 'TD':
+      case 'BLOCKQUOTE':
+        score = 3;
+        break;
+      case 'ADDRESS':
+      case 'OL':
+      case 'UL':
+      case 'DL':
+      case 'DD':
+      case 'DT':
+      case 'LI':
+      case 'FORM':
+        score = -3;
+        break;
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+      case 'TH':
+        score = -5;
+        break;
+    }
+    return score + this._classWeight(element, flags);
+  }
+
+  /**
+   * Private: +25 or -25 each for a class and an id that sound like content or furniture
+   */
+  _classWeight(element, flags) {
+    if (!(flags & ReadabilityScorer.FLAG_WEIGHT_CLASSES)) return 0;
+
+    let weight = 0;
+    [element.getAttribute('class'), element.id].forEach(name => {
+      if (!name) return;
+      if (ReadabilityScorer.NEGATIVE.test(name)) weight -= 25;
+      if (ReadabilityScorer.POSITIVE.test(name)) weight += 25;
+    });
+    return weight;
+  }
+
+  /**
+   * Private: Share of an element's text that is link text. In-page links count less.
+   */
+  _linkDensity(element) {
+    const textLength = this._innerText(element).length;
+    if (textLength === 0) return 0;
+
+    const linkLength = Array.from(element.getElementsByTagName('a')).reduce((total, link) => {
+      const coefficient = (link.getAttribute('href') || '').startsWith('#') ? 0.3 : 1;
+      return total + this._innerText(link).length * coefficient;
+    }, 0);
+    return linkLength / textLength;
+  }
+
+  /**
+   * Private: Whether an element's class, id or role mark it as page furniture
+   */
+  _isUnlikely(element) {
+    if (element.tagName === 'BODY' || element.tagName === 'A') return false;
+
+    if (ReadabilityScorer.UNLIKELY_ROLES.includes(element.getAttribute('role'))) return true;
+
+    const matchString = `${element.getAttribute('class') || ''} ${element.id}`;
+    return ReadabilityScorer.UNLIKELY_CANDIDATES.test(matchString) &&
+      !ReadabilityScorer.MAYBE_CANDIDATE.test(matchString) &&
+      !element.closest('table, code');
+  }
+
+  /**
+   * Private: Hidden elements aren't part of what the reader sees
+   */
+  _isHidden(element) {
+    const style = element.getAttribute('style') || '';
+    return element.hasAttribute('hidden') ||
+      element.getAttribute('aria-hidden') === 'true' ||
+      /display\s*:\s*none|visibility\s*:\s*hidden/i.test(style);
+  }
+
+  /**
+   * Private: A paragraph, or a div holding only text and inline elements
+   */
+  _isParagraphLike(element) {
+    return element.tagName === 'P' ||
+      (element.tagName === 'DIV' && !element.querySelector(ReadabilityScorer.BLOCK_ELEMENTS));
+  }
+
+  /**
+   * Private: Elements cleaning must keep, from classesToPreserve
+   */
+  _isPreserved(element) {
+    return this.classesToPreserve.some(name => element.classList.contains(name));
+  }
+
+  /**
+   * Private: Parent, grandparent and so on, nearest first
+   */
+  _ancestors(element, maxDepth = 0) {
+    const ancestors = [];
+    let parent = element.parentElement;
+    while (parent && (maxDepth === 0 || ancestors.length < maxDepth)) {
+      ancestors.push(parent);
+      parent = parent.parentElement;
+    }
+    return ancestors;
+  }
+
+  /**
+   * Private: Text with whitespace collapsed
+   */
+  _innerText(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Rules that attempts relax in turn when the article comes out too short
+ReadabilityScorer.FLAG_STRIP_UNLIKELYS = 0x1;
+ReadabilityScorer.FLAG_WEIGHT_CLASSES = 0x2;
+ReadabilityScorer.FLAG_CLEAN_CONDITIONALLY = 0x4;
+ReadabilityScorer.ATTEMPTS = [0x7, 0x6, 0x4, 0x0];
+
+// Strong candidates that must share an ancestor for it to become the article
+ReadabilityScorer.MINIMUM_TOP_CANDIDATES = 3;
+
+ReadabilityScorer.TAGS_TO_SCORE = ['SECTION', 'H2', 'H3', 'H4', 'H5', 'H6', 'P', 'TD', 'PRE'];
+// A div containing any of these is a container rather than a paragraph
+ReadabilityScorer.BLOCK_ELEMENTS = 'blockquote, dl, div, img, ol, p, pre, table, ul';
+// Removed from the article whatever their score
+ReadabilityScorer.JUNK_TAGS = 'object, embed, iframe, input, textarea, select, button, link, aside, footer, script, style, noscript';
+
+ReadabilityScorer.COMMAS = /[,،﹐︐︑⹁⸴⸲，]/;
+ReadabilityScorer.UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i;
+ReadabilityScorer.MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+ReadabilityScorer.UNLIKELY_ROLES = ['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog'];
+ReadabilityScorer.POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+ReadabilityScorer.NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReadabilityScorer;
+} else if (typeof window !== 'undefined') {
+  window.ReadabilityScorer = ReadabilityScorer;
+}
@@ -0,0 +1,179 @@
+/**
+ * SessionStore - Saves reading positions to chrome.storage.local so an article can be
+ * resumed on a later visit. Sessions are keyed by normalized page URL and a fingerprint
+ * of the text, so a changed article doesn't resume at a stale position.
+ */
+
+class SessionStore {
+  constructor({ storage = chrome.storage.local, maxSessions = 50 } = {}) {
+    this.storage = storage;
+    this.maxSessions = maxSessions;
+  }
+
+  /**
+   * Normalize a page URL so the same article matches across visits:
+   * drops the fragment, tracking parameters, "www." and trailing slashes
+   * @param {string} pageUrl - Page URL
+   * @returns {string}
+   */
+  static normalizeUrl(pageUrl) {
+    let url;
+    try {
+      url = new URL(pageUrl);
+    } catch {
+      return String(pageUrl);
+    }
+
+    Array.from(url.searchParams.keys()).forEach(name => {
+      if (SessionStore.TRACKING_PARAMS.test(name)) {
+        url.searchParams.delete(name);
+      }
+    });
+    url.searchParams.sort();
+
+    const host = url.host.replace(/^www\./, '');
+    const path = url.pathname.replace(/\/+$/, '');
+    return `${host}${path}${url.search}`;
+  }
+
+  /**
+   * Fingerprint text, ignoring whitespace differences
+   * @param {string} text - Text being read
+   * @returns {string}
+   */
+  static fingerprint(text) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+      hash ^= normalized.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return `${normalized.length.toString(36)}-${hash.toString(36)}`;
+  }
+
+  static keyFor(pageUrl, fingerprint) {
+    return `session:${SessionStore.normalizeUrl(pageUrl)}|${fingerprint}`;
+  }
+
+  /**
+   * Copy only the fields a saved session keeps (SessionStore.FIELDS), leaving out the
+   * text, blocks and so on that a reading needs only while it plays
+   * @param {Object} session - AudioSession.toJSON() or a saved session
+   * @returns {Object}
+   */
+  static pickFields(session) {
+    const picked = {};
+    SessionStore.FIELDS.forEach(field => {
+      if (session[field] !== undefined) picked[field] = session[field];
+    });
+    return picked;
+  }
+
+  /**
+   * Save a session, replacing any earlier one for the same page and text
+   * @param {Object} session - AudioSession.toJSON() with a fingerprint
+   */
+  async save(session) {
+    if (!session || !session.fingerprint) return;
+
+    const key = SessionStore.keyFor(session.pageUrl, session.fingerprint);
+    const { savedSessionKeys = [] } = await this.storage.get(['savedSessionKeys']);
+
+    // Most recently saved first; forget the oldest past the limit
+    const keys = [key, ...savedSessionKeys.filter(existing => existing !== key)];
+    const evicted = keys.splice(this.maxSessions);
+    if (evicted.length > 0) {
+      await this.storage.remove(evicted);
+    }
+
+    await this.storage.set({
+      [key]: { ...SessionStore.pickFields(session), savedAt: new Date().toISOString() },
+      savedSessionKeys: keys,
+    });
+  }
+
+  /**
+   * Load the saved session for a page and text
+   * @returns {Promise<Object|null>} Saved session data or null
+   */
+  async load(pageUrl, fingerprint) {
+    const key = SessionStore.keyFor(pageUrl, fingerprint);
+    const result = await this.storage.get([key]);
+    return result[key] || null;
+  }
+
+  /**
+   * Get every saved session, most recently saved first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    const { savedSessionKeys = [] } = await this.storage.get(['savedSessionKeys']);
+    if (savedSessionKeys.length === 0) return [];
+
+    const entries = await this.storage.get(savedSessionKeys);
+    return savedSessionKeys.map(key => entries[key]).filter(Boolean);
+  }
+
+  /**
+   * Add sessions from elsewhere, e.g. an imported file. A session replaces a saved one
+   * for the same page and text only if it was saved more recently.
+   * @param {Array<Object>} sessions - Saved sessions with pageUrl, fingerprint and savedAt
+   * @returns {Promise<number>} Number of sessions added or updated
+   */
+  async restore(sessions) {
+    const { savedSessionKeys = [] } = await this.storage.get(['savedSessionKeys']);
+    const existing = savedSessionKeys.length > 0 ? await this.storage.get(savedSessionKeys) : {};
+
+    const savedAt = session => Date.parse(session.savedAt) || 0;
+
+    const updates = {};
+    sessions.forEach(session => {
+      const key = SessionStore.keyFor(session.pageUrl, session.fingerprint);
+      const current = updates[key] || existing[key];
+      if (current && savedAt(current) >= savedAt(session)) return;
+      updates[key] = session;
+    });
+
+    // Order everything by when it was saved and forget the oldest past the limit
+    const all = { ...existing, ...updates };
+    const keys = Object.keys(all).sort((a, b) => savedAt(all[b]) - savedAt(all[a]));
+    const evicted = keys.splice(this.maxSessions);
+
+    const stale = evicted.filter(key => key in existing);
+    if (stale.length > 0) {
+      await this.storage.remove(stale);
+    }
+
+    const added = Object.keys(updates).filter(key => keys.includes(key));
+    await this.storage.set({
+      ...Object.fromEntries(added.map(key => [key, updates[key]])),
+      savedSessionKeys: keys,
+    });
+    return added.length;
+  }
+
+  async remove(pageUrl, fingerprint) {
+    const key = SessionStore.keyFor(pageUrl, fingerprint);
+    const { savedSessionKeys = [] } = await this.storage.get(['savedSessionKeys']);
+
+    await this.storage.remove([key]);
+    await this.storage.set({ savedSessionKeys: savedSessionKeys.filter(existing => existing !== key) });
+  }
+}
+
+SessionStore.TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid)$/;
+// What a saved session keeps: enough to find its article and resume it
+SessionStore.FIELDS = [
+  'pageUrl', 'fingerprint', 'currentCharIndex', 'currentPosition', 'totalWords',
+  'language', 'voiceURI', 'speed', 'volume', 'savedAt',
+];
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionStore;
+} else if (typeof window !== 'undefined') {
+  window.SessionStore = SessionStore;
+}
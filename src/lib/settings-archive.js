@@ -0,0 +1,133 @@
+/**
+ * SettingsArchive - Exports preferences, pronunciations and saved reading positions to a single
+ * versioned JSON file and imports them back, e.g. to set up another computer or
+ * share a team's standard settings.
+ */
+
+class SettingsArchive {
+  constructor({ syncStorage = chrome.storage.sync, sessionStore = new SessionStore() } = {}) {
+    this.syncStorage = syncStorage;
+    this.sessionStore = sessionStore;
+    this.lexicon = new PronunciationLexicon({ storage: syncStorage });
+  }
+
+  /**
+   * Build the export file contents
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSessions] - Include saved reading positions
+   * @returns {Promise<Object>} Archive data, ready for JSON.stringify
+   */
+  async export({ includeSessions = true } = {}) {
+    const { userPreferences } = await this.syncStorage.get(['userPreferences']);
+
+    const archive = {
+      type: SettingsArchive.TYPE,
+      version: SettingsArchive.VERSION,
+      exportedAt: new Date().toISOString(),
+      preferences: UserPreferences.fromJSON(userPreferences || {}).toJSON(),
+      pronunciations: await this.lexicon.load(),
+    };
+
+    if (includeSessions) {
+      archive.sessions = await this.sessionStore.getAll();
+    }
+
+    return archive;
+  }
+
+  /**
+   * Check a file's text and read it as archive data
+   * @param {string} text - File contents
+   * @returns {Object} Archive data
+   * @throws {Error} With a message to show the user if the file can't be imported
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This file is not a settings export (it is not valid JSON)');
+    }
+
+    if (!data || data.type !== SettingsArchive.TYPE || !Number.isInteger(data.version)) {
+      throw new Error('This file is not a settings export');
+    }
+    if (data.version > SettingsArchive.VERSION) {
+      throw new Error('This file was exported by a newer version of the extension; update it first');
+    }
+
+    return data;
+  }
+
+  /**
+   * Import archive data. Preferences replace the current ones, keeping this
+   * browser's user ID, and so do pronunciations if the file has them (version 1 files
+   * don't); reading positions are added to the saved ones. Invalid pronunciations and
+   * reading positions are left out and counted.
+   * @param {Object} data - Archive data from parse()
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSessions] - Import saved reading positions
+   * @returns {Promise<{preferences: UserPreferences, pronunciations: Array<Object>,
+   *   skippedPronunciations: number, sessions: number, skipped: number}>}
+   */
+  async import(data, { includeSessions = true } = {}) {
+    const { userPreferences: current } = await this.syncStorage.get(['userPreferences']);
+    const existing = current ? UserPreferences.fromJSON(current) : new UserPreferences();
+
+    // Migration drops unknown fields and invalid values from the file
+    const preferences = UserPreferences.fromJSON(data.preferences || {});
+    preferences.userId = existing.userId;
+    preferences.createdAt = existing.createdAt;
+    preferences.updatedAt = new Date();
+
+    // Pronunciations first: they are the part that can be too big to store
+    let pronunciations;
+    let skippedPronunciations = 0;
+    if (Array.isArray(data.pronunciations)) {
+      const valid = PronunciationLexicon.validate(data.pronunciations, { dropInvalid: true });
+      skippedPronunciations = valid.skipped;
+      pronunciations = await this.lexicon.save(valid.entries);
+    } else {
+      pronunciations = await this.lexicon.load();
+    }
+    await this.syncStorage.set({ userPreferences: preferences.toJSON() });
+
+    let sessions = 0;
+    let skipped = 0;
+    if (includeSessions && Array.isArray(data.sessions)) {
+      const valid = data.sessions.filter(SettingsArchive.isValidSession);
+      skipped = data.sessions.length - valid.length;
+      sessions = await this.sessionStore.restore(valid.map(SessionStore.pickFields));
+    }
+
+    return { preferences, pronunciations, skippedPronunciations, sessions, skipped };
+  }
+
+  /**
+   * A saved session can be imported if it identifies its article and position
+   */
+  static isValidSession(session) {
+    return Boolean(session) &&
+      typeof session.pageUrl === 'string' && session.pageUrl.length > 0 &&
+      typeof session.fingerprint === 'string' && session.fingerprint.length > 0 &&
+      Number.isInteger(session.currentCharIndex) && session.currentCharIndex >= 0;
+  }
+
+  /**
+   * File name for an export, e.g. "screen-reader-settings-2024-05-01.json"
+   */
+  static fileName(date = new Date()) {
+    return `screen-reader-settings-${date.toISOString().slice(0, 10)}.json`;
+  }
+}
+
+SettingsArchive.TYPE = 'screen-reader-settings';
+// Bump when the file layout changes; parse() rejects files from newer versions
+SettingsArchive.VERSION = 2;
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsArchive;
+} else if (typeof window !== 'undefined') {
+  window.SettingsArchive = SettingsArchive;
+}
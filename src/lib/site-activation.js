@@ -0,0 +1,91 @@
+/**
+ * SiteActivation - Whether the reader is on for a site. The toolbar button turns it on
+ * or off per origin in chrome.storage.local; sites without a choice follow the
+ * UserPreferences "always on" rules and are otherwise off.
+ */
+
+class SiteActivation {
+  constructor({ storage = chrome.storage.local, syncStorage = chrome.storage.sync } = {}) {
+    this.storage = storage;
+    this.syncStorage = syncStorage;
+  }
+
+  /**
+   * The origin a page's state is kept under. All local files share one state.
+   * @param {string} pageUrl - Page URL
+   * @returns {string|null} Origin, or null for pages the reader can't run on
+   */
+  static originOf(pageUrl) {
+    let url;
+    try {
+      url = new URL(pageUrl);
+    } catch {
+      return null;
+    }
+
+    if (url.protocol === 'http:' || url.protocol === 'https:') return url.origin;
+    if (url.protocol === 'file:') return 'file://';
+    return null;
+  }
+
+  /**
+   * Whether the reader is on for a page
+   * @param {string} pageUrl - Page URL
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(pageUrl) {
+    const origin = SiteActivation.originOf(pageUrl);
+    if (!origin) return false;
+
+    const { siteActivation = {} } = await this.storage.get(['siteActivation']);
+    if (origin in siteActivation) return siteActivation[origin];
+
+    return this._isAlwaysOn(pageUrl);
+  }
+
+  /**
+   * Turn the reader on or off for a page's origin
+   * @param {string} pageUrl - Page URL
+   * @param {boolean} enabled - New state
+   */
+  async setEnabled(pageUrl, enabled) {
+    const origin = SiteActivation.originOf(pageUrl);
+    if (!origin) {
+      throw new Error(`The reader can't run on ${pageUrl}`);
+    }
+
+    const { siteActivation = {} } = await this.storage.get(['siteActivation']);
+    const updated = { ...siteActivation };
+
+    // Only keep choices that differ from the rules, so a changed rule applies again
+    if (Boolean(enabled) === await this._isAlwaysOn(pageUrl)) {
+      delete updated[origin];
+    } else {
+      updated[origin] = Boolean(enabled);
+    }
+
+    await this.storage.set({ siteActivation: updated });
+  }
+
+  /**
+   * Private: Whether the options turn the reader on for a page
+   */
+  async _isAlwaysOn(pageUrl) {
+    const { userPreferences } = await this.syncStorage.get(['userPreferences']);
+    if (!userPreferences) return false;
+
+    try {
+      return UserPreferences.fromJSON(userPreferences).isAlwaysOn(new URL(pageUrl).hostname);
+    } catch (error) {
+      console.warn('Invalid stored preferences, ignoring always-on sites:', error);
+      return false;
+    }
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteActivation;
+} else if (typeof window !== 'undefined') {
+  window.SiteActivation = SiteActivation;
+}
@@ -0,0 +1,280 @@
+/**
+ * SpeechQueue - Speaks long text as a series of short utterances.
+ * Chromium engines silently stop a single utterance after ~15 seconds, so text is
+ * packed into sentence-aligned chunks that are spoken back-to-back, with the next
+ * chunk always queued on the engine before the current one finishes.
+ * A TextNormalizer, if given, rewrites each chunk for speech ("$5" becomes "5 US
+ * dollars"); boundaries are still reported in the chunk's own text.
+ */
+
+class SpeechQueue {
+  constructor({ maxChunkLength = 220, normalizer = null, onChunkStart, onBoundary, onEnd, onError } = {}) {
+    this.maxChunkLength = maxChunkLength;
+    this.normalizer = normalizer;
+    this.onChunkStart = onChunkStart || (() => {});
+    this.onBoundary = onBoundary || (() => {});
+    this.onEnd = onEnd || (() => {});
+    this.onError = onError || (() => {});
+
+    this.chunks = [];
+    this.currentIndex = -1;
+    this.queuedIndex = -1;
+    this.options = {};
+    this.isActive = false;
+    this.isPaused = false;
+
+    // Bumped on every start/cancel so events from cancelled utterances are ignored
+    this.generation = 0;
+  }
+
+  /**
+   * Split text into chunks of whole sentences no longer than maxChunkLength.
+   * A single sentence over the limit is split at word boundaries. Sentences with
+   * their own voice, e.g. in another language, are never packed with other ones, and
+   * neither are sentences in another language or with an announcement or with skipped
+   * text between them.
+   * A sentence with speech, such as a table read row by row, says that instead of its
+   * text, in chunks of its own.
+   * @param {string} text - Full text to speak
+   * @param {Array<{text: string, start: number, voice: ?SpeechSynthesisVoice, language: ?string,
+   *   announcement: ?string, speech: ?string}>} sentences - Sentences of text; an announcement,
+   *   e.g. "Heading:", is said before the sentence
+   * @returns {Array<{index: number, text: string, start: number, end: number, voice: ?SpeechSynthesisVoice,
+   *   language: ?string, announcement: ?string, speech: ?string}>}
+   */
+  buildChunks(text, sentences) {
+    const chunks = [];
+    let chunkStart = -1;
+    let chunkEnd = -1;
+    let chunkVoice;
+    let chunkLanguage;
+    let chunkAnnouncement;
+
+    const pushChunk = (start, end, { voice, language }, announcement, speech) => {
+      chunks.push({
+        index: chunks.length,
+        text: text.substring(start, end),
+        start,
+        end,
+        voice,
+        language,
+        announcement,
+        speech,
+      });
+    };
+
+    sentences.forEach(sentence => {
+      const start = text.indexOf(sentence.text, sentence.start);
+      if (start === -1) return;
+      const end = start + sentence.text.length;
+
+      if (chunkStart !== -1 && (end - chunkStart > this.maxChunkLength || sentence.voice !== chunkVoice ||
+          sentence.language !== chunkLanguage || sentence.announcement || sentence.speech ||
+          text.substring(chunkEnd, start).trim())) {
+        pushChunk(chunkStart, chunkEnd, { voice: chunkVoice, language: chunkLanguage }, chunkAnnouncement);
+        chunkStart = -1;
+      }
+
+      if (sentence.speech) {
+        this._splitLongSpan(sentence.speech, 0, sentence.speech.length).forEach(([pieceStart, pieceEnd], i) => {
+          pushChunk(start, end, sentence, i === 0 ? sentence.announcement : undefined,
+            sentence.speech.substring(pieceStart, pieceEnd));
+        });
+        return;
+      }
+
+      if (end - start > this.maxChunkLength) {
+        this._splitLongSpan(text, start, end).forEach(([pieceStart, pieceEnd], i) => {
+          pushChunk(pieceStart, pieceEnd, sentence, i === 0 ? sentence.announcement : undefined);
+        });
+        return;
+      }
+
+      if (chunkStart === -1) {
+        chunkStart = start;
+        chunkVoice = sentence.voice;
+        chunkLanguage = sentence.language;
+        chunkAnnouncement = sentence.announcement;
+      }
+      chunkEnd = end;
+    });
+
+    if (chunkStart !== -1) {
+      pushChunk(chunkStart, chunkEnd, { voice: chunkVoice, language: chunkLanguage }, chunkAnnouncement);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Start speaking text from the first chunk
+   * @param {string} text - Full text to speak
+   * @param {Array} sentences - Sentences of text (see buildChunks)
+   * @param {Object} options - Utterance settings: rate, volume, voice (for chunks without their own),
+   *   language (of chunks without their own, for normalization) and normalizer (used instead
+   *   of the queue's own for this text)
+   */
+  start(text, sentences, options = {}) {
+    this.cancel();
+
+    this.chunks = this.buildChunks(text, sentences);
+    this.options = { ...options };
+    if (this.chunks.length === 0) return;
+
+    this.isActive = true;
+    this.currentIndex = 0;
+    this._enqueue(0);
+  }
+
+  pause() {
+    if (!this.isActive || this.isPaused) return;
+    speechSynthesis.pause();
+    this.isPaused = true;
+  }
+
+  resume() {
+    if (!this.isActive || !this.isPaused) return;
+    speechSynthesis.resume();
+    this.isPaused = false;
+  }
+
+  cancel() {
+    this.generation++;
+    const wasActive = this.isActive;
+
+    this.isActive = false;
+    this.isPaused = false;
+    this.chunks = [];
+    this.currentIndex = -1;
+    this.queuedIndex = -1;
+
+    if (wasActive) {
+      speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Update utterance settings; applies from the next chunk that is queued
+   */
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Get the chunk currently being spoken
+   */
+  getCurrentChunk() {
+    return this.chunks[this.currentIndex] || null;
+  }
+
+  /**
+   * Private: Create and queue the utterance for a chunk
+   */
+  _enqueue(index) {
+    const chunk = this.chunks[index];
+    if (!chunk) return;
+
+    const generation = this.generation;
+    const voice = chunk.voice || this.options.voice;
+
+    // Announcements are spoken first; boundaries inside them aren't reported, and nor
+    // are boundaries in speech, which doesn't match the chunk's text
+    const prefix = chunk.announcement ? `${chunk.announcement} ` : '';
+    const body = chunk.speech || chunk.text;
+    const normalizer = this.options.normalizer || this.normalizer;
+    const normalized = normalizer
+      ? normalizer.normalize(body, chunk.language || this.options.language || (voice && voice.lang) || 'en')
+      : null;
+    const utterance = new SpeechSynthesisUtterance(prefix + (normalized ? normalized.text : body));
+    if (this.options.rate !== undefined) utterance.rate = this.options.rate;
+    if (this.options.volume !== undefined) utterance.volume = this.options.volume;
+
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+
+    utterance.onstart = () => {
+      if (generation !== this.generation) return;
+
+      this.currentIndex = index;
+      this.onChunkStart(chunk, this.chunks.length);
+
+      // Prefetch: keep the following chunk queued so there is no gap between them
+      if (this.queuedIndex < index + 1) {
+        this._enqueue(index + 1);
+      }
+    };
+
+    utterance.onboundary = event => {
+      if (generation !== this.generation || chunk.speech) return;
+      if (!prefix && !normalized) {
+        this.onBoundary(event, chunk);
+        return;
+      }
+
+      const charIndex = event.charIndex - prefix.length;
+      if (charIndex < 0) return;
+      const range = normalized
+        ? normalized.toOriginalRange(charIndex, event.charLength)
+        : { start: charIndex, length: event.charLength };
+      this.onBoundary({ name: event.name, charIndex: range.start, charLength: range.length }, chunk);
+    };
+
+    utterance.onend = () => {
+      if (generation !== this.generation) return;
+
+      if (index >= this.chunks.length - 1) {
+        this.isActive = false;
+        this.isPaused = false;
+        this.onEnd();
+      } else if (this.queuedIndex < index + 1) {
+        // Engine finished before onstart fired for this chunk
+        this._enqueue(index + 1);
+      }
+    };
+
+    utterance.onerror = event => {
+      if (generation !== this.generation) return;
+      // Cancelling or interrupting is expected when the queue is restarted
+      if (event.error === 'canceled' || event.error === 'interrupted') return;
+
+      this.cancel();
+      this.onError(event);
+    };
+
+    this.queuedIndex = index;
+    speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Private: Split [start, end) of text into pieces at whitespace
+   */
+  _splitLongSpan(text, start, end) {
+    const pieces = [];
+    let pieceStart = start;
+
+    while (end - pieceStart > this.maxChunkLength) {
+      const limit = pieceStart + this.maxChunkLength;
+      let breakAt = text.lastIndexOf(' ', limit);
+      if (breakAt <= pieceStart) breakAt = limit;
+
+      pieces.push([pieceStart, breakAt]);
+      pieceStart = breakAt;
+      while (pieceStart < end && text[pieceStart] === ' ') pieceStart++;
+    }
+
+    if (pieceStart < end) {
+      pieces.push([pieceStart, end]);
+    }
+
+    return pieces;
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpeechQueue;
+} else if (typeof window !== 'undefined') {
+  window.SpeechQueue = SpeechQueue;
+}
@@ -0,0 +1,442 @@
+/**
+ * SpokenMath - Turns MathML and LaTeX into words a speech engine can say, e.g.
+ * "x squared plus 1 over 2" for x^2 + \frac{1}{2}
+ */
+
+class SpokenMath {
+  /**
+   * Speak a formula on the page: a <math> element, or a KaTeX or MathJax rendering,
+   * which keep their LaTeX or MathML source inside them
+   * @param {Element} element - Formula element
+   * @returns {string} Spoken form
+   */
+  static fromElement(element) {
+    if (!element) return '';
+
+    const tex = element.querySelector('annotation[encoding="application/x-tex"]');
+    if (tex) return SpokenMath.fromLatex(tex.textContent);
+
+    const math = element.localName === 'math' ? element : element.querySelector('math');
+    if (math) return SpokenMath.fromMathML(math);
+
+    return SpokenMath._words(element.textContent);
+  }
+
+  /**
+   * Speak a MathML element
+   * @param {Element} element - <math> or any MathML element inside one
+   * @returns {string} Spoken form
+   */
+  static fromMathML(element) {
+    return SpokenMath._words(SpokenMath._speakMathML(element));
+  }
+
+  /**
+   * Speak LaTeX source, e.g. "\frac{a}{b}"
+   * @param {string} tex - LaTeX without the surrounding $ or \( \)
+   * @returns {string} Spoken form
+   */
+  static fromLatex(tex) {
+    const state = { tokens: String(tex || '').match(SpokenMath.LATEX_TOKEN) || [], index: 0 };
+    return SpokenMath._words(SpokenMath._parseLatex(state, null));
+  }
+
+  /**
+   * Private: Speak a MathML element and its children
+   */
+  static _speakMathML(element) {
+    const children = Array.from(element.children);
+    const speak = child => (child ? SpokenMath._speakMathML(child) : '');
+    const speakAll = () => children.map(speak).join(' ');
+
+    switch (element.localName) {
+      case 'annotation':
+      case 'annotation-xml':
+      case 'mspace':
+      case 'mphantom':
+      case 'none':
+      case 'mprescripts':
+        return '';
+      case 'semantics':
+        return speak(children[0]);
+      case 'mi':
+      case 'mn':
+      case 'mo':
+      case 'mtext':
+      case 'ms':
+        return SpokenMath._speakText(element.textContent);
+      case 'mfrac':
+        return SpokenMath._fraction(speak(children[0]), speak(children[1]));
+      case 'msqrt':
+        return SpokenMath._root(speakAll(), '');
+      case 'mroot':
+        return SpokenMath._root(speak(children[0]), speak(children[1]));
+      case 'msup':
+        return SpokenMath._scripts(children[0], '', speak(children[1]));
+      case 'msub':
+        return SpokenMath._scripts(children[0], speak(children[1]), '');
+      case 'msubsup':
+      case 'munderover':
+        return SpokenMath._scripts(children[0], speak(children[1]), speak(children[2]));
+      case 'munder':
+        return SpokenMath._scripts(children[0], speak(children[1]), '');
+      case 'mover': {
+        // An accent such as x̄ is said after its base: "x bar"
+        const accent = SpokenMath.ACCENTS[(children[1]?.textContent || '').trim()];
+        if (accent) return `${speak(children[0])} ${accent}`;
+        return SpokenMath._scripts(children[0], '', speak(children[1]));
+      }
+      case 'mfenced': {
+        const open = element.getAttribute('open') ?? '(';
+        const close = element.getAttribute('close') ?? ')';
+        return [SpokenMath._speakText(open), children.map(speak).join(' comma '), SpokenMath._speakText(close)].join(' ');
+      }
+      default:
+        // math, mrow, mstyle, mtable and other containers
+        return speakAll();
+    }
+  }
+
+  /**
+   * Private: Speak a MathML base with a subscript and superscript, which are limits
+   * when the base is a sum, integral or limit
+   */
+  static _scripts(baseElement, sub, sup) {
+    const operator = SpokenMath.LARGE_OPERATORS[(baseElement?.textContent || '').trim()];
+    if (operator) return SpokenMath._largeOperator(operator, sub, sup);
+
+    const base = baseElement ? SpokenMath._speakMathML(baseElement) : '';
+    const withSub = sub ? `${base} sub ${sub}` : base;
+    return sup ? SpokenMath._power(withSub, sup) : withSub;
+  }
+
+  /**
+   * Private: Speak the text of a MathML token, symbol by symbol unless it is a word
+   * or number such as "sin" or "3.14"
+   */
+  static _speakText(text) {
+    const trimmed = String(text || '').trim();
+    if (trimmed in SpokenMath.FUNCTIONS) return SpokenMath.FUNCTIONS[trimmed];
+    if (trimmed.length > 1 && /^[A-Za-z]+$|^[\d.,]+$/.test(trimmed)) return trimmed;
+    return Array.from(trimmed).map(SpokenMath._speakSymbol).join(' ');
+  }
+
+  /**
+   * Private: Speak one symbol: an operator, a Greek letter or the symbol itself
+   */
+  static _speakSymbol(symbol) {
+    return SpokenMath.SYMBOLS[symbol] ?? SpokenMath.GREEK[symbol] ?? symbol;
+  }
+
+  /**
+   * Private: Speak LaTeX terms until the closing token (or the end)
+   */
+  static _parseLatex(state, closing) {
+    const words = [];
+    while (state.index < state.tokens.length) {
+      const token = state.tokens[state.index];
+      if (token === closing) {
+        state.index++;
+        break;
+      }
+      if (token === '}' || /^\s+$/.test(token)) {
+        state.index++;
+        continue;
+      }
+      words.push(SpokenMath._parseLatexTerm(state));
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Private: Speak one LaTeX term and its subscript and superscript
+   */
+  static _parseLatexTerm(state) {
+    const token = state.tokens[state.index++];
+
+    const operator = SpokenMath.LARGE_OPERATORS[token];
+    if (operator) {
+      const { sub, sup } = SpokenMath._parseLatexScripts(state);
+      return SpokenMath._largeOperator(operator, sub, sup);
+    }
+
+    const base = SpokenMath._parseLatexAtom(token, state);
+    const { sub, sup } = SpokenMath._parseLatexScripts(state);
+    const withSub = sub ? `${base} sub ${sub}` : base;
+    return sup ? SpokenMath._power(withSub, sup) : withSub;
+  }
+
+  /**
+   * Private: Speak a LaTeX term without its scripts
+   */
+  static _parseLatexAtom(token, state) {
+    if (token === '{') return SpokenMath._parseLatex(state, '}');
+
+    switch (token) {
+      case '\\frac':
+      case '\\dfrac':
+      case '\\tfrac': {
+        const numerator = SpokenMath._parseLatexArgument(state);
+        return SpokenMath._fraction(numerator, SpokenMath._parseLatexArgument(state));
+      }
+      case '\\sqrt': {
+        let index = '';
+        if (state.tokens[state.index] === '[') {
+          state.index++;
+          index = SpokenMath._parseLatex(state, ']');
+        }
+        return SpokenMath._root(SpokenMath._parseLatexArgument(state), index);
+      }
+      case '\\text':
+      case '\\textrm':
+      case '\\mbox':
+      case '\\operatorname':
+        return SpokenMath._parseLatexText(state);
+      case '\\left':
+      case '\\right':
+        return '';
+    }
+
+    if (token.startsWith('\\')) {
+      const name = token.slice(1);
+      if (name in SpokenMath.LATEX_COMMANDS) return SpokenMath.LATEX_COMMANDS[name];
+      if (name in SpokenMath.FUNCTIONS) return SpokenMath.FUNCTIONS[name];
+      // Font commands such as \mathbf{x} only change how the argument looks
+      if (/^math[a-z]+$/.test(name)) return SpokenMath._parseLatexArgument(state);
+      if (SpokenMath.LATEX_GREEK.includes(name.toLowerCase())) {
+        return name[0] === name[0].toUpperCase() ? `capital ${name.toLowerCase()}` : name;
+      }
+      // Spacing such as \, and \quad, and anything we don't know
+      return /^[a-zA-Z]{2,}$/.test(name) && !/^q?quad$/.test(name) ? name : '';
+    }
+
+    return SpokenMath._speakSymbol(token);
+  }
+
+  /**
+   * Private: Speak the subscript and superscript after a LaTeX term
+   */
+  static _parseLatexScripts(state) {
+    const scripts = { sub: '', sup: '' };
+    let mark;
+    while ((mark = state.tokens[state.index]) === '_' || mark === '^') {
+      state.index++;
+      scripts[mark === '_' ? 'sub' : 'sup'] = SpokenMath._parseLatexArgument(state);
+    }
+    return scripts;
+  }
+
+  /**
+   * Private: Speak a LaTeX argument: a {group} or a single term
+   */
+  static _parseLatexArgument(state) {
+    while (/^\s+$/.test(state.tokens[state.index] || '')) state.index++;
+    const token = state.tokens[state.index++];
+    if (token === undefined) return '';
+    return SpokenMath._parseLatexAtom(token, state);
+  }
+
+  /**
+   * Private: Read the {text} argument of \text as it is written
+   */
+  static _parseLatexText(state) {
+    while (/^\s+$/.test(state.tokens[state.index] || '')) state.index++;
+    if (state.tokens[state.index] !== '{') return '';
+    state.index++;
+
+    let depth = 1;
+    let text = '';
+    while (state.index < state.tokens.length) {
+      const token = state.tokens[state.index++];
+      if (token === '{') depth++;
+      if (token === '}' && --depth === 0) break;
+      text += token;
+    }
+    return text.replace(/[{}]/g, '');
+  }
+
+  /**
+   * Private: "a over b", or with "end fraction" when either part is more than one word
+   */
+  static _fraction(numerator, denominator) {
+    if (SpokenMath._isSimple(numerator) && SpokenMath._isSimple(denominator)) {
+      return `${numerator} over ${denominator}`;
+    }
+    return `the fraction ${numerator}, over ${denominator}, end fraction,`;
+  }
+
+  /**
+   * Private: "x squared", "x cubed" or "x to the power of n"
+   */
+  static _power(base, exponent) {
+    if (exponent === '2') return `${base} squared`;
+    if (exponent === '3') return `${base} cubed`;
+    if (SpokenMath._isSimple(exponent)) return `${base} to the power of ${exponent}`;
+    return `${base} to the power of ${exponent}, end power,`;
+  }
+
+  /**
+   * Private: "the square root of x", "the cube root of x" or "the 4th root of x"
+   */
+  static _root(radicand, index) {
+    let name = 'square root';
+    if (index === '3') {
+      name = 'cube root';
+    } else if (index && index !== '2') {
+      name = `${index}th root`;
+    }
+    const end = SpokenMath._isSimple(radicand) ? '' : ', end root,';
+    return `the ${name} of ${radicand}${end}`;
+  }
+
+  /**
+   * Private: "the sum from i equals 1 to n of", "the limit as x goes to 0 of"
+   */
+  static _largeOperator(operator, from, to) {
+    if (operator === 'limit') return from ? `the limit as ${from} of` : 'the limit of';
+
+    let words = `the ${operator}`;
+    if (from) words += ` from ${from}`;
+    if (to) words += ` to ${to}`;
+    return `${words} of`;
+  }
+
+  /**
+   * Private: Whether spoken math is a single word or number
+   */
+  static _isSimple(words) {
+    return !/\s/.test(words.trim());
+  }
+
+  /**
+   * Private: Tidy spoken math: one space between words, none before commas
+   */
+  static _words(text) {
+    return String(text || '')
+      .replace(/\s+/g, ' ')
+      .replace(/ ,/g, ',')
+      .replace(/,+/g, ',')
+      .replace(/,$/, '')
+      .trim();
+  }
+}
+
+// A LaTeX command, a number, a run of whitespace or any other single character
+SpokenMath.LATEX_TOKEN = /\\[a-zA-Z]+|\\.|\d+(?:\.\d+)?|\s+|./g;
+
+SpokenMath.SYMBOLS = {
+  '+': 'plus',
+  '-': 'minus',
+  '−': 'minus',
+  '±': 'plus or minus',
+  '=': 'equals',
+  '<': 'is less than',
+  '>': 'is greater than',
+  '≤': 'is less than or equal to',
+  '≥': 'is greater than or equal to',
+  '≠': 'is not equal to',
+  '≈': 'is approximately equal to',
+  '×': 'times',
+  '·': 'times',
+  '⋅': 'times',
+  '*': 'times',
+  '/': 'divided by',
+  '÷': 'divided by',
+  '∞': 'infinity',
+  '∂': 'partial',
+  '∇': 'nabla',
+  '→': 'goes to',
+  '∈': 'is in',
+  '(': 'open paren',
+  ')': 'close paren',
+  '[': 'open bracket',
+  ']': 'close bracket',
+  '|': 'vertical bar',
+  '!': 'factorial',
+  '′': 'prime',
+  ',': ',',
+  '…': 'dot dot dot',
+  '⋯': 'dot dot dot',
+  '\u2061': '', // function application, between "sin" and its argument
+  '\u2062': '', // invisible times, between "2" and "x"
+};
+
+// Names of \alpha and so on; lower case letters are also spoken from Unicode
+SpokenMath.LATEX_GREEK = [
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta', 'iota', 'kappa',
+  'lambda', 'mu', 'nu', 'xi', 'omicron', 'pi', 'rho', 'sigma', 'tau', 'upsilon', 'phi',
+  'chi', 'psi', 'omega', 'varepsilon', 'vartheta', 'varphi',
+];
+
+SpokenMath.GREEK = {};
+SpokenMath.LATEX_GREEK.slice(0, 24).forEach((name, i) => {
+  // Skip the final sigma ς that sits between rho and sigma
+  const offset = i > 16 ? i + 1 : i;
+  SpokenMath.GREEK[String.fromCharCode(0x3b1 + offset)] = name;
+  SpokenMath.GREEK[String.fromCharCode(0x391 + offset)] = `capital ${name}`;
+});
+
+SpokenMath.LATEX_COMMANDS = {
+  cdot: 'times',
+  times: 'times',
+  div: 'divided by',
+  pm: 'plus or minus',
+  mp: 'minus or plus',
+  le: 'is less than or equal to',
+  leq: 'is less than or equal to',
+  ge: 'is greater than or equal to',
+  geq: 'is greater than or equal to',
+  ne: 'is not equal to',
+  neq: 'is not equal to',
+  approx: 'is approximately equal to',
+  equiv: 'is equivalent to',
+  infty: 'infinity',
+  partial: 'partial',
+  nabla: 'nabla',
+  to: 'goes to',
+  rightarrow: 'goes to',
+  in: 'is in',
+  ldots: 'dot dot dot',
+  cdots: 'dot dot dot',
+  dots: 'dot dot dot',
+  prime: 'prime',
+};
+
+// Function names spoken in full, from \sin or <mi>sin</mi>
+SpokenMath.FUNCTIONS = {
+  sin: 'sine',
+  cos: 'cosine',
+  tan: 'tangent',
+  ln: 'natural log',
+};
+
+// Operators whose scripts are limits: "the sum from ... to ... of"
+SpokenMath.LARGE_OPERATORS = {
+  '\\sum': 'sum',
+  '∑': 'sum',
+  '\\prod': 'product',
+  '∏': 'product',
+  '\\int': 'integral',
+  '∫': 'integral',
+  '\\lim': 'limit',
+  lim: 'limit',
+};
+
+// Marks over a letter, said after it
+SpokenMath.ACCENTS = {
+  '¯': 'bar',
+  '‾': 'bar',
+  '^': 'hat',
+  'ˆ': 'hat',
+  '~': 'tilde',
+  '˜': 'tilde',
+  '→': 'vector',
+  '˙': 'dot',
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpokenMath;
+} else if (typeof window !== 'undefined') {
+  window.SpokenMath = SpokenMath;
+}
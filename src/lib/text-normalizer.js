@@ -0,0 +1,595 @@
+/**
+ * TextNormalizer - Rewrites text the way it should be said before it is spoken:
+ * abbreviations, grouped numbers, ordinals, dates, times, currencies, units, version
+ * strings and URLs. Rules are pluggable and locale-aware, and the result keeps a map
+ * back to the original text so boundary events still point at the right words.
+ */
+
+class TextNormalizer {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.rules] - Rules in priority order (see addRule);
+   *   defaults to TextNormalizer.DEFAULT_RULES
+   */
+  constructor({ rules = TextNormalizer.DEFAULT_RULES } = {}) {
+    this.rules = [...rules];
+  }
+
+  /**
+   * Add a rule. Where matches of several rules overlap, the one starting first wins,
+   * then the one added first.
+   * @param {Object} rule
+   * @param {string} rule.name - Name for debugging
+   * @param {RegExp} rule.pattern - Global pattern to find text the rule rewrites
+   * @param {Function} rule.replace - (match, locale) => spoken text, or null to leave the
+   *   match as it is
+   * @param {string[]} [rule.languages] - Primary language subtags the rule applies to,
+   *   e.g. ["en"]; every language if omitted
+   * @returns {TextNormalizer} this
+   */
+  addRule(rule) {
+    if (!rule || !(rule.pattern instanceof RegExp) || !rule.pattern.global || typeof rule.replace !== 'function') {
+      throw new Error('A normalization rule needs a global pattern and a replace function');
+    }
+    this.rules.push(rule);
+    return this;
+  }
+
+  /**
+   * A copy of this normalizer with rules that come before its own, e.g. for one reading
+   * @param {Array<Object>} rules - Rules in priority order (see addRule)
+   * @returns {TextNormalizer}
+   */
+  withRules(rules) {
+    const normalizer = new TextNormalizer({ rules: [] });
+    [...rules, ...this.rules].forEach(rule => normalizer.addRule(rule));
+    return normalizer;
+  }
+
+  /**
+   * Rules for the user's pronunciations. A word matches whole words in any case; a
+   * regular expression matches as written, and its replacement may use $1, $<name>
+   * and $& for what it matched. Patterns that don't compile are left out.
+   * @param {Array<{match: string, replacement: string, regex: boolean}>} entries - From
+   *   UserPreferences.getPronunciationsFor, in priority order
+   * @returns {Array<Object>} Rules
+   */
+  static pronunciationRules(entries = []) {
+    return entries.map(({ match, replacement, regex }) => {
+      let pattern;
+      try {
+        pattern = regex
+          ? new RegExp(match, 'g')
+          : new RegExp(`(?<![\\p{L}\\p{N}_])${TextNormalizer._escape(match)}(?![\\p{L}\\p{N}_])`, 'giu');
+      } catch (error) {
+        return null;
+      }
+
+      return {
+        name: `pronunciation of ${match}`,
+        pattern,
+        replace: found => (regex ? TextNormalizer._substitute(replacement, found) : replacement),
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Rewrite text for speech
+   * @param {string} text - Text as it appears on the page
+   * @param {string} [locale] - Language tag of the text, e.g. "en-GB"
+   * @returns {NormalizedText}
+   */
+  normalize(text, locale = 'en') {
+    const source = String(text || '');
+    locale = TextNormalizer.validLocale(locale);
+    const language = locale.split('-')[0].toLowerCase();
+
+    // Every match of every rule for this language, earliest first
+    const candidates = [];
+    this.rules.forEach((rule, priority) => {
+      if (rule.languages && !rule.languages.includes(language)) return;
+      for (const match of source.matchAll(rule.pattern)) {
+        if (match[0]) candidates.push({ match, rule, priority });
+      }
+    });
+    candidates.sort((a, b) => a.match.index - b.match.index || a.priority - b.priority);
+
+    let spoken = '';
+    let copiedTo = 0;
+    const spans = [];
+    candidates.forEach(({ match, rule }) => {
+      if (match.index < copiedTo) return;
+
+      const replacement = rule.replace(match, locale);
+      if (replacement === null || replacement === undefined || replacement === match[0]) return;
+
+      spoken += source.substring(copiedTo, match.index);
+      spans.push({
+        from: match.index,
+        to: match.index + match[0].length,
+        spokenFrom: spoken.length,
+        spokenTo: spoken.length + replacement.length,
+      });
+      spoken += replacement;
+      copiedTo = match.index + match[0].length;
+    });
+    spoken += source.substring(copiedTo);
+
+    return new NormalizedText(source, spoken, spans);
+  }
+
+  /**
+   * A locale Intl accepts, so one from the page can't make the rules throw
+   * @param {string} locale - Language tag, possibly malformed, e.g. "en-"
+   * @returns {string} The canonical tag, or "en" if there is none
+   */
+  static validLocale(locale) {
+    try {
+      return Intl.getCanonicalLocales(locale || 'en')[0] || 'en';
+    } catch (error) {
+      return 'en';
+    }
+  }
+
+  /**
+   * Read a number written with the locale's or common digit grouping, e.g. "1,234.5"
+   * in English or "1.234,5" in German
+   * @param {string} text - Digits with separators
+   * @param {string} locale - Language tag
+   * @returns {number}
+   */
+  static parseNumber(text, locale) {
+    const { group, decimal } = TextNormalizer.separatorsFor(locale);
+    let digits = text.replace(/[\s\u00a0\u202f']/g, '');
+
+    const hasComma = digits.includes(',');
+    const hasDot = digits.includes('.');
+    let decimalMark = decimal;
+    if (hasComma && hasDot) {
+      // Whichever comes last separates the decimals
+      decimalMark = digits.lastIndexOf(',') > digits.lastIndexOf('.') ? ',' : '.';
+    } else if (hasComma || hasDot) {
+      const mark = hasComma ? ',' : '.';
+      // One mark followed by exactly three digits is grouping only where the locale groups with it
+      const groupsOfThree = new RegExp(`^\\d{1,3}(\\${mark}\\d{3})+$`).test(digits);
+      decimalMark = groupsOfThree && (mark === group || digits.split(mark).length > 2) ? '' : mark;
+    }
+
+    digits = digits.split(decimalMark || '\u0000')
+      .map(part => part.replace(/[.,]/g, ''))
+      .join('.');
+    return parseFloat(digits);
+  }
+
+  /**
+   * The locale's digit group and decimal separators
+   * @returns {{group: string, decimal: string}}
+   */
+  static separatorsFor(locale) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const find = type => (parts.find(part => part.type === type) || {}).value;
+    return { group: find('group') || ',', decimal: find('decimal') || '.' };
+  }
+
+  /**
+   * Write a number the way the locale does, without grouping so it is read as one number
+   */
+  static formatNumber(value, locale) {
+    return new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 10 }).format(value);
+  }
+
+  /**
+   * English words for a whole number, e.g. "twenty-three"
+   * @param {number} value - Whole number below one trillion
+   * @returns {string}
+   */
+  static numberToWords(value) {
+    const ones = TextNormalizer.ONES;
+    const tens = TextNormalizer.TENS;
+
+    const belowThousand = n => {
+      const words = [];
+      if (n >= 100) {
+        words.push(`${ones[Math.floor(n / 100)]} hundred`);
+        n %= 100;
+      }
+      if (n >= 20) {
+        words.push(n % 10 ? `${tens[Math.floor(n / 10)]}-${ones[n % 10]}` : tens[Math.floor(n / 10)]);
+      } else if (n > 0) {
+        words.push(ones[n]);
+      }
+      return words.join(' ');
+    };
+
+    if (value === 0) return 'zero';
+
+    const words = [];
+    let rest = Math.floor(value);
+    [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']].forEach(([scale, name]) => {
+      if (rest >= scale) {
+        words.push(`${belowThousand(Math.floor(rest / scale))} ${name}`);
+        rest %= scale;
+      }
+    });
+    if (rest > 0) words.push(belowThousand(rest));
+    return words.join(' ');
+  }
+
+  /**
+   * English ordinal words for a whole number, e.g. "twenty-third"
+   */
+  static ordinalToWords(value) {
+    return TextNormalizer.numberToWords(value).replace(/([a-z]+)$/, word => (
+      TextNormalizer.IRREGULAR_ORDINALS[word] || (word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`)
+    ));
+  }
+
+  /**
+   * Private: Escape text for use in a RegExp
+   */
+  static _escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Private: Fill in a replacement's $1, $<name>, $& and $$ from a match, as
+   * String.prototype.replace does
+   */
+  static _substitute(replacement, match) {
+    return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, reference, name) => {
+      if (reference === '$') return '$';
+      if (reference === '&') return match[0];
+      if (name !== undefined) return (match.groups && match.groups[name]) || '';
+      const group = Number(reference);
+      return group > 0 && group < match.length ? match[group] || '' : token;
+    });
+  }
+
+  /**
+   * Private: A word in the locale's language from a table keyed by language, falling
+   * back to English
+   */
+  static _word(words, locale) {
+    const language = String(locale).split(/[-_]/)[0].toLowerCase();
+    return words[language] || words.en;
+  }
+}
+
+/**
+ * NormalizedText - Text rewritten for speech, with a map back to the original
+ */
+class NormalizedText {
+  /**
+   * @param {string} original - Text before normalization
+   * @param {string} text - Text to speak
+   * @param {Array<{from: number, to: number, spokenFrom: number, spokenTo: number}>} spans -
+   *   Rewritten spans in order: [from, to) of original became [spokenFrom, spokenTo) of text
+   */
+  constructor(original, text, spans) {
+    this.original = original;
+    this.text = text;
+    this.spans = spans;
+  }
+
+  /**
+   * Offset in the original text of an offset in the spoken text. Anything inside a
+   * rewritten span maps to the start of what it replaced.
+   */
+  toOriginal(index) {
+    let shift = 0;
+    for (const span of this.spans) {
+      if (index < span.spokenFrom) break;
+      if (index < span.spokenTo) return span.from;
+      shift = span.to - span.spokenTo;
+    }
+    return index + shift;
+  }
+
+  /**
+   * The original range behind a range of the spoken text, e.g. a word boundary event.
+   * A word inside a rewritten span covers all of what it replaced.
+   * @returns {{start: number, length: number}}
+   */
+  toOriginalRange(start, length = 0) {
+    const originalStart = this.toOriginal(start);
+    if (!length) return { start: originalStart, length };
+
+    const last = start + length - 1;
+    const span = this.spans.find(candidate => last >= candidate.spokenFrom && last < candidate.spokenTo);
+    const originalEnd = span ? span.to : this.toOriginal(last) + 1;
+    return { start: originalStart, length: Math.max(0, originalEnd - originalStart) };
+  }
+}
+
+TextNormalizer.ONES = [
+  '', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven',
+  'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+];
+TextNormalizer.TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+TextNormalizer.IRREGULAR_ORDINALS = {
+  one: 'first',
+  two: 'second',
+  three: 'third',
+  five: 'fifth',
+  eight: 'eighth',
+  nine: 'ninth',
+  twelve: 'twelfth',
+};
+
+// Abbreviations by language, spelled out
+TextNormalizer.ABBREVIATIONS = {
+  en: {
+    'e.g.': 'for example',
+    'i.e.': 'that is',
+    'etc.': 'et cetera',
+    'vs.': 'versus',
+    'approx.': 'approximately',
+    'Dr.': 'Doctor',
+    'Mr.': 'Mister',
+    'Mrs.': 'Missus',
+    'Prof.': 'Professor',
+    'Jr.': 'Junior',
+    'Inc.': 'Incorporated',
+  },
+  de: {
+    'z. B.': 'zum Beispiel',
+    'z.B.': 'zum Beispiel',
+    'd. h.': 'das heißt',
+    'd.h.': 'das heißt',
+    'usw.': 'und so weiter',
+    'bzw.': 'beziehungsweise',
+    'ca.': 'circa',
+    'Nr.': 'Nummer',
+    'Dr.': 'Doktor',
+  },
+  fr: {
+    'p. ex.': 'par exemple',
+    'etc.': 'et cetera',
+    'env.': 'environ',
+    'Mme': 'Madame',
+    'Dr': 'Docteur',
+  },
+  es: {
+    'p. ej.': 'por ejemplo',
+    'etc.': 'etcétera',
+    'aprox.': 'aproximadamente',
+    'Sr.': 'señor',
+    'Sra.': 'señora',
+    'Dr.': 'doctor',
+  },
+};
+
+// Abbreviations that are always followed by more of the sentence, e.g. "Dr. Smith"
+TextNormalizer.LEADING_ABBREVIATIONS = [
+  'e.g.', 'i.e.', 'vs.', 'approx.', 'Dr.', 'Mr.', 'Mrs.', 'Prof.', 'z. B.', 'z.B.', 'd. h.', 'd.h.',
+  'ca.', 'Nr.', 'p. ex.', 'p. ej.', 'aprox.', 'Sr.', 'Sra.',
+];
+
+// Words the rules put between parts, by language
+TextNormalizer.WORDS = {
+  point: { en: 'point', de: 'Punkt', fr: 'point', es: 'punto' },
+  dot: { en: 'dot', de: 'Punkt', fr: 'point', es: 'punto' },
+  slash: { en: 'slash', de: 'Schrägstrich', fr: 'barre oblique', es: 'barra' },
+  at: { en: 'at', de: 'at', fr: 'arobase', es: 'arroba' },
+  to: { en: 'to', de: 'bis', fr: 'à', es: 'a' },
+  version: { en: 'version', de: 'Version', fr: 'version', es: 'versión' },
+};
+
+// Currency symbols and the currency they usually mean; $ depends on the region
+TextNormalizer.CURRENCY_SYMBOLS = {
+  '$': { default: 'USD', CA: 'CAD', AU: 'AUD', NZ: 'NZD' },
+  '€': { default: 'EUR' },
+  '£': { default: 'GBP' },
+  '¥': { default: 'JPY', CN: 'CNY' },
+  '₹': { default: 'INR' },
+};
+
+// Unit symbols and their Intl.NumberFormat unit. Symbols in SHORT_UNITS are only
+// read as units after a space, so "1990s" and "5m" are left alone.
+TextNormalizer.UNITS = {
+  'km/h': 'kilometer-per-hour',
+  mph: 'mile-per-hour',
+  km: 'kilometer',
+  cm: 'centimeter',
+  mm: 'millimeter',
+  m: 'meter',
+  kg: 'kilogram',
+  g: 'gram',
+  lb: 'pound',
+  lbs: 'pound',
+  oz: 'ounce',
+  mi: 'mile',
+  ft: 'foot',
+  ms: 'millisecond',
+  min: 'minute',
+  s: 'second',
+  h: 'hour',
+  KB: 'kilobyte',
+  kB: 'kilobyte',
+  MB: 'megabyte',
+  GB: 'gigabyte',
+  TB: 'terabyte',
+  '°C': 'celsius',
+  '°F': 'fahrenheit',
+  L: 'liter',
+  ml: 'milliliter',
+  mL: 'milliliter',
+  '%': 'percent',
+};
+TextNormalizer.SHORT_UNITS = ['m', 'g', 's', 'h', 'L', 'mi', 'min'];
+
+// A number with any grouping and decimals, e.g. 1,234.56 or 1.234,56; parseNumber reads it
+TextNormalizer.NUMBER = '\\d+(?:[,.\\u00a0\\u202f]\\d+)*';
+
+TextNormalizer.DEFAULT_RULES = [
+  {
+    name: 'url',
+    pattern: /\bhttps?:\/\/[^\s<>"']*[^\s<>"'.,;:!?)\]]|\bwww\.[^\s<>"']*[^\s<>"'.,;:!?)\]]/g,
+    replace: (match, locale) => {
+      const dot = ` ${TextNormalizer._word(TextNormalizer.WORDS.dot, locale)} `;
+      const slash = ` ${TextNormalizer._word(TextNormalizer.WORDS.slash, locale)} `;
+      const [address] = match[0].replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[?#]/);
+      const [host, ...path] = address.split('/');
+      return [host.split('.').join(dot), ...path.filter(part => part)]
+        .map(part => part.replace(/[-_]+/g, ' '))
+        .join(slash);
+    },
+  },
+  {
+    name: 'email',
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+    replace: (match, locale) => {
+      const dot = ` ${TextNormalizer._word(TextNormalizer.WORDS.dot, locale)} `;
+      const [user, domain] = match[0].split('@');
+      return `${user} ${TextNormalizer._word(TextNormalizer.WORDS.at, locale)} ${domain.split('.').join(dot)}`;
+    },
+  },
+  {
+    name: 'abbreviation',
+    pattern: new RegExp(`(?<![\\p{L}\\d.])(?:${
+      [...new Set(Object.values(TextNormalizer.ABBREVIATIONS).flatMap(Object.keys))]
+        .sort((a, b) => b.length - a.length)
+        .map(TextNormalizer._escape)
+        .join('|')
+    })(?![\\p{L}\\d])`, 'gu'),
+    replace: (match, locale) => {
+      const expansion = TextNormalizer._word(
+        Object.fromEntries(Object.entries(TextNormalizer.ABBREVIATIONS).map(([language, words]) => [language, words[match[0]]])),
+        locale
+      );
+      if (!expansion) return null;
+      // Keep the full stop when the abbreviation also ends the sentence
+      const after = match.input.substring(match.index + match[0].length);
+      const endsSentence = match[0].endsWith('.') && !TextNormalizer.LEADING_ABBREVIATIONS.includes(match[0]) &&
+        /^(\s+\p{Lu}|\s*$)/u.test(after);
+      return endsSentence ? `${expansion}.` : expansion;
+    },
+  },
+  {
+    name: 'date',
+    // 2024-03-05, 03/05/2024 or 05.03.2024
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b|\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b|\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/g,
+    replace: (match, locale) => {
+      let year, month, day;
+      if (match[1]) {
+        [year, month, day] = [match[1], match[2], match[3]].map(Number);
+      } else if (match[7]) {
+        // Dates with dots always put the day first
+        [day, month, year] = [match[7], match[8], match[9]].map(Number);
+      } else {
+        // 03/05/2024 is March 5 where the locale writes the month first, May 3 elsewhere
+        const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(Date.UTC(2000, 10, 22)));
+        const monthFirst = parts.findIndex(part => part.type === 'month') < parts.findIndex(part => part.type === 'day');
+        [month, day] = monthFirst ? [match[4], match[5]].map(Number) : [match[5], match[4]].map(Number);
+        year = Number(match[6]);
+      }
+      if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+      return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(year, month - 1, day)));
+    },
+  },
+  {
+    name: 'time',
+    pattern: /\b([01]?\d|2[0-3]):([0-5]\d)(?:\s?([ap])\.?m\b\.?)?(?![\d:])/gi,
+    replace: (match, locale) => {
+      let hour = Number(match[1]);
+      if (match[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0);
+      }
+      return new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(2000, 0, 1, hour, Number(match[2]))));
+    },
+  },
+  {
+    name: 'currency',
+    pattern: new RegExp(
+      `([$€£¥₹])\\s?(${TextNormalizer.NUMBER})(?:\\s(million|billion|trillion))?|(${TextNormalizer.NUMBER})\\s?([€£¥₹])`,
+      'g'
+    ),
+    replace: (match, locale) => {
+      const symbol = match[1] || match[5];
+      const region = (String(locale).split(/[-_]/)[1] || '').toUpperCase();
+      const codes = TextNormalizer.CURRENCY_SYMBOLS[symbol];
+      const currency = codes[region] || codes.default;
+      const amount = TextNormalizer.parseNumber(match[2] || match[4], locale);
+      if (isNaN(amount)) return null;
+
+      if (match[3]) {
+        // "$5 million" is read "5 million US dollars"
+        const name = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay: 'name' })
+          .formatToParts(2).find(part => part.type === 'currency').value;
+        return `${TextNormalizer.formatNumber(amount, locale)} ${match[3]} ${name}`;
+      }
+      return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        currencyDisplay: 'name',
+        useGrouping: false,
+        minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+        maximumFractionDigits: 2,
+      }).format(amount);
+    },
+  },
+  {
+    name: 'version',
+    pattern: /\b(?:(v|version\s?)(\d+(?:\.\d+)+)|(\d+\.\d+\.\d+))(?:[-+][\w.]*\w)?(?![\w.]*\d)/gi,
+    replace: (match, locale) => {
+      const numbers = match[2] || match[3];
+      // 1.234.567 is a grouped number, not a version
+      if (!match[2] && /^\d{1,3}(\.\d{3})+$/.test(numbers)) return null;
+
+      const point = ` ${TextNormalizer._word(TextNormalizer.WORDS.point, locale)} `;
+      const spoken = numbers.split('.').join(point);
+      const suffix = match[0].substring(match[0].indexOf(numbers) + numbers.length).replace(/^[-+]/, ' ').replace(/\./g, ' ');
+      return match[2] ? `${TextNormalizer._word(TextNormalizer.WORDS.version, locale)} ${spoken}${suffix}` : `${spoken}${suffix}`;
+    },
+  },
+  {
+    name: 'unit',
+    pattern: new RegExp(`(${TextNormalizer.NUMBER})(\\s?)(${
+      Object.keys(TextNormalizer.UNITS).sort((a, b) => b.length - a.length).map(TextNormalizer._escape).join('|')
+    })(?![\\p{L}\\d])`, 'gu'),
+    replace: (match, locale) => {
+      const [, number, space, symbol] = match;
+      if (!space && TextNormalizer.SHORT_UNITS.includes(symbol)) return null;
+      const value = TextNormalizer.parseNumber(number, locale);
+      if (isNaN(value)) return null;
+      return new Intl.NumberFormat(locale, {
+        style: 'unit',
+        unit: TextNormalizer.UNITS[symbol],
+        unitDisplay: 'long',
+        useGrouping: false,
+        maximumFractionDigits: 10,
+      }).format(value);
+    },
+  },
+  {
+    name: 'ordinal',
+    languages: ['en'],
+    pattern: /\b(\d+)(st|nd|rd|th)\b/gi,
+    replace: match => (Number(match[1]) < 1e12 ? TextNormalizer.ordinalToWords(Number(match[1])) : null),
+  },
+  {
+    name: 'range',
+    pattern: new RegExp(`(${TextNormalizer.NUMBER})\\s?[–—]\\s?(${TextNormalizer.NUMBER})`, 'g'),
+    replace: (match, locale) => `${match[1]} ${TextNormalizer._word(TextNormalizer.WORDS.to, locale)} ${match[2]}`,
+  },
+  {
+    name: 'number',
+    // Only numbers with grouping need rewriting; engines read plain digits well
+    pattern: /\d{1,3}(?:[,.\u00a0\u202f]\d{3})+(?:[.,]\d+)?(?![\d.,]*\d)/g,
+    replace: (match, locale) => {
+      const value = TextNormalizer.parseNumber(match[0], locale);
+      return isNaN(value) ? null : TextNormalizer.formatNumber(value, locale);
+    },
+  },
+];
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TextNormalizer, NormalizedText };
+} else if (typeof window !== 'undefined') {
+  window.TextNormalizer = TextNormalizer;
+  window.NormalizedText = NormalizedText;
+}
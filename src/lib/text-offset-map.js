@@ -0,0 +1,277 @@
+/**
+ * TextOffsetMap - Maps each character of whitespace-collapsed text back to a live DOM position
+ */
+
+class TextOffsetMap {
+  constructor() {
+    this.text = '';
+    this.nodes = [];
+    this.offsets = [];
+  }
+
+  /**
+   * Build a map from the text nodes under root
+   * @param {Node} root - Element or document to walk
+   * @param {Object} options
+   * @param {string} [options.exclude] - Selector for elements whose text is skipped
+   * @param {Function} [options.resolveNode] - Maps a walked text node to the node to record
+   *   (used when walking a cloned document so the map points at the live page)
+   * @param {Range} [options.range] - Only include text inside this range
+   * @returns {TextOffsetMap}
+   */
+  static fromElement(root, { exclude = '', resolveNode = node => node, range = null } = {}) {
+    const map = new TextOffsetMap();
+    if (!root) return map;
+
+    const ownerDocument = root.ownerDocument || root;
+    const walker = ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        const parent = node.parentElement;
+        if (!parent) return NodeFilter.FILTER_REJECT;
+        if (range && !range.intersectsNode(node)) return NodeFilter.FILTER_REJECT;
+        if (exclude) {
+          const excluded = parent.closest(exclude);
+          if (excluded && excluded !== root && root.contains(excluded)) {
+            return NodeFilter.FILTER_REJECT;
+          }
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+
+    let pendingSpace = null;
+    let lastBlock = null;
+    let last = null;
+    let node;
+    while ((node = walker.nextNode())) {
+      const value = node.nodeValue;
+      const liveNode = resolveNode(node);
+      const from = range && node === range.startContainer ? range.startOffset : 0;
+      const to = range && node === range.endContainer ? range.endOffset : value.length;
+
+      // Text in another block is a new word even without whitespace in the markup,
+      // e.g. <li>One</li><li>Two</li>
+      const block = node.parentElement.closest(TextOffsetMap.BLOCK_SELECTOR);
+      if (block !== lastBlock && last && !pendingSpace) {
+        pendingSpace = last;
+      }
+      lastBlock = block;
+
+      for (let i = from; i < to; i++) {
+        if (/\s/.test(value[i])) {
+          // Collapse whitespace runs and drop leading whitespace
+          if (!pendingSpace && map.text.length > 0) {
+            pendingSpace = { node: liveNode, offset: i };
+          }
+          continue;
+        }
+
+        if (pendingSpace) {
+          map._push(' ', pendingSpace.node, pendingSpace.offset);
+          pendingSpace = null;
+        }
+        map._push(value[i], liveNode, i);
+        last = { node: liveNode, offset: i };
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Build a map of the text inside a DOM Range, such as the user's selection
+   * @param {Range} range - Range to map
+   * @param {Object} options - See fromElement
+   * @returns {TextOffsetMap}
+   */
+  static fromRange(range, options = {}) {
+    let root = range.commonAncestorContainer;
+    if (root.nodeType !== Node.ELEMENT_NODE && root.nodeType !== Node.DOCUMENT_NODE) {
+      root = root.parentNode;
+    }
+    return TextOffsetMap.fromElement(root, { ...options, range });
+  }
+
+  /**
+   * Get the DOM position behind a character
+   * @returns {{node: Text, offset: number}|null}
+   */
+  positionAt(index) {
+    if (index < 0 || index >= this.text.length) return null;
+    return { node: this.nodes[index], offset: this.offsets[index] };
+  }
+
+  /**
+   * Get the nearest block-level element containing a character, used to group
+   * text into paragraphs
+   * @returns {Element|null}
+   */
+  blockAt(index) {
+    const position = this.positionAt(index);
+    if (!position) return null;
+
+    const parent = position.node.parentElement;
+    return parent ? parent.closest(TextOffsetMap.BLOCK_SELECTOR) || parent : null;
+  }
+
+  /**
+   * Split the text into typed blocks by the element each character is in, in text
+   * order. Spaces between blocks belong to neither.
+   * @returns {Array<{type: string, start: number, end: number, element: Element,
+   *   level?: number, itemCount?: number, rowCount?: number}>} type is heading, list,
+   *   quote, code, table, caption, math or paragraph
+   */
+  blocks() {
+    const blocks = [];
+    let current = null;
+    let lastNode = null;
+    let element = null;
+
+    for (let i = 0; i < this.text.length; i++) {
+      if (this.text[i] === ' ') continue;
+
+      // Characters of one text node are always in the same block
+      if (this.nodes[i] !== lastNode) {
+        lastNode = this.nodes[i];
+        element = TextOffsetMap.structureOf(lastNode.parentElement);
+      }
+
+      if (current && current.element === element) {
+        current.end = i + 1;
+        continue;
+      }
+
+      current = { ...TextOffsetMap.describeElement(element), start: i, end: i + 1, element };
+      blocks.push(current);
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Get the element that gives text inside parent its block type: the nearest heading,
+   * list, quote, code block, data table, caption or formula, otherwise the nearest block
+   * element
+   * @param {Element} parent - Element holding the text
+   * @returns {Element|null}
+   */
+  static structureOf(parent) {
+    if (!parent) return null;
+
+    let structure = parent.closest(TextOffsetMap.STRUCTURE_SELECTOR);
+    // Tables without headers or a caption only lay the page out
+    while (structure && structure.tagName === 'TABLE' && !structure.querySelector('th, caption')) {
+      structure = structure.parentElement?.closest(TextOffsetMap.STRUCTURE_SELECTOR) || null;
+    }
+
+    // MathML inside a KaTeX or MathJax rendering is part of the rendering
+    const rendering = structure && structure.closest(TextOffsetMap.MATH_RENDERING_SELECTOR);
+    if (rendering) structure = rendering;
+
+    // A list nested in another list's item is part of the outer list
+    let outerList;
+    while (structure && /^(UL|OL|DL)$/.test(structure.tagName) &&
+        (outerList = structure.parentElement?.closest('li, dd')?.closest('ul, ol, dl'))) {
+      structure = outerList;
+    }
+
+    return structure || parent.closest(TextOffsetMap.BLOCK_SELECTOR) || parent;
+  }
+
+  /**
+   * Get the block type of an element from structureOf
+   * @returns {{type: string, level?: number, itemCount?: number, rowCount?: number}}
+   */
+  static describeElement(element) {
+    const tagName = element ? element.tagName : '';
+
+    if (/^H[1-6]$/.test(tagName)) return { type: 'heading', level: Number(tagName[1]) };
+    if (element && element.matches(TextOffsetMap.MATH_SELECTOR)) return { type: 'math' };
+    const countChildren = childTag => Array.from(element.children).filter(child => child.tagName === childTag).length;
+
+    if (tagName === 'UL' || tagName === 'OL') return { type: 'list', itemCount: countChildren('LI') };
+    if (tagName === 'DL') return { type: 'list', itemCount: countChildren('DT') };
+    if (tagName === 'BLOCKQUOTE') return { type: 'quote' };
+    if (tagName === 'PRE') return { type: 'code' };
+    if (tagName === 'TABLE') return { type: 'table', rowCount: element.rows.length };
+    if (tagName === 'FIGCAPTION' || tagName === 'CAPTION') return { type: 'caption' };
+    return { type: 'paragraph' };
+  }
+
+  /**
+   * Find the character index for a DOM position, e.g. a caret from a click.
+   * Positions inside collapsed whitespace resolve to the next mapped character.
+   * @returns {number} Character index or -1 if the node is not mapped
+   */
+  indexOfPosition(node, offset) {
+    let found = -1;
+    for (let i = 0; i < this.nodes.length; i++) {
+      if (this.nodes[i] !== node) {
+        if (found !== -1) break;
+        continue;
+      }
+      found = i;
+      if (this.offsets[i] >= offset) return i;
+    }
+    return found;
+  }
+
+  /**
+   * Find text at or after fromIndex
+   * @returns {{start: number, end: number}|null}
+   */
+  locate(text, fromIndex = 0) {
+    const needle = (text || '').replace(/\s+/g, ' ').trim();
+    if (!needle) return null;
+
+    const start = this.text.indexOf(needle, fromIndex);
+    if (start === -1) return null;
+
+    return { start, end: start + needle.length };
+  }
+
+  /**
+   * Create a DOM Range covering characters [start, end)
+   * @returns {Range|null}
+   */
+  createRange(start, end) {
+    if (start < 0 || end > this.text.length || start >= end) return null;
+
+    const startNode = this.nodes[start];
+    const range = startNode.ownerDocument.createRange();
+    range.setStart(startNode, this.offsets[start]);
+    range.setEnd(this.nodes[end - 1], this.offsets[end - 1] + 1);
+    return range;
+  }
+
+  /**
+   * Private: Append a mapped character
+   */
+  _push(char, node, offset) {
+    this.text += char;
+    this.nodes.push(node);
+    this.offsets.push(offset);
+  }
+}
+
+TextOffsetMap.BLOCK_SELECTOR = [
+  'p', 'li', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'td', 'th', 'dt', 'dd', 'figcaption', 'div', 'section', 'article',
+].join(', ');
+
+// Elements whose text is announced as one block, e.g. "List, 4 items"
+TextOffsetMap.STRUCTURE_SELECTOR = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'dl', 'blockquote', 'pre', 'table',
+  'figcaption', 'caption', 'math', '.katex', 'mjx-container',
+].join(', ');
+
+// Formulas, read as one block even in the middle of a paragraph
+TextOffsetMap.MATH_SELECTOR = 'math, .katex, mjx-container';
+TextOffsetMap.MATH_RENDERING_SELECTOR = '.katex, mjx-container';
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextOffsetMap;
+} else if (typeof window !== 'undefined') {
+  window.TextOffsetMap = TextOffsetMap;
+}
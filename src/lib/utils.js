@@ -19,14 +19,6 @@ const utils = {
     };
   },
 
-  // Clean text for speech
-  cleanTextForSpeech(text) {
-    return text
-      .replace(/\s+/g, ' ')
-      .replace(/[^\w\s.,!?;:-]/g, '')
-      .trim();
-  },
-
   // Check if element is visible
   isElementVisible(element) {
     const style = window.getComputedStyle(element);
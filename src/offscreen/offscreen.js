@@ -0,0 +1,14 @@
+// Offscreen document - runs SpeechController for the background service worker
+
+// Offscreen documents can only use chrome.runtime, so tab messages go through the background
+const speechController = new SpeechController({
+  sendToTab: (tabId, message) => chrome.runtime.sendMessage({ type: 'RELAY_TO_TAB', tabId, message }),
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Content scripts' messages reach every extension page; only handle ones relayed here
+  if (message.target !== 'offscreen') return false;
+
+  speechController.handleMessage(message).then(sendResponse);
+  return true; // Respond asynchronously
+});
@@ -0,0 +1,477 @@
+/**
+ * OptionsPage - Edits UserPreferences and the PronunciationLexicon stored in
+ * chrome.storage.sync. Every change is checked with the model's own validation so
+ * errors show as you type.
+ */
+
+class OptionsPage {
+  constructor(doc = document) {
+    this.doc = doc;
+    this.form = null;
+    this.preferences = new UserPreferences();
+    this.lexicon = new PronunciationLexicon();
+    this.pronunciations = [];
+    // True while the form has changes that aren't saved yet
+    this.isDirty = false;
+  }
+
+  async init() {
+    this.form = this.doc.getElementById('options-form');
+    this.renderShortcutFields();
+
+    await this.load();
+    await this.loadVoices();
+
+    this.form.addEventListener('input', (e) => {
+      if (e.target.closest('#backup')) return;
+      this.handleChange();
+    });
+    this.doc.getElementById('add-pronunciation').addEventListener('click', () => this.addPronunciation());
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    this.doc.getElementById('reset').addEventListener('click', () => this.reset());
+
+    this.doc.getElementById('export').addEventListener('click', () => this.exportSettings());
+    this.doc.getElementById('import-file').addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) this.importSettings(file);
+      e.target.value = '';
+    });
+
+    // Preferences saved on another computer arrive through sync
+    chrome.storage.onChanged?.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.userPreferences && !this.isDirty) {
+        this.preferences = this._fromStored(changes.userPreferences.newValue);
+        this.render();
+      }
+      if (areaName === 'sync' && PronunciationLexicon.isChange(changes) && !this.isDirty) {
+        this.loadPronunciations().then(() => this.render());
+      }
+    });
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.sync.get(['userPreferences']);
+      this.preferences = this._fromStored(result.userPreferences);
+    } catch (error) {
+      console.warn('Could not load preferences, using defaults:', error);
+      this.preferences = new UserPreferences();
+    }
+    await this.loadPronunciations();
+    this.render();
+  }
+
+  async loadPronunciations() {
+    try {
+      this.pronunciations = await this.lexicon.load();
+    } catch (error) {
+      console.warn('Could not load pronunciations:', error);
+      this.pronunciations = [];
+    }
+  }
+
+  /**
+   * Fill the voice list from the speech controller, so voice IDs match what it uses
+   */
+  async loadVoices() {
+    const select = this.form.elements.voicePreference;
+    let voices = [];
+
+    try {
+      const response = await window.messaging.sendToBackground({ type: 'GET_VOICES' });
+      voices = response && response.success ? response.voices : [];
+    } catch (error) {
+      console.warn('Could not load voices:', error);
+    }
+
+    [...voices]
+      .sort((a, b) => a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name))
+      .forEach(voice => {
+        select.add(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+      });
+
+    // Keep a saved voice that isn't installed on this computer
+    const saved = this.preferences.voicePreference;
+    if (saved && !voices.some(voice => voice.voiceURI === saved)) {
+      select.add(new Option(`${saved} (not available here)`, saved));
+    }
+    select.value = saved;
+  }
+
+  renderShortcutFields() {
+    const fieldset = this.doc.getElementById('shortcuts');
+
+    Object.keys(this.preferences.keyboardShortcuts).forEach(action => {
+      const label = this.doc.createElement('label');
+      label.htmlFor = `shortcut-${action}`;
+      label.textContent = OptionsPage.SHORTCUT_LABELS[action] || action;
+
+      const input = this.doc.createElement('input');
+      input.type = 'text';
+      input.id = `shortcut-${action}`;
+      input.name = `shortcut-${action}`;
+      input.placeholder = 'e.g. Ctrl+Shift+K';
+
+      const error = this.doc.createElement('span');
+      error.className = 'error';
+      error.dataset.for = `shortcut-${action}`;
+
+      fieldset.append(label, input, error);
+    });
+  }
+
+  /**
+   * Show pronunciations as rows of the editor
+   * @param {Array<Object>} pronunciations - Entries from UserPreferences
+   */
+  renderPronunciations(pronunciations) {
+    this.doc.querySelector('#pronunciation-list tbody')
+      .replaceChildren(...pronunciations.map(entry => this._pronunciationRow(entry)));
+  }
+
+  /**
+   * Add an empty pronunciation row; it is saved once it has a word
+   */
+  addPronunciation() {
+    const row = this._pronunciationRow({ match: '', replacement: '', regex: false, site: '' });
+    this.doc.querySelector('#pronunciation-list tbody').append(row);
+    row.querySelector('input').focus();
+  }
+
+  /**
+   * Show the current preferences in the form
+   */
+  render() {
+    const fields = this.form.elements;
+    const preferences = this.preferences;
+
+    fields.defaultSpeed.value = preferences.defaultSpeed;
+    fields.defaultVolume.value = preferences.defaultVolume;
+    fields.voicePreference.value = preferences.voicePreference;
+    fields.theme.value = preferences.theme;
+    fields.overlayPositionX.value = preferences.overlayPosition.x;
+    fields.overlayPositionY.value = preferences.overlayPosition.y;
+    fields.overlayPositionAnchor.value = preferences.overlayPosition.anchor;
+    fields.autoStartAllowList.value = preferences.autoStartAllowList.join('\n');
+    fields.autoStartDenyList.value = preferences.autoStartDenyList.join('\n');
+    fields.alwaysOnSites.value = preferences.alwaysOnSites.join('\n');
+    fields.codeStrategy.value = preferences.blockStrategies.code;
+    fields.tableStrategy.value = preferences.blockStrategies.table;
+    fields.mathStrategy.value = preferences.blockStrategies.math;
+    this.renderPronunciations(this.pronunciations);
+
+    Object.keys(preferences.getBehaviorSettings()).forEach(name => {
+      fields[name].checked = preferences[name];
+    });
+    Object.entries(preferences.keyboardShortcuts).forEach(([action, shortcut]) => {
+      fields[`shortcut-${action}`].value = shortcut;
+    });
+
+    this.isDirty = false;
+    this.showErrors({});
+  }
+
+  /**
+   * Read the form as UserPreferences.update() fields
+   */
+  readForm() {
+    const fields = this.form.elements;
+    const keyboardShortcuts = {};
+    Object.keys(this.preferences.keyboardShortcuts).forEach(action => {
+      keyboardShortcuts[action] = fields[`shortcut-${action}`].value.trim();
+    });
+
+    const updates = {
+      defaultSpeed: fields.defaultSpeed.value,
+      defaultVolume: fields.defaultVolume.value,
+      voicePreference: fields.voicePreference.value,
+      theme: fields.theme.value,
+      overlayPosition: {
+        x: fields.overlayPositionX.value,
+        y: fields.overlayPositionY.value,
+        anchor: fields.overlayPositionAnchor.value,
+      },
+      autoStartAllowList: this._readLines(fields.autoStartAllowList),
+      autoStartDenyList: this._readLines(fields.autoStartDenyList),
+      alwaysOnSites: this._readLines(fields.alwaysOnSites),
+      blockStrategies: {
+        code: fields.codeStrategy.value,
+        table: fields.tableStrategy.value,
+        math: fields.mathStrategy.value,
+      },
+      keyboardShortcuts,
+    };
+    Object.keys(this.preferences.getBehaviorSettings()).forEach(name => {
+      updates[name] = fields[name].checked;
+    });
+
+    return updates;
+  }
+
+  /**
+   * Apply the form to a copy of the preferences and show any errors
+   * @returns {{draft: UserPreferences, pronunciations: Array<Object>, errors: Object}}
+   *   Updated copy, pronunciations and errors by field
+   */
+  validate() {
+    const updates = this.readForm();
+    const draft = UserPreferences.fromJSON(this.preferences.toJSON());
+    const errors = {};
+
+    Object.entries(updates).forEach(([field, value]) => {
+      try {
+        draft.update({ [field]: value });
+      } catch (error) {
+        errors[field] = error.message;
+      }
+    });
+    Object.assign(errors, this._validateShortcuts(updates.keyboardShortcuts));
+
+    // Checked here too so a list too long to store is flagged before saving
+    let pronunciations = this.pronunciations;
+    try {
+      pronunciations = PronunciationLexicon.validate(this._readPronunciations()).entries;
+      PronunciationLexicon.toItems(pronunciations);
+    } catch (error) {
+      errors.pronunciations = error.message;
+    }
+
+    this.showErrors(errors);
+    return { draft, pronunciations, errors };
+  }
+
+  // Something in the form changed: check it and clear the last status
+  handleChange() {
+    this.isDirty = true;
+    this.validate();
+    this.showStatus('');
+  }
+
+  async save() {
+    const { draft, pronunciations, errors } = this.validate();
+    if (Object.keys(errors).length > 0) {
+      this.showStatus('Fix the settings marked in red first');
+      return false;
+    }
+
+    try {
+      await chrome.storage.sync.set({ userPreferences: draft.toJSON() });
+      this.pronunciations = await this.lexicon.save(pronunciations);
+    } catch (error) {
+      this.showStatus(`Could not save: ${error.message}`);
+      return false;
+    }
+
+    this.preferences = draft;
+    this.isDirty = false;
+    this.showStatus('Saved');
+    return true;
+  }
+
+  async reset() {
+    if (!window.confirm('Reset all settings to their defaults?')) return;
+
+    this.preferences.reset();
+    await chrome.storage.sync.set({ userPreferences: this.preferences.toJSON() });
+    this.render();
+    this.showStatus('Settings reset to defaults');
+  }
+
+  /**
+   * Download saved preferences, and optionally reading positions, as a JSON file
+   */
+  async exportSettings() {
+    const includeSessions = this.doc.getElementById('includeSessions').checked;
+    const archive = await new SettingsArchive().export({ includeSessions });
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' }));
+    const link = this.doc.createElement('a');
+    link.href = url;
+    link.download = SettingsArchive.fileName();
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    this.showStatus(this.isDirty ? 'Exported your saved settings (unsaved changes are not included)' : 'Settings exported');
+  }
+
+  /**
+   * Replace preferences with the ones in an exported file
+   * @param {File} file - File chosen by the user
+   */
+  async importSettings(file) {
+    let data;
+    try {
+      data = SettingsArchive.parse(await file.text());
+    } catch (error) {
+      this.showStatus(error.message);
+      return false;
+    }
+
+    if (!window.confirm('Replace your settings with the ones in this file?')) return false;
+
+    const includeSessions = this.doc.getElementById('includeSessions').checked;
+    let result;
+    try {
+      result = await new SettingsArchive().import(data, { includeSessions });
+    } catch (error) {
+      this.showStatus(`Could not import: ${error.message}`);
+      return false;
+    }
+
+    this.preferences = result.preferences;
+    this.pronunciations = result.pronunciations;
+    this.render();
+
+    const parts = ['Settings imported'];
+    if (result.sessions > 0) parts.push(`${result.sessions} reading positions added`);
+    if (result.skippedPronunciations > 0) {
+      parts.push(`${result.skippedPronunciations} invalid pronunciations skipped`);
+    }
+    if (result.skipped > 0) parts.push(`${result.skipped} invalid reading positions skipped`);
+    this.showStatus(parts.join('; '));
+    return true;
+  }
+
+  showErrors(errors) {
+    this.doc.querySelectorAll('.error[data-for]').forEach(element => {
+      element.textContent = errors[element.dataset.for] || '';
+    });
+
+    const invalid = {
+      defaultSpeed: errors.defaultSpeed,
+      defaultVolume: errors.defaultVolume,
+      overlayPositionX: errors.overlayPosition,
+      overlayPositionY: errors.overlayPosition,
+      autoStartAllowList: errors.autoStartAllowList,
+      autoStartDenyList: errors.autoStartDenyList,
+      alwaysOnSites: errors.alwaysOnSites,
+    };
+    Object.keys(this.preferences.keyboardShortcuts).forEach(action => {
+      invalid[`shortcut-${action}`] = errors[`shortcut-${action}`];
+    });
+    Object.entries(invalid).forEach(([name, error]) => {
+      this.form.elements[name].setAttribute('aria-invalid', error ? 'true' : 'false');
+    });
+
+    this.doc.getElementById('save').disabled = Object.keys(errors).length > 0;
+  }
+
+  showStatus(text) {
+    this.doc.getElementById('status').textContent = text;
+  }
+
+  /**
+   * Private: Preferences from storage, or defaults if missing or invalid
+   */
+  _fromStored(data) {
+    try {
+      return data ? UserPreferences.fromJSON(data) : new UserPreferences();
+    } catch (error) {
+      console.warn('Invalid stored preferences, using defaults:', error);
+      return new UserPreferences();
+    }
+  }
+
+  /**
+   * Private: Non-empty lines of a text area
+   */
+  _readLines(field) {
+    return field.value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Private: Editor row for a pronunciation
+   */
+  _pronunciationRow({ match, replacement, regex, site }) {
+    const row = this.doc.createElement('tr');
+
+    const input = (field, type, title) => {
+      const element = this.doc.createElement('input');
+      element.type = type;
+      element.dataset.field = field;
+      element.title = title;
+      const cell = this.doc.createElement('td');
+      cell.append(element);
+      row.append(cell);
+      return element;
+    };
+    input('match', 'text', 'Word, or a regular expression').value = match;
+    input('replacement', 'text', 'What to say').value = replacement;
+    input('regex', 'checkbox', 'Match a regular expression').checked = regex;
+    const siteField = input('site', 'text', 'Site to use it on');
+    siteField.value = site;
+    siteField.placeholder = 'Every site';
+
+    const remove = this.doc.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      row.remove();
+      this.handleChange();
+    });
+    const cell = this.doc.createElement('td');
+    cell.append(remove);
+    row.append(cell);
+
+    return row;
+  }
+
+  /**
+   * Private: Pronunciations from the editor rows; rows without a word are dropped
+   * by validation
+   */
+  _readPronunciations() {
+    return Array.from(this.doc.querySelectorAll('#pronunciation-list tbody tr')).map(row => {
+      const field = name => row.querySelector(`[data-field="${name}"]`);
+      return {
+        match: field('match').value,
+        replacement: field('replacement').value,
+        regex: field('regex').checked,
+        site: field('site').value,
+      };
+    });
+  }
+
+  /**
+   * Private: Shortcuts must be set and each used once
+   */
+  _validateShortcuts(shortcuts) {
+    const errors = {};
+    const seen = new Map();
+
+    Object.entries(shortcuts).forEach(([action, shortcut]) => {
+      const key = shortcut.toLowerCase();
+      if (!key) {
+        errors[`shortcut-${action}`] = 'Enter a key, e.g. Space or Ctrl+Shift+K';
+      } else if (seen.has(key)) {
+        errors[`shortcut-${action}`] = `Also used for ${OptionsPage.SHORTCUT_LABELS[seen.get(key)]}`;
+      } else {
+        seen.set(key, action);
+      }
+    });
+
+    return errors;
+  }
+}
+
+OptionsPage.SHORTCUT_LABELS = {
+  playPause: 'Play or pause',
+  speedUp: 'Speed up',
+  speedDown: 'Slow down',
+  stop: 'Stop',
+  skipForward: 'Next sentence',
+  skipBackward: 'Previous sentence',
+  nextSection: 'Next section',
+  previousSection: 'Previous section',
+};
+
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OptionsPage;
+} else if (typeof window !== 'undefined') {
+  window.optionsPage = new OptionsPage();
+  window.optionsPage.init();
+}
@@ -102,6 +102,11 @@ global.ResizeObserver = jest.fn().mockImplementation(() => ({
   disconnect: jest.fn(),
 }));
 
+// jsdom has no TextEncoder; Node's is the same API
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = require('util').TextEncoder;
+}
+
 // Helper function to create mock DOM elements
 global.createMockElement = (tagName, attributes = {}, innerHTML = '') => {
   const element = document.createElement(tagName);
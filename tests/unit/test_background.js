@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the background script's session relay, as run by a background page
+ */
+
+global.SessionStore = require('../../src/lib/session-store.js');
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+global.SiteActivation = require('../../src/lib/site-activation.js');
+global.SpeechController = require('../../src/background/speech-controller.js');
+
+describe('background - saving reading positions', () => {
+  const listener = () => ({ addListener: jest.fn() });
+  let onMessage;
+  let local;
+  let spoken;
+
+  // Send a message the way a tab would and wait for the answer
+  const fromTab = message => new Promise(resolve => {
+    onMessage(message, { tab: { id: 3, url: 'https://example.com/a' } }, resolve);
+  });
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  const saved = () => local[SessionStore.keyFor('https://example.com/a', 'abc-123')];
+
+  beforeAll(() => {
+    Object.assign(chrome.runtime, { onInstalled: listener() });
+    Object.assign(chrome.tabs, { onActivated: listener() });
+    Object.assign(chrome, {
+      action: { onClicked: listener() },
+      commands: { onCommand: listener() },
+      contextMenus: { onClicked: listener() },
+      windows: { onFocusChanged: listener(), WINDOW_ID_NONE: -1 },
+    });
+
+    require('../../src/background/background.js');
+    onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+  });
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    local = {};
+    chrome.storage.local.get.mockImplementation(async keys => (
+      Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]]))
+    ));
+    chrome.storage.local.set.mockImplementation(async items => Object.assign(local, items));
+    chrome.storage.local.remove.mockImplementation(async keys => keys.forEach(key => delete local[key]));
+    chrome.tabs.sendMessage.mockResolvedValue(undefined);
+
+    spoken = [];
+    speechSynthesis.speak.mockImplementation(utterance => spoken.push(utterance));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saves word boundaries of a reading that was only started, never paused', async () => {
+    const response = await fromTab({
+      type: 'START_READING',
+      contentId: 'reading_1',
+      text: 'First sentence here. Second sentence.',
+      fingerprint: 'abc-123',
+      speed: 1.4,
+    });
+    expect(response.success).toBe(true);
+
+    spoken[0].onstart();
+    await settle();
+    expect(saved()).toMatchObject({ currentCharIndex: 0, speed: 1.4 });
+
+    // Boundaries are saved every few seconds
+    const later = Date.now() + 6000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    spoken[0].onboundary({ name: 'word', charIndex: 'First '.length });
+    await settle();
+
+    expect(saved()).toMatchObject({
+      pageUrl: 'https://example.com/a',
+      fingerprint: 'abc-123',
+      currentCharIndex: 'First '.length,
+      speed: 1.4,
+    });
+
+    await fromTab({ type: 'STOP_READING', sessionId: response.session.sessionId });
+  });
+
+  test('saves progress of a reading it has not seen start, e.g. after restarting', async () => {
+    // As relayed from the offscreen document in Chrome
+    await new Promise(resolve => onMessage({
+      type: 'RELAY_TO_TAB',
+      tabId: 3,
+      message: {
+        type: 'SPEECH_CHUNK_STARTED',
+        chunk: { index: 2, start: 120, end: 180 },
+        session: {
+          sessionId: 'session_unseen',
+          contentId: 'reading_9',
+          pageUrl: 'https://example.com/a',
+          fingerprint: 'abc-123',
+          currentPosition: 20,
+          currentCharIndex: 120,
+          isPlaying: true,
+          isPaused: false,
+        },
+      },
+    }, {}, resolve));
+    await settle();
+
+    expect(saved()).toMatchObject({ currentCharIndex: 120, currentPosition: 20 });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, expect.objectContaining({ type: 'SPEECH_CHUNK_STARTED' }));
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for BlockSpeech strategies
+ */
+
+global.SpokenMath = require('../../src/lib/spoken-math.js');
+const BlockSpeech = require('../../src/lib/block-speech.js');
+
+describe('BlockSpeech', () => {
+  const code = {
+    type: 'code',
+    text: 'if (a === b) { go(); }',
+    source: 'if (a === b) {\n  go();\n}',
+    lineCount: 3,
+    language: 'JavaScript',
+  };
+  const table = {
+    type: 'table',
+    text: 'Name Age Ada 36 Alan 41',
+    rows: [
+      [{ text: 'Name', header: true }, { text: 'Age', header: true }],
+      [{ text: 'Ada', header: true }, { text: '36', header: false }],
+      [{ text: 'Alan', header: false }, { text: '', header: false }],
+    ],
+  };
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('summarizes, names symbols in or skips code blocks', () => {
+    expect(new BlockSpeech({ code: 'summary' }).render(code))
+      .toEqual({ speech: 'Code block, 3 lines, JavaScript.', announced: true });
+    expect(new BlockSpeech({ code: 'symbols' }).render(code)).toEqual({
+      speech: 'if open paren a triple equals b close paren open brace. go open paren close paren semicolon. close brace.',
+    });
+    expect(new BlockSpeech({ code: 'skip' }).render(code)).toEqual({ skip: true });
+    expect(new BlockSpeech().render(code)).toEqual({});
+  });
+
+  test('reads tables row by row with their headers', () => {
+    expect(BlockSpeech.speakTable(table.rows)).toBe('Ada: Age, 36. Row 2: Name, Alan.');
+    expect(new BlockSpeech({ table: 'read' }).render(table)).toEqual({});
+  });
+
+  test('describe records a code block\'s source, lines and language', () => {
+    document.body.innerHTML = '<pre><code class="hljs lang-py">print(1)\nprint(2)\n</code></pre>';
+    const element = document.querySelector('pre');
+
+    expect(BlockSpeech.describe({ type: 'code', element })).toMatchObject({
+      source: 'print(1)\nprint(2)',
+      lineCount: 2,
+      language: 'Python',
+    });
+    expect(BlockSpeech.describe({ type: 'heading', element: null })).toEqual({ type: 'heading', element: null });
+  });
+});
@@ -0,0 +1,388 @@
+/**
+ * Unit tests for ClickHandler reading navigation
+ */
+
+require('../../src/lib/messaging.js');
+global.SessionStore = require('../../src/lib/session-store.js');
+global.SpeechClient = require('../../src/content/speech-client.js');
+global.TextOffsetMap = require('../../src/lib/text-offset-map.js');
+global.LanguageDetector = require('../../src/lib/language-detector.js');
+global.BlockSpeech = require('../../src/lib/block-speech.js');
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+global.PronunciationLexicon = require('../../src/lib/pronunciation-lexicon.js');
+Object.assign(global, require('../../src/lib/models/TextContent.js'));
+require('../../src/content/click-handler.js');
+
+// Answer messages the way the background SpeechController would, recording START_READING
+const mockSpeechController = spoken => {
+  let sessionCount = 0;
+  chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+    if (message.type !== 'START_READING') {
+      callback({ success: true });
+      return;
+    }
+    spoken.push(message);
+    callback({
+      success: true,
+      session: { sessionId: `session_${++sessionCount}`, contentId: message.contentId, speed: message.speed }
+    });
+  });
+};
+
+// Deliver a session message from the controller to the current reading
+const receive = (handler, message) => {
+  handler.speechClient.handleMessage({
+    ...message,
+    session: { contentId: handler.speechClient.contentId }
+  });
+};
+
+describe('ClickHandler - skipping', () => {
+  let handler;
+  let spoken;
+
+  const readArticle = startSentenceIndex => {
+    const article = document.querySelector('article');
+    const offsetMap = TextOffsetMap.fromElement(article);
+    const sentences = handler.splitIntoSentences(offsetMap.text);
+    const text = handler.setupArticleReading(
+      { extractedText: offsetMap.text, offsetMap },
+      sentences,
+      startSentenceIndex,
+      article
+    );
+    handler.startReading(text);
+  };
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    spoken = [];
+    mockSpeechController(spoken);
+
+    document.body.innerHTML = `
+      <article>
+        <p>Alpha one. Alpha two.</p>
+        <p>Beta one. Beta two. Beta three.</p>
+        <p>Gamma one.</p>
+      </article>
+    `;
+
+    handler = window.clickHandler;
+    handler.currentReadingInfo = null;
+  });
+
+  afterEach(() => {
+    handler.stopReading();
+    document.body.innerHTML = '';
+  });
+
+  const lastSpokenText = () => {
+    const message = spoken[spoken.length - 1];
+    return message.text.substring(message.startCharIndex);
+  };
+
+  test('skips forward and backward by sentence', () => {
+    readArticle(2);
+    expect(lastSpokenText()).toMatch(/^Beta one\./);
+
+    handler.skip(1, 'sentence');
+    expect(lastSpokenText()).toMatch(/^Beta two\./);
+
+    handler.skip(-1, 'sentence');
+    handler.skip(-1, 'sentence');
+    expect(lastSpokenText()).toMatch(/^Alpha two\./);
+  });
+
+  test('follows boundary events to know the current sentence', () => {
+    readArticle(0);
+    const chunk = { index: 0, start: 0, end: handler.spokenText.length };
+    const charIndex = handler.spokenText.indexOf('Alpha two.');
+
+    receive(handler, { type: 'SPEECH_BOUNDARY', name: 'word', charIndex, chunk });
+    handler.skip(1, 'sentence');
+
+    expect(lastSpokenText()).toMatch(/^Beta one\./);
+  });
+
+  test('reads the current sentence again with new pronunciations', () => {
+    readArticle(0);
+    const chunk = { index: 0, start: 0, end: handler.spokenText.length };
+    const charIndex = handler.spokenText.indexOf('two.');
+    receive(handler, { type: 'SPEECH_BOUNDARY', name: 'word', charIndex, chunk });
+
+    expect(handler.currentWord).toBe('two');
+
+    const everySite = { match: 'two', replacement: 'too', regex: false, site: '' };
+    const otherSite = { match: 'Alpha', replacement: 'Alfa', regex: false, site: 'example.com' };
+    handler.setPronunciations([everySite, otherSite]);
+
+    expect(lastSpokenText()).toMatch(/^Alpha two\./);
+    expect(spoken[spoken.length - 1].pronunciations).toEqual([everySite]);
+  });
+
+  test('skips forward to the next paragraph', () => {
+    readArticle(0);
+
+    handler.skip(1, 'paragraph');
+    expect(lastSpokenText()).toMatch(/^Beta one\./);
+
+    handler.skip(1, 'paragraph');
+    expect(lastSpokenText()).toBe('Gamma one.');
+  });
+
+  test('skips back to the paragraph start, then the previous paragraph', () => {
+    readArticle(3);
+    expect(lastSpokenText()).toMatch(/^Beta two\./);
+
+    handler.skip(-1, 'paragraph');
+    expect(lastSpokenText()).toMatch(/^Beta one\./);
+
+    handler.skip(-1, 'paragraph');
+    expect(lastSpokenText()).toMatch(/^Alpha one\./);
+  });
+
+  test('does nothing past the end of the article', () => {
+    readArticle(5);
+    const count = spoken.length;
+
+    handler.skip(1, 'sentence');
+    handler.skip(1, 'paragraph');
+
+    expect(spoken).toHaveLength(count);
+  });
+
+  test('skips by section between headings and announces them', () => {
+    document.body.innerHTML = `
+      <article>
+        <h2>Intro</h2><p>Alpha one. Alpha two.</p>
+        <h2>Details</h2><p>Beta one.</p>
+      </article>
+    `;
+    const offsetMap = TextOffsetMap.fromElement(document.querySelector('article'));
+    const blocks = offsetMap.blocks();
+    handler.readContent({ extractedText: offsetMap.text, offsetMap, blocks });
+
+    expect(spoken[0].blocks.map(block => block.announcement)).toEqual(['Heading:', 'Heading:']);
+
+    handler.skip(1, 'section');
+    expect(lastSpokenText()).toMatch(/^Details Beta one\./);
+
+    handler.skip(-1, 'sentence');
+    handler.skip(-1, 'section');
+    expect(lastSpokenText()).toMatch(/^Intro Alpha one\./);
+  });
+
+  test('sends code with its spoken form instead of an announcement', () => {
+    document.body.innerHTML = `
+      <article><p>Install it.</p><pre class="language-sh">npm install</pre><p>Done.</p></article>
+    `;
+    const offsetMap = TextOffsetMap.fromElement(document.querySelector('article'));
+    const blocks = offsetMap.blocks().map(BlockSpeech.describe);
+    handler.applyPreferences(new UserPreferences({ announceBlocks: true, blockStrategies: { code: 'summary' } }));
+    handler.readContent({ extractedText: offsetMap.text, offsetMap, blocks });
+
+    expect(spoken[0].blocks).toEqual([expect.objectContaining({
+      type: 'code',
+      announcement: '',
+      speech: 'Code block, 1 line, Shell.',
+    })]);
+  });
+
+  test('keeps the current speed when restarting', () => {
+    window.uiOverlay = { currentSpeed: 1.7 };
+    readArticle(0);
+
+    handler.skip(1, 'sentence');
+
+    expect(spoken[spoken.length - 1].speed).toBe(1.7);
+    delete window.uiOverlay;
+  });
+
+  test('sends the whole article with where to start', () => {
+    readArticle(2);
+    const message = spoken[spoken.length - 1];
+
+    expect(message.text).toBe(TextOffsetMap.fromElement(document.querySelector('article')).text);
+    expect(message.fingerprint).toBe(SessionStore.fingerprint(message.text));
+  });
+
+  test('resumes an article from a saved character offset', () => {
+    const offsetMap = TextOffsetMap.fromElement(document.querySelector('article'));
+    const charIndex = offsetMap.text.indexOf('two. Beta one.');
+
+    handler.resumeArticle({ extractedText: offsetMap.text, offsetMap }, charIndex);
+    expect(lastSpokenText()).toMatch(/^two\. Beta one\./);
+
+    // Skipping still works from the sentence that was resumed
+    handler.skip(1, 'sentence');
+    expect(lastSpokenText()).toMatch(/^Beta one\./);
+  });
+
+  test('reads from where the context menu opened, even after scrolling', async () => {
+    const paragraphs = document.querySelectorAll('p');
+    const offsetMap = TextOffsetMap.fromElement(document.querySelector('article'));
+    window.textExtractor = {
+      extractArticleText: async () => ({
+        extractedText: offsetMap.text,
+        offsetMap,
+        findCharPositionByDom: (node, offset) => offsetMap.indexOfPosition(node, offset),
+      }),
+    };
+    const caretAt = paragraph => {
+      const range = new Range();
+      range.setStart(paragraph.firstChild, 0);
+      return range;
+    };
+
+    document.caretRangeFromPoint = jest.fn(() => caretAt(paragraphs[1]));
+    paragraphs[1].dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, clientX: 10, clientY: 20 }));
+    // The page scrolls before the menu item is chosen, so the same point is over other text
+    document.caretRangeFromPoint.mockImplementation(() => caretAt(paragraphs[2]));
+
+    try {
+      await handler.readFromEvent(handler.contextMenuPoint);
+
+      expect(lastSpokenText()).toMatch(/^Beta one\./);
+    } finally {
+      delete document.caretRangeFromPoint;
+      delete window.textExtractor;
+    }
+  });
+});
+
+describe('ClickHandler - queued content', () => {
+  let handler;
+  let spoken;
+
+  const content = text => ({ extractedText: text, offsetMap: null });
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    spoken = [];
+    mockSpeechController(spoken);
+    handler = window.clickHandler;
+  });
+
+  afterEach(() => {
+    handler.stopReading();
+  });
+
+  test('reads immediately when nothing is playing', () => {
+    expect(handler.queueContent(content('Linked article text.'))).toBe(0);
+    expect(spoken[0].text).toBe('Linked article text.');
+    expect(spoken[0].startCharIndex).toBe(0);
+  });
+
+  test('reads queued content after the current reading ends', () => {
+    handler.queueContent(content('Current article.'));
+    expect(handler.queueContent(content('Next article.'))).toBe(1);
+    expect(spoken).toHaveLength(1);
+
+    receive(handler, { type: 'SESSION_ENDED' });
+
+    expect(spoken[spoken.length - 1].text).toBe('Next article.');
+  });
+
+  test('stopping clears the queue', () => {
+    handler.queueContent(content('Current article.'));
+    handler.queueContent(content('Next article.'));
+
+    handler.stopReading();
+
+    expect(handler.pendingContents).toHaveLength(0);
+  });
+});
+
+describe('ClickHandler - activation', () => {
+  let handler;
+  let spoken;
+
+  const click = (target, options = {}) => {
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    spoken = [];
+    mockSpeechController(spoken);
+
+    document.body.innerHTML = `
+      <article>
+        <p>Alpha one. Alpha two, with <a href="#more">a link</a>.</p>
+        <p>Beta one. Beta two. Beta three.</p>
+      </article>
+    `;
+
+    handler = window.clickHandler;
+    jest.spyOn(handler, 'readFromEvent').mockResolvedValue();
+    handler.activate();
+  });
+
+  afterEach(() => {
+    handler.deactivate();
+    handler.readFromEvent.mockRestore();
+    delete window.textExtractor;
+    document.body.innerHTML = '';
+  });
+
+  test('leaves plain clicks to the page and reads on Alt+click', () => {
+    const link = document.querySelector('a');
+
+    expect(click(link).defaultPrevented).toBe(false);
+    expect(handler.readFromEvent).not.toHaveBeenCalled();
+
+    expect(click(link, { altKey: true }).defaultPrevented).toBe(true);
+    expect(handler.readFromEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops listening when deactivated', () => {
+    handler.deactivate();
+
+    expect(click(document.querySelector('p'), { altKey: true }).defaultPrevented).toBe(false);
+    expect(handler.readFromEvent).not.toHaveBeenCalled();
+  });
+
+  test('picking a start point takes over one click only', () => {
+    const paragraph = document.querySelector('p');
+
+    handler.startPicking();
+    expect(document.documentElement.classList.contains('sr-picking')).toBe(true);
+    expect(click(paragraph).defaultPrevented).toBe(true);
+
+    expect(document.documentElement.classList.contains('sr-picking')).toBe(false);
+    expect(click(paragraph).defaultPrevented).toBe(false);
+    expect(handler.readFromEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('Escape cancels picking', () => {
+    handler.startPicking();
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(handler.isPicking).toBe(false);
+    expect(click(document.querySelector('p')).defaultPrevented).toBe(false);
+  });
+
+  test('the gutter button reads from the start of the paragraph beside it', async () => {
+    const offsetMap = TextOffsetMap.fromElement(document.querySelector('article'));
+    window.textExtractor = {
+      extractArticleText: async () => ({
+        extractedText: offsetMap.text,
+        offsetMap,
+        findCharPositionByDom: (node, offset) => offsetMap.indexOfPosition(node, offset),
+      })
+    };
+    const second = document.querySelectorAll('p')[1];
+
+    second.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    const button = document.getElementById('sr-gutter-play');
+    expect(button.hidden).toBe(false);
+
+    click(button);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const message = spoken[spoken.length - 1];
+    expect(message.text.substring(message.startCharIndex)).toMatch(/^Beta one\./);
+  });
+});
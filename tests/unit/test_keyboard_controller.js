@@ -0,0 +1,123 @@
+/**
+ * Unit tests for KeyboardController shortcut dispatch
+ */
+
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+const KeyboardController = require('../../src/content/keyboard-controller.js');
+
+describe('KeyboardController', () => {
+  let controller;
+
+  const pressKey = (init, target = document.body) => {
+    const event = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(async () => {
+    setupExtensionEnvironment();
+    document.body.innerHTML = '<p>Page text</p><input id="field"><div id="editor" contenteditable="true"></div>';
+
+    window.clickHandler = {
+      speechClient: { isActive: true },
+      togglePlayPause: jest.fn(),
+      stopReading: jest.fn(),
+      skip: jest.fn(),
+    };
+    window.uiOverlay = { isVisible: true, currentSpeed: 1.0, setSpeed: jest.fn(), close: jest.fn() };
+
+    controller = new KeyboardController();
+    await controller.init();
+  });
+
+  afterEach(() => {
+    window.removeEventListener('keydown', controller.handleKeyDown);
+    delete window.clickHandler;
+    delete window.uiOverlay;
+    document.body.innerHTML = '';
+  });
+
+  test('dispatches default shortcuts to the click handler and overlay', () => {
+    pressKey({ key: ' ', code: 'Space' });
+    expect(window.clickHandler.togglePlayPause).toHaveBeenCalled();
+
+    pressKey({ key: 'ArrowUp', code: 'ArrowUp' });
+    expect(window.uiOverlay.setSpeed).toHaveBeenCalledWith(1.1);
+
+    pressKey({ key: 'Escape', code: 'Escape' });
+    expect(window.uiOverlay.close).toHaveBeenCalled();
+  });
+
+  test('skip shortcuts move by sentence, or by paragraph with Shift', () => {
+    pressKey({ key: 'ArrowRight', code: 'ArrowRight' });
+    expect(window.clickHandler.skip).toHaveBeenLastCalledWith(1, 'sentence');
+
+    pressKey({ key: 'ArrowLeft', code: 'ArrowLeft', shiftKey: true });
+    expect(window.clickHandler.skip).toHaveBeenLastCalledWith(-1, 'paragraph');
+  });
+
+  test('section shortcuts need their modifiers, matched by physical key', () => {
+    pressKey({ key: 'n', code: 'KeyN' });
+    expect(window.clickHandler.skip).not.toHaveBeenCalled();
+
+    pressKey({ key: '˜', code: 'KeyN', altKey: true, shiftKey: true });
+    expect(window.clickHandler.skip).toHaveBeenLastCalledWith(1, 'section');
+  });
+
+  test('uses shortcuts from stored preferences', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      userPreferences: { keyboardShortcuts: { playPause: 'Ctrl+Shift+K' } },
+    });
+    await controller.loadPreferences();
+
+    pressKey({ key: ' ', code: 'Space' });
+    expect(window.clickHandler.togglePlayPause).not.toHaveBeenCalled();
+
+    pressKey({ key: 'K', code: 'KeyK', ctrlKey: true, shiftKey: true });
+    expect(window.clickHandler.togglePlayPause).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores keys typed into inputs and contenteditable areas', () => {
+    pressKey({ key: ' ', code: 'Space' }, document.getElementById('field'));
+    pressKey({ key: ' ', code: 'Space' }, document.getElementById('editor'));
+
+    expect(window.clickHandler.togglePlayPause).not.toHaveBeenCalled();
+  });
+
+  test('ignores shortcuts when the reader is idle', () => {
+    window.clickHandler.speechClient.isActive = false;
+    window.uiOverlay.isVisible = false;
+
+    const event = pressKey({ key: ' ', code: 'Space' });
+
+    expect(event.defaultPrevented).toBe(false);
+    expect(window.clickHandler.togglePlayPause).not.toHaveBeenCalled();
+  });
+
+  test('reports a conflict when the page already handled the key', () => {
+    const onConflict = jest.fn();
+    window.addEventListener('sr-shortcut-conflict', onConflict);
+    const pageHandler = e => e.preventDefault();
+    document.body.addEventListener('keydown', pageHandler);
+
+    pressKey({ key: ' ', code: 'Space' });
+
+    expect(window.clickHandler.togglePlayPause).not.toHaveBeenCalled();
+    expect(onConflict.mock.calls[0][0].detail).toEqual(
+      expect.objectContaining({ action: 'playPause', source: 'page handler' })
+    );
+
+    document.body.removeEventListener('keydown', pageHandler);
+    window.removeEventListener('sr-shortcut-conflict', onConflict);
+  });
+
+  test('finds accesskey conflicts for Alt shortcuts', () => {
+    document.body.insertAdjacentHTML('beforeend', '<a href="#" accesskey="s">Search</a>');
+    controller.preferences.setShortcut('stop', 'Alt+S');
+    controller.applyPreferences(controller.preferences.toJSON());
+
+    expect(controller.findPageConflicts()).toEqual([
+      { action: 'stop', shortcut: 'Alt+S', source: 'accesskey' },
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for LanguageDetector
+ */
+
+global.TextOffsetMap = require('../../src/lib/text-offset-map.js');
+const LanguageDetector = require('../../src/lib/language-detector.js');
+
+describe('LanguageDetector - classify', () => {
+  test.each([
+    ['en', 'The committee said that it was not ready for the vote, but the members have agreed to meet again.'],
+    ['de', 'Die Regierung hat am Montag bekannt gegeben, dass sie die neuen Regeln nicht mit der Opposition abstimmen wird.'],
+    ['es', 'El gobierno anunció que los cambios para la ley de vivienda serán más estrictos, pero también hay dudas.'],
+    ['ja', '政府は月曜日に新しい規則を発表しました。これは多くの人々にとって重要な変更です。'],
+    ['zh', '政府在星期一宣布了新的规定，这对许多人来说是一个重要的变化。'],
+    ['ru', 'Правительство в понедельник объявило о новых правилах для всех жителей страны.'],
+  ])('recognizes %s', (language, text) => {
+    expect(LanguageDetector.classify(text).language).toBe(language);
+  });
+
+  test('leaves short or ambiguous text unclassified', () => {
+    expect(LanguageDetector.classify('Hello')).toBeNull();
+    expect(LanguageDetector.classify('Zürich Berlin Madrid Tokyo Paris')).toBeNull();
+  });
+});
+
+describe('LanguageDetector - detect', () => {
+  const german = 'Die Regierung hat am Montag bekannt gegeben, dass sie die neuen Regeln nicht mit der Opposition abstimmen wird und auch keine Ausnahmen macht.';
+
+  const pageWith = head => new DOMParser().parseFromString(`<html ${head}><head></head><body></body></html>`, 'text/html');
+
+  test('keeps the declared region when the text agrees', () => {
+    const doc = pageWith('lang="de_at"');
+    expect(LanguageDetector.declaredLanguage(doc)).toBe('de-AT');
+    expect(LanguageDetector.detect(german, doc)).toBe('de-AT');
+  });
+
+  test('overrules a declared language the text is clearly not in', () => {
+    expect(LanguageDetector.detect(german, pageWith('lang="en"'))).toBe('de');
+  });
+
+  test('falls back to og:locale and then the text alone', () => {
+    const doc = new DOMParser().parseFromString(
+      '<html><head><meta property="og:locale" content="es_ES"></head><body></body></html>', 'text/html'
+    );
+    expect(LanguageDetector.detect('Hola', doc)).toBe('es-ES');
+    expect(LanguageDetector.detect(german)).toBe('de');
+    expect(LanguageDetector.detect('Hola')).toBe('');
+  });
+
+  test('cuts tags Intl would reject back to their language', () => {
+    expect(LanguageDetector.normalizeTag('en-')).toBe('en');
+    expect(LanguageDetector.normalizeTag('de-DE-x')).toBe('de');
+    expect(LanguageDetector.normalizeTag('zh-hant-tw')).toBe('zh-Hant-TW');
+    expect(LanguageDetector.declaredLanguage(pageWith('lang="en-"'))).toBe('en');
+  });
+});
+
+describe('LanguageDetector - findSegments', () => {
+  test('finds paragraphs in another language from lang attributes and the text', () => {
+    document.body.innerHTML = `
+      <article>
+        <p>The committee said that it was not ready for the vote, but the members will meet again.</p>
+        <blockquote lang="fr">Nous verrons.</blockquote>
+        <p>Die Regierung hat am Montag bekannt gegeben, dass sie die neuen Regeln nicht ändern wird.</p>
+        <p>Sie sind auch nicht mit der Opposition einverstanden, wie der Sprecher sagte.</p>
+        <p>That was the end of the statement from the government and it has not said more.</p>
+      </article>
+    `;
+    const map = TextOffsetMap.fromElement(document.querySelector('article'));
+
+    const segments = LanguageDetector.findSegments(map, 'en-US');
+
+    expect(segments.map(segment => segment.language)).toEqual(['fr', 'de']);
+    expect(map.text.substring(segments[0].start, segments[0].end)).toBe('Nous verrons.');
+    expect(map.text.substring(segments[1].start, segments[1].end)).toMatch(/^Die Regierung.*Sprecher sagte\.$/);
+  });
+});
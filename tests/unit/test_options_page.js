@@ -0,0 +1,211 @@
+/**
+ * Unit tests for the options page
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('../../src/lib/messaging.js');
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+global.SessionStore = require('../../src/lib/session-store.js');
+global.PronunciationLexicon = require('../../src/lib/pronunciation-lexicon.js');
+global.SettingsArchive = require('../../src/lib/settings-archive.js');
+const OptionsPage = require('../../src/options/options.js');
+
+const optionsHtml = fs.readFileSync(path.join(__dirname, '../../src/options/options.html'), 'utf8');
+
+describe('OptionsPage', () => {
+  let page;
+
+  const fields = () => document.getElementById('options-form').elements;
+
+  const type = (name, value) => {
+    fields()[name].value = value;
+    fields()[name].dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  const errorFor = name => document.querySelector(`.error[data-for="${name}"]`).textContent;
+
+  const lastSaved = key => {
+    const calls = chrome.storage.sync.set.mock.calls.filter(([items]) => key in items);
+    return calls[calls.length - 1][0];
+  };
+
+  const savedPreferences = () => lastSaved('userPreferences').userPreferences;
+
+  const savedPronunciations = () => {
+    const items = lastSaved('pronunciationKeys');
+    return items.pronunciationKeys.flatMap(key => items[key]);
+  };
+
+  beforeEach(async () => {
+    setupExtensionEnvironment();
+    document.body.innerHTML = new DOMParser().parseFromString(optionsHtml, 'text/html').body.innerHTML
+      .replace(/<script[^>]*><\/script>/g, '');
+
+    chrome.storage.sync.get.mockResolvedValue({
+      userPreferences: new UserPreferences({
+        userId: 'user_1',
+        defaultSpeed: 1.3,
+        pauseOnTabSwitch: false,
+        languageVoices: { de: 'german-voice' },
+      }).toJSON(),
+      pronunciationKeys: ['pronunciations_0'],
+      pronunciations_0: [{ match: 'SQL', replacement: 'sequel', regex: false, site: '' }],
+    });
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({
+      success: true,
+      voices: [{ voiceURI: 'english-voice', name: 'English', lang: 'en-US' }]
+    }));
+
+    page = new OptionsPage();
+    await page.init();
+  });
+
+  test('shows the stored preferences', () => {
+    expect(fields().defaultSpeed.value).toBe('1.3');
+    expect(fields().pauseOnTabSwitch.checked).toBe(false);
+    expect(fields()['shortcut-playPause'].value).toBe('Space');
+    expect(Array.from(fields().voicePreference.options).map(option => option.value)).toEqual(['', 'english-voice']);
+  });
+
+  test('shows validation errors as the user types', () => {
+    type('defaultSpeed', '3');
+    expect(errorFor('defaultSpeed')).toBe('Speed must be between 0.5 and 2.0');
+    expect(fields().defaultSpeed.getAttribute('aria-invalid')).toBe('true');
+    expect(document.getElementById('save').disabled).toBe(true);
+
+    type('shortcut-stop', 'space');
+    expect(errorFor('shortcut-stop')).toBe('Also used for Play or pause');
+
+    type('defaultSpeed', '1.5');
+    type('shortcut-stop', 'Escape');
+    expect(errorFor('defaultSpeed')).toBe('');
+    expect(document.getElementById('save').disabled).toBe(false);
+  });
+
+  test('edits auto-start sites one per line', async () => {
+    type('autoStartDenyList', 'example.com\nnot a site');
+    expect(errorFor('autoStartDenyList')).toBe('Not a site: not a site');
+
+    type('autoStartDenyList', 'example.com\n\n  https://news.example.org/today ');
+    expect(await page.save()).toBe(true);
+    expect(savedPreferences().autoStartDenyList).toEqual(['example.com', 'news.example.org']);
+  });
+
+  test('edits pronunciations one row at a time', async () => {
+    const rows = () => Array.from(document.querySelectorAll('#pronunciation-list tbody tr'));
+    const edit = (row, field, value) => {
+      const input = row.querySelector(`[data-field="${field}"]`);
+      input[input.type === 'checkbox' ? 'checked' : 'value'] = value;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    expect(rows()[0].querySelector('[data-field="replacement"]').value).toBe('sequel');
+
+    document.getElementById('add-pronunciation').click();
+    edit(rows()[1], 'match', 'v(\\d');
+    edit(rows()[1], 'replacement', 'version $1');
+    edit(rows()[1], 'regex', true);
+    expect(errorFor('pronunciations')).toBe('Not a valid pattern: v(\\d');
+
+    edit(rows()[1], 'match', 'v(\\d+)');
+    edit(rows()[1], 'site', 'www.example.com');
+    rows()[0].querySelector('button').click();
+    expect(await page.save()).toBe(true);
+
+    expect(savedPronunciations()).toEqual([
+      { match: 'v(\\d+)', replacement: 'version $1', regex: true, site: 'example.com' },
+    ]);
+    expect(savedPreferences().pronunciations).toBeUndefined();
+  });
+
+  test('will not save more pronunciations than sync storage holds', async () => {
+    const rows = () => Array.from(document.querySelectorAll('#pronunciation-list tbody tr'));
+    const long = 'a long way of saying it '.repeat(40);
+    for (let index = 0; index < 80; index++) {
+      document.getElementById('add-pronunciation').click();
+      const row = rows()[rows().length - 1];
+      row.querySelector('[data-field="match"]').value = `word${index}`;
+      row.querySelector('[data-field="replacement"]').value = long;
+    }
+    rows()[0].querySelector('[data-field="match"]').dispatchEvent(new Event('input', { bubbles: true }));
+
+    expect(errorFor('pronunciations')).toMatch(/^Too many pronunciations to save \(81\)/);
+    expect(await page.save()).toBe(false);
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('saves changes without losing settings that are not on the page', async () => {
+    type('defaultVolume', '0.6');
+    fields().autoStart.checked = true;
+
+    expect(await page.save()).toBe(true);
+
+    const saved = savedPreferences();
+    expect(saved.defaultVolume).toBe(0.6);
+    expect(saved.autoStart).toBe(true);
+    expect(saved.defaultSpeed).toBe(1.3);
+    expect(saved.languageVoices).toEqual({ de: 'german-voice' });
+    expect(document.getElementById('status').textContent).toBe('Saved');
+  });
+
+  test('does not save invalid settings', async () => {
+    type('overlayPositionX', '150');
+
+    expect(await page.save()).toBe(false);
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    expect(errorFor('overlayPosition')).toBe('Overlay position x must be between 0 and 100');
+  });
+
+  test('resets to defaults, keeping the user ID', async () => {
+    window.confirm = jest.fn(() => true);
+
+    await page.reset();
+
+    const saved = savedPreferences();
+    expect(saved.userId).toBe('user_1');
+    expect(saved.defaultSpeed).toBe(1.0);
+    expect(saved.languageVoices).toEqual({});
+    expect(fields().defaultSpeed.value).toBe('1');
+  });
+
+  test('imports settings from an exported file', async () => {
+    window.confirm = jest.fn(() => true);
+    const file = {
+      text: async () => JSON.stringify({
+        type: SettingsArchive.TYPE,
+        version: SettingsArchive.VERSION,
+        preferences: { userId: 'user_2', defaultSpeed: 1.8 },
+      })
+    };
+
+    expect(await page.importSettings(file)).toBe(true);
+
+    expect(savedPreferences()).toMatchObject({ userId: 'user_1', defaultSpeed: 1.8 });
+    expect(fields().defaultSpeed.value).toBe('1.8');
+    expect(document.getElementById('status').textContent).toBe('Settings imported');
+  });
+
+  test('explains why a file cannot be imported', async () => {
+    window.confirm = jest.fn(() => true);
+
+    expect(await page.importSettings({ text: async () => '{"type": "something-else"}' })).toBe(false);
+
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    expect(document.getElementById('status').textContent).toBe('This file is not a settings export');
+  });
+
+  test('says why storing imported settings failed', async () => {
+    window.confirm = jest.fn(() => true);
+    chrome.storage.sync.set.mockRejectedValue(new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'));
+    const file = {
+      text: async () => JSON.stringify({ type: SettingsArchive.TYPE, version: SettingsArchive.VERSION, preferences: {} })
+    };
+
+    expect(await page.importSettings(file)).toBe(false);
+
+    expect(document.getElementById('status').textContent)
+      .toBe('Could not import: MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded');
+    expect(fields().defaultSpeed.value).toBe('1.3');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for PronunciationFixer, which fixes a word's pronunciation from the overlay
+ */
+
+require('../../src/lib/messaging.js');
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+global.PronunciationLexicon = require('../../src/lib/pronunciation-lexicon.js');
+const PronunciationFixer = require('../../src/content/pronunciation-fixer.js');
+
+describe('PronunciationFixer', () => {
+  let fixer;
+  let panel;
+  let stored;
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    stored = {};
+    chrome.storage.sync.get.mockImplementation(async keys => (
+      Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]]))
+    ));
+    chrome.storage.sync.set.mockImplementation(async items => Object.assign(stored, items));
+
+    document.body.innerHTML = '<div id="sr-pronunciation-panel" hidden></div>';
+    panel = document.getElementById('sr-pronunciation-panel');
+    window.clickHandler = { setPronunciations: jest.fn() };
+    fixer = new PronunciationFixer();
+  });
+
+  afterEach(() => {
+    delete window.clickHandler;
+  });
+
+  test('shows what is said for the highlighted word now', async () => {
+    await new PronunciationLexicon().save([
+      { match: 'kubectl', replacement: 'cube control', site: window.location.hostname },
+    ]);
+
+    await fixer.open(panel, 'Kubectl');
+
+    expect(panel.hidden).toBe(false);
+    expect(document.getElementById('sr-pronunciation-match').value).toBe('Kubectl');
+    expect(document.getElementById('sr-pronunciation-replacement').value).toBe('cube control');
+    expect(document.getElementById('sr-pronunciation-site').checked).toBe(true);
+  });
+
+  test('saves a word for this site and reads on with it, leaving preferences alone', async () => {
+    stored.userPreferences = new UserPreferences({ defaultSpeed: 1.5 }).toJSON();
+    await new PronunciationLexicon().save([{ match: 'SQL', replacement: 'sequel' }]);
+
+    await fixer.save('Nguyen', 'win', { siteOnly: true });
+
+    const entries = await new PronunciationLexicon().load();
+    expect(entries).toEqual([
+      { match: 'SQL', replacement: 'sequel', regex: false, site: '' },
+      { match: 'Nguyen', replacement: 'win', regex: false, site: window.location.hostname },
+    ]);
+    expect(stored.userPreferences.defaultSpeed).toBe(1.5);
+    expect(window.clickHandler.setPronunciations).toHaveBeenCalledWith(entries);
+  });
+});
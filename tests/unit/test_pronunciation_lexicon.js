@@ -0,0 +1,87 @@
+/**
+ * Unit tests for PronunciationLexicon entries and storage
+ */
+
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+const PronunciationLexicon = require('../../src/lib/pronunciation-lexicon.js');
+
+describe('PronunciationLexicon', () => {
+  // In-memory stand-in for chrome.storage.sync
+  const memoryStorage = data => ({
+    data,
+    get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: jest.fn(async items => Object.assign(data, items)),
+    remove: jest.fn(async keys => keys.forEach(key => delete data[key])),
+  });
+
+  const names = count => Array.from({ length: count }, (_, index) => ({
+    match: `Colleague${index}`,
+    replacement: `colleague number ${index}`,
+  }));
+
+  test('site entries come first, and only on their site and its subdomains', () => {
+    const { entries } = PronunciationLexicon.validate([
+      { match: 'SQL', replacement: 'sequel' },
+      { match: 'Nguyen', replacement: 'win', site: 'https://www.Example.com/team' },
+      { match: '', replacement: 'dropped' },
+    ]);
+
+    expect(entries).toEqual([
+      { match: 'SQL', replacement: 'sequel', regex: false, site: '' },
+      { match: 'Nguyen', replacement: 'win', regex: false, site: 'example.com' },
+    ]);
+    expect(PronunciationLexicon.forSite(entries, 'wiki.example.com').map(entry => entry.match)).toEqual(['Nguyen', 'SQL']);
+    expect(PronunciationLexicon.forSite(entries, 'other.org').map(entry => entry.match)).toEqual(['SQL']);
+  });
+
+  test('rejects entries without a replacement, bad patterns and bad sites', () => {
+    expect(() => PronunciationLexicon.validate([{ match: 'SQL' }])).toThrow('Enter what to say for "SQL"');
+    expect(() => PronunciationLexicon.validate([{ match: 'v(\\d', replacement: 'x', regex: true }]))
+      .toThrow('Not a valid pattern: v(\\d');
+    expect(() => PronunciationLexicon.validate([{ match: 'a', replacement: 'b', site: 'not a site' }]))
+      .toThrow('Not a site: not a site');
+    expect(() => PronunciationLexicon.validate('SQL=sequel')).toThrow('Pronunciations must be a list');
+  });
+
+  test('adding a word again replaces it for the same site', async () => {
+    const lexicon = new PronunciationLexicon({ storage: memoryStorage({}) });
+
+    await lexicon.add({ match: 'SQL', replacement: 'S Q L' });
+    await lexicon.add({ match: 'sql', replacement: 'sequel' });
+    await lexicon.add({ match: 'SQL', replacement: 'squeal', site: 'example.com' });
+
+    expect((await lexicon.load()).map(entry => entry.replacement)).toEqual(['sequel', 'squeal']);
+    await expect(lexicon.add({ match: ' ', replacement: 'x' })).rejects.toThrow('Enter the word to pronounce');
+  });
+
+  test('splits a long list over items within the sync quota, apart from preferences', async () => {
+    const storage = memoryStorage({ userPreferences: { defaultSpeed: 1.2 } });
+    const lexicon = new PronunciationLexicon({ storage });
+
+    await lexicon.save(names(300));
+
+    const keys = storage.data.pronunciationKeys;
+    expect(keys.length).toBeGreaterThan(1);
+    keys.forEach(key => {
+      const bytes = new TextEncoder().encode(key + JSON.stringify(storage.data[key])).length;
+      expect(bytes).toBeLessThanOrEqual(PronunciationLexicon.QUOTA_BYTES_PER_ITEM);
+    });
+    expect(await lexicon.load()).toHaveLength(300);
+    expect(storage.data.userPreferences).toEqual({ defaultSpeed: 1.2 });
+
+    // A shorter list frees the items it no longer needs
+    await lexicon.save(names(2));
+    expect(storage.data.pronunciationKeys).toEqual(['pronunciations_0']);
+    expect(storage.data.pronunciations_1).toBeUndefined();
+  });
+
+  test('refuses to save more than sync storage can hold, keeping what was saved', async () => {
+    const storage = memoryStorage({});
+    const lexicon = new PronunciationLexicon({ storage });
+    await lexicon.save(names(2));
+
+    await expect(lexicon.save(names(2000))).rejects.toThrow('Too many pronunciations to save (2000)');
+    await expect(lexicon.save([{ match: 'x', replacement: 'y'.repeat(9000) }])).rejects.toThrow('too long to save');
+    expect(await lexicon.load()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for Readability-style content scoring
+ */
+
+const ReadabilityScorer = require('../../src/lib/readability-scorer.js');
+
+describe('ReadabilityScorer - grabArticle', () => {
+  const sentence = 'This sentence, which has a comma or two, is part of the real article text. ';
+
+  const parse = body => new DOMParser().parseFromString(`<html><body>${body}</body></html>`, 'text/html');
+  const textOf = element => element.textContent.replace(/\s+/g, ' ').trim();
+
+  test('prefers the article over a longer comment thread', () => {
+    const comments = Array.from({ length: 8 }, (_, i) =>
+      `<div class="comment"><p>Comment ${i}, which, like most comments, has commas, asides, and opinions, lots of them.</p></div>`
+    ).join('');
+    const doc = parse(`
+      <div class="wrapper">
+        <div class="post-body">${`<p>${sentence.repeat(3)}</p>`.repeat(4)}</div>
+        <div id="comments">${comments}</div>
+      </div>
+    `);
+
+    const article = new ReadabilityScorer().grabArticle(doc);
+
+    expect(textOf(article)).toContain('real article text');
+    expect(textOf(article)).not.toContain('Comment 0');
+  });
+
+  test('merges siblings with the same class and drops link lists inside the article', () => {
+    const doc = parse(`
+      <main>
+        <div class="story">${`<p>${sentence.repeat(3)}</p>`.repeat(3)}<p>First half ends here.</p></div>
+        <div class="promo"><a href="/offer">Subscribe today for a special offer on everything</a></div>
+        <div class="story">${`<p>${sentence.repeat(2)}</p>`.repeat(2)}<p>Second half ends here.</p>
+          <ul><li><a href="/a">Another story worth reading</a></li><li><a href="/b">And one more story</a></li></ul>
+        </div>
+      </main>
+    `);
+
+    const text = textOf(new ReadabilityScorer().grabArticle(doc));
+
+    expect(text).toContain('First half ends here.');
+    expect(text).toContain('Second half ends here.');
+    expect(text).not.toContain('Subscribe today');
+    expect(text).not.toContain('Another story');
+  });
+
+  test('retries without stripping unlikely candidates when too little text is left', () => {
+    const doc = parse(`<div class="sidebar-layout">${`<p>${sentence.repeat(3)}</p>`.repeat(4)}</div>`);
+    const scorer = new ReadabilityScorer();
+
+    const article = scorer.grabArticle(doc);
+
+    expect(textOf(article).length).toBeGreaterThan(scorer.charThreshold);
+  });
+
+  test('gives up on pages with more elements than maxElemsToParse', () => {
+    const doc = parse(`<p>${sentence}</p>`.repeat(20));
+
+    expect(() => new ReadabilityScorer({ maxElemsToParse: 10 }).grabArticle(doc))
+      .toThrow('Aborting parsing document; 20 elements found');
+    expect(new ReadabilityScorer().grabArticle(parse(''))).toBeNull();
+  });
+});
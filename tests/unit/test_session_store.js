@@ -0,0 +1,79 @@
+/**
+ * Unit tests for SessionStore saved reading positions
+ */
+
+const SessionStore = require('../../src/lib/session-store.js');
+
+describe('SessionStore', () => {
+  let data;
+  let store;
+
+  // In-memory stand-in for chrome.storage.local
+  const storage = {
+    get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: jest.fn(async items => Object.assign(data, items)),
+    remove: jest.fn(async keys => keys.forEach(key => delete data[key])),
+  };
+
+  const session = (pageUrl, fingerprint, currentPosition = 10) => ({
+    sessionId: `session_${fingerprint}`,
+    pageUrl,
+    fingerprint,
+    currentPosition,
+    currentCharIndex: currentPosition * 5,
+  });
+
+  beforeEach(() => {
+    data = {};
+    store = new SessionStore({ storage, maxSessions: 2 });
+  });
+
+  test('normalizes URLs so the same article matches across visits', () => {
+    const expected = SessionStore.normalizeUrl('https://example.com/reports/q3');
+
+    expect(SessionStore.normalizeUrl('https://www.example.com/reports/q3/#summary')).toBe(expected);
+    expect(SessionStore.normalizeUrl('http://example.com/reports/q3?utm_source=mail&fbclid=1')).toBe(expected);
+    expect(SessionStore.normalizeUrl('https://example.com/reports/q3?page=2')).not.toBe(expected);
+  });
+
+  test('fingerprints ignore whitespace but not wording', () => {
+    const fingerprint = SessionStore.fingerprint('First line.\n\n  Second line.');
+
+    expect(SessionStore.fingerprint('First line. Second line.')).toBe(fingerprint);
+    expect(SessionStore.fingerprint('First line. Second lines.')).not.toBe(fingerprint);
+  });
+
+  test('saves and loads by page URL and fingerprint', async () => {
+    await store.save({
+      ...session('https://example.com/a#top', 'abc'),
+      text: 'The whole article.',
+      blocks: [{ start: 0, end: 3, type: 'code', source: 'x = 1' }],
+    });
+
+    const saved = await store.load('https://www.example.com/a', 'abc');
+    expect(saved.currentPosition).toBe(10);
+    expect(saved.savedAt).toBeDefined();
+    expect(Object.keys(saved).sort()).toEqual(['currentCharIndex', 'currentPosition', 'fingerprint', 'pageUrl', 'savedAt']);
+
+    expect(await store.load('https://example.com/a', 'changed')).toBeNull();
+  });
+
+  test('forgets the oldest sessions past the limit', async () => {
+    await store.save(session('https://example.com/a', 'a'));
+    await store.save(session('https://example.com/b', 'b'));
+    await store.save(session('https://example.com/a', 'a', 20));
+    await store.save(session('https://example.com/c', 'c'));
+
+    expect(await store.load('https://example.com/b', 'b')).toBeNull();
+    expect((await store.load('https://example.com/a', 'a')).currentPosition).toBe(20);
+    expect(data.savedSessionKeys).toHaveLength(2);
+  });
+
+  test('removes a saved session', async () => {
+    await store.save(session('https://example.com/a', 'a'));
+    await store.remove('https://example.com/a', 'a');
+
+    expect(await store.load('https://example.com/a', 'a')).toBeNull();
+    expect(data.savedSessionKeys).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for SettingsArchive export and import
+ */
+
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+global.SessionStore = require('../../src/lib/session-store.js');
+global.PronunciationLexicon = require('../../src/lib/pronunciation-lexicon.js');
+const SettingsArchive = require('../../src/lib/settings-archive.js');
+
+describe('SettingsArchive', () => {
+  // In-memory stand-ins for chrome.storage.sync and chrome.storage.local
+  const memoryStorage = data => ({
+    data,
+    get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: jest.fn(async items => Object.assign(data, items)),
+    remove: jest.fn(async keys => keys.forEach(key => delete data[key])),
+  });
+
+  const saved = (pageUrl, savedAt, currentCharIndex = 120) => ({
+    sessionId: 'session_1',
+    pageUrl,
+    fingerprint: 'abc-123',
+    currentCharIndex,
+    savedAt,
+  });
+
+  let sync;
+  let local;
+  let archive;
+
+  beforeEach(async () => {
+    sync = memoryStorage({
+      userPreferences: new UserPreferences({
+        userId: 'user_here',
+        defaultSpeed: 1.1,
+      }).toJSON(),
+      pronunciationKeys: ['pronunciations_0'],
+      pronunciations_0: [{ match: 'SQL', replacement: 'sequel', regex: false, site: '' }],
+    });
+    local = memoryStorage({});
+    archive = new SettingsArchive({ syncStorage: sync, sessionStore: new SessionStore({ storage: local }) });
+  });
+
+  test('exports preferences, pronunciations and saved sessions in a versioned file', async () => {
+    await new SessionStore({ storage: local }).save(saved('https://example.com/a'));
+
+    const data = await archive.export();
+
+    expect(data.type).toBe(SettingsArchive.TYPE);
+    expect(data.version).toBe(SettingsArchive.VERSION);
+    expect(data.preferences.defaultSpeed).toBe(1.1);
+    expect(data.pronunciations).toEqual([{ match: 'SQL', replacement: 'sequel', regex: false, site: '' }]);
+    expect(data.sessions.map(session => session.pageUrl)).toEqual(['https://example.com/a']);
+    expect((await archive.export({ includeSessions: false })).sessions).toBeUndefined();
+  });
+
+  test('imports preferences, keeping this browser\'s user ID and dropping invalid values', async () => {
+    const file = JSON.stringify({
+      type: SettingsArchive.TYPE,
+      version: 1,
+      preferences: { userId: 'user_there', defaultSpeed: 1.7, theme: 'neon', unknownSetting: true },
+    });
+
+    const result = await archive.import(SettingsArchive.parse(file));
+
+    expect(result.preferences.defaultSpeed).toBe(1.7);
+    expect(sync.data.userPreferences.userId).toBe('user_here');
+    expect(sync.data.userPreferences.theme).toBe('auto');
+    expect(sync.data.userPreferences.unknownSetting).toBeUndefined();
+  });
+
+  test('replaces pronunciations from the file, keeping the saved ones if it has none', async () => {
+    await archive.import({ type: SettingsArchive.TYPE, version: 1, preferences: {} });
+    expect(await new PronunciationLexicon({ storage: sync }).load()).toHaveLength(1);
+
+    const result = await archive.import({
+      type: SettingsArchive.TYPE,
+      version: SettingsArchive.VERSION,
+      preferences: {},
+      pronunciations: [{ match: 'Nguyen', replacement: 'win', site: 'example.com' }],
+    });
+
+    expect(result.pronunciations).toEqual([{ match: 'Nguyen', replacement: 'win', regex: false, site: 'example.com' }]);
+    expect(await new PronunciationLexicon({ storage: sync }).load()).toEqual(result.pronunciations);
+  });
+
+  test('imports the valid pronunciations and counts the invalid ones', async () => {
+    const result = await archive.import({
+      type: SettingsArchive.TYPE,
+      version: SettingsArchive.VERSION,
+      preferences: {},
+      pronunciations: [
+        { match: 'Nguyen', replacement: 'win' },
+        { match: 'SQL' },
+        { match: 'v(\\d', replacement: 'version', regex: true },
+        { match: 'kubectl', replacement: 'cube control', site: 'not a site' },
+      ],
+    });
+
+    expect(result.pronunciations.map(entry => entry.match)).toEqual(['Nguyen']);
+    expect(result.skippedPronunciations).toBe(3);
+    expect(await new PronunciationLexicon({ storage: sync }).load()).toEqual(result.pronunciations);
+  });
+
+  test('merges reading positions, keeping the most recent and skipping invalid ones', async () => {
+    const store = new SessionStore({ storage: local });
+    await store.save(saved('https://example.com/a', undefined, 50));
+
+    const result = await archive.import({
+      type: SettingsArchive.TYPE,
+      version: 1,
+      preferences: {},
+      sessions: [
+        saved('https://example.com/a', '2000-01-01T00:00:00.000Z', 10),
+        saved('https://example.com/b', '2024-01-01T00:00:00.000Z', 20),
+        { pageUrl: 'https://example.com/c', currentCharIndex: -1 },
+      ],
+    });
+
+    expect(result).toMatchObject({ sessions: 1, skipped: 1 });
+    expect((await store.load('https://example.com/a', 'abc-123')).currentCharIndex).toBe(50);
+    expect((await store.load('https://example.com/b', 'abc-123')).currentCharIndex).toBe(20);
+    expect((await store.load('https://example.com/b', 'abc-123')).sessionId).toBeUndefined();
+  });
+
+  test('rejects files that are not exports or come from a newer version', () => {
+    expect(() => SettingsArchive.parse('not json')).toThrow('not valid JSON');
+    expect(() => SettingsArchive.parse('{"type": "other"}')).toThrow('not a settings export');
+    expect(() => SettingsArchive.parse(JSON.stringify({ type: SettingsArchive.TYPE, version: 99 })))
+      .toThrow('newer version');
+  });
+});
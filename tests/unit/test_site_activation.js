@@ -0,0 +1,58 @@
+/**
+ * Unit tests for SiteActivation per-site on/off state
+ */
+
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+const SiteActivation = require('../../src/lib/site-activation.js');
+
+describe('SiteActivation', () => {
+  // In-memory stand-ins for chrome.storage.local and chrome.storage.sync
+  const memoryStorage = data => ({
+    data,
+    get: jest.fn(async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: jest.fn(async items => Object.assign(data, items)),
+  });
+
+  let local;
+  let sync;
+  let activation;
+
+  beforeEach(() => {
+    local = memoryStorage({});
+    sync = memoryStorage({
+      userPreferences: new UserPreferences({ alwaysOnSites: ['docs.example.com'] }).toJSON()
+    });
+    activation = new SiteActivation({ storage: local, syncStorage: sync });
+  });
+
+  test('is off by default and turns on for one origin only', async () => {
+    expect(await activation.isEnabled('https://news.example.org/story')).toBe(false);
+
+    await activation.setEnabled('https://news.example.org/story', true);
+
+    expect(await activation.isEnabled('https://news.example.org/other-story')).toBe(true);
+    expect(await activation.isEnabled('http://news.example.org/story')).toBe(false);
+    expect(await activation.isEnabled('https://example.org/')).toBe(false);
+  });
+
+  test('follows always-on rules unless turned off for the site', async () => {
+    expect(await activation.isEnabled('https://docs.example.com/guide')).toBe(true);
+    expect(await activation.isEnabled('https://api.docs.example.com/')).toBe(true);
+
+    await activation.setEnabled('https://docs.example.com/guide', false);
+    expect(await activation.isEnabled('https://docs.example.com/guide')).toBe(false);
+
+    // Turning it back on leaves the rule in charge again
+    await activation.setEnabled('https://docs.example.com/guide', true);
+    expect(local.data.siteActivation).toEqual({});
+  });
+
+  test('only runs on web pages and local files', async () => {
+    expect(SiteActivation.originOf('https://example.com:8080/a?b')).toBe('https://example.com:8080');
+    expect(SiteActivation.originOf('file:///home/me/notes.html')).toBe('file://');
+    expect(SiteActivation.originOf('chrome://extensions')).toBeNull();
+
+    await expect(activation.setEnabled('about:blank', true)).rejects.toThrow("The reader can't run on about:blank");
+    expect(await activation.isEnabled('not a url')).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for SpeechClient messaging with the background SpeechController
+ */
+
+require('../../src/lib/messaging.js');
+global.SessionStore = require('../../src/lib/session-store.js');
+const SpeechClient = require('../../src/content/speech-client.js');
+
+describe('SpeechClient', () => {
+  let sent;
+  let respond;
+
+  // Let pending sendToBackground promises settle
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    sent = [];
+    respond = message => message.type === 'START_READING'
+      ? { success: true, session: { sessionId: 'session_1', contentId: message.contentId, speed: 1 } }
+      : { success: true };
+
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      sent.push(message);
+      callback(respond(message));
+    });
+  });
+
+  test('sends START_READING and then commands for the session', async () => {
+    const client = new SpeechClient();
+    client.start('Some text.', { rate: 1.2 });
+    await flush();
+
+    client.pause();
+    client.setOptions({ rate: 1.4 });
+    client.cancel();
+
+    expect(sent.map(message => message.type)).toEqual(['START_READING', 'SET_SPEED', 'PAUSE', 'SET_SPEED', 'STOP_READING']);
+    expect(sent[0].speed).toBe(1.2);
+    expect(sent[sent.length - 1].sessionId).toBe('session_1');
+    expect(client.isActive).toBe(false);
+  });
+
+  test('forwards progress only for its own reading', async () => {
+    const onBoundary = jest.fn();
+    const onEnd = jest.fn();
+    const client = new SpeechClient({ onBoundary, onEnd });
+    client.start('Some text.');
+
+    const chunk = { index: 0, start: 0, end: 10 };
+    client.handleMessage({ type: 'SPEECH_BOUNDARY', session: { contentId: 'other' }, charIndex: 5, chunk });
+    client.handleMessage({ type: 'SPEECH_BOUNDARY', session: { contentId: client.contentId }, name: 'word', charIndex: 5, chunk });
+    client.handleMessage({ type: 'SESSION_ENDED', session: { contentId: client.contentId } });
+
+    expect(onBoundary).toHaveBeenCalledTimes(1);
+    expect(onBoundary).toHaveBeenCalledWith({ name: 'word', charIndex: 5, charLength: undefined }, chunk);
+    expect(onEnd).toHaveBeenCalled();
+    expect(client.isActive).toBe(false);
+  });
+
+  test('keeps the session details that progress messages leave out', async () => {
+    const client = new SpeechClient();
+    client.start('Some text.');
+    await flush();
+
+    client.handleMessage({
+      type: 'SPEECH_BOUNDARY',
+      session: { sessionId: 'session_1', contentId: client.contentId, currentCharIndex: 5, isPlaying: true },
+      name: 'word',
+      charIndex: 5,
+      chunk: { index: 0, start: 0, end: 10 },
+    });
+
+    expect(client.session).toMatchObject({ sessionId: 'session_1', speed: 1, currentCharIndex: 5 });
+  });
+
+  test('reports pauses made by the controller with their reason', () => {
+    const onStateChange = jest.fn();
+    const client = new SpeechClient({ onStateChange });
+    client.start('Some text.');
+
+    client.handleMessage({
+      type: 'SESSION_UPDATED',
+      reason: 'tab-switch',
+      session: { contentId: client.contentId, isPaused: true }
+    });
+
+    expect(client.isPaused).toBe(true);
+    expect(onStateChange).toHaveBeenCalledWith({ isPaused: true, reason: 'tab-switch' });
+  });
+
+  test('reports chunk offsets relative to where reading started', () => {
+    const onChunkStart = jest.fn();
+    const client = new SpeechClient({ onChunkStart });
+    client.start('Intro. Some text.', { startCharIndex: 7 });
+
+    expect(sent[0].startCharIndex).toBe(7);
+
+    client.handleMessage({
+      type: 'SPEECH_CHUNK_STARTED',
+      session: { contentId: client.contentId },
+      chunk: { index: 0, start: 7, end: 17 },
+      total: 1
+    });
+
+    expect(onChunkStart).toHaveBeenCalledWith({ index: 0, start: 0, end: 10 }, 1);
+  });
+
+  test('stops a session that was cancelled while starting', async () => {
+    const client = new SpeechClient();
+    client.start('Some text.');
+    client.cancel();
+    await flush();
+
+    expect(sent[sent.length - 1]).toEqual({ type: 'STOP_READING', sessionId: 'session_1' });
+  });
+
+  test('reports a failed start as an error', async () => {
+    const onError = jest.fn();
+    respond = () => ({ success: false, error: 'No suitable voice available' });
+
+    const client = new SpeechClient({ onError });
+    client.start('Some text.');
+    await flush();
+
+    expect(onError).toHaveBeenCalledWith({ error: 'No suitable voice available' });
+    expect(client.isActive).toBe(false);
+  });
+});
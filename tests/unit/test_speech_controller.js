@@ -0,0 +1,349 @@
+/**
+ * Unit tests for SpeechController playback and messaging
+ */
+
+const SpeechController = require('../../src/background/speech-controller.js');
+
+describe('SpeechController - playback', () => {
+  let controller;
+  let spoken;
+  let sent;
+
+  const text = 'First sentence here. Second sentence, with a comma! Third one.';
+
+  const start = (overrides = {}) => controller.handleMessage({
+    type: 'START_READING',
+    contentId: 'reading_1',
+    text,
+    tabId: 7,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    spoken = [];
+    sent = [];
+    speechSynthesis.speak.mockImplementation(utterance => spoken.push(utterance));
+
+    controller = new SpeechController({ sendToTab: (tabId, message) => sent.push({ tabId, message }) });
+    controller.speechQueue.maxChunkLength = 30;
+  });
+
+  test('START_READING creates a session and speaks it in chunks', async () => {
+    const response = await start({ speed: 1.5 });
+
+    expect(response.success).toBe(true);
+    expect(response.session.contentId).toBe('reading_1');
+    expect(response.session.isPlaying).toBe(true);
+    expect(spoken[0].text).toBe('First sentence here.');
+    expect(spoken[0].rate).toBe(1.5);
+  });
+
+  test('boundaries track the exact word and are forwarded to the tab', async () => {
+    await start();
+    spoken[0].onstart();
+    spoken[1].onstart();
+
+    const chunk = controller.speechQueue.getCurrentChunk();
+    spoken[1].onboundary({ name: 'word', charIndex: 'Second sentence, '.length, charLength: 4 });
+
+    const session = await controller.getSession(controller.currentSessionId);
+    expect(session.getCurrentWord()).toBe('with');
+
+    const boundary = sent.find(({ message }) => message.type === 'SPEECH_BOUNDARY');
+    expect(boundary.tabId).toBe(7);
+    expect(boundary.message.chunk.start).toBe(chunk.start);
+    expect(boundary.message.session).toEqual({
+      sessionId: session.sessionId,
+      contentId: 'reading_1',
+      pageUrl: 'unknown',
+      fingerprint: null,
+      currentPosition: session.currentPosition,
+      currentCharIndex: 'First sentence here. Second sentence, '.length,
+      isPlaying: true,
+      isPaused: false,
+    });
+  });
+
+  test('resuming an interrupted session restarts from its current word', async () => {
+    const first = await start();
+    spoken[0].onstart();
+    spoken[0].onboundary({ name: 'word', charIndex: 'First '.length });
+
+    await start({ contentId: 'reading_2', text: 'Another tab.' });
+    expect((await controller.getSession(first.session.sessionId)).isPaused).toBe(true);
+
+    const response = await controller.handleMessage({ type: 'RESUME', sessionId: first.session.sessionId });
+
+    expect(response.success).toBe(true);
+    expect(spoken[spoken.length - 1].text).toBe('sentence here.');
+  });
+
+  test('starts from an exact character offset and reports it when stopped', async () => {
+    const { session } = await start({ startCharIndex: text.indexOf('with a comma'), fingerprint: 'abc' });
+
+    expect(spoken[0].text).toBe('with a comma! Third one.');
+    expect(session.currentCharIndex).toBe(text.indexOf('with a comma'));
+
+    await controller.handleMessage({ type: 'STOP_READING', sessionId: session.sessionId });
+
+    const update = sent[sent.length - 1].message;
+    expect(update.type).toBe('SESSION_UPDATED');
+    expect(update.session.fingerprint).toBe('abc');
+    expect(update.session.currentPosition).toBe(5);
+  });
+
+  test('speed changes restart at the last reported word with the new rate', async () => {
+    controller.restartDelay = 0;
+    const { session } = await start();
+    spoken[0].onstart();
+    spoken[0].onboundary({ name: 'word', charIndex: 'First sentence '.length });
+
+    await controller.handleMessage({ type: 'SET_SPEED', sessionId: session.sessionId, speed: 1.8 });
+    await controller.handleMessage({ type: 'SET_SPEED', sessionId: session.sessionId, speed: 1.6 });
+    const count = spoken.length;
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    // Changes in quick succession restart once
+    expect(spoken).toHaveLength(count + 1);
+    expect(spoken[spoken.length - 1].text).toBe('here.');
+    expect(spoken[spoken.length - 1].rate).toBe(1.6);
+  });
+
+  test('speed changes while paused apply when resumed', async () => {
+    controller.restartDelay = 0;
+    const { session } = await start();
+    spoken[0].onstart();
+    spoken[0].onboundary({ name: 'word', charIndex: 'First '.length });
+
+    await controller.handleMessage({ type: 'PAUSE', sessionId: session.sessionId });
+    await controller.handleMessage({ type: 'SET_SPEED', sessionId: session.sessionId, speed: 0.7 });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await controller.handleMessage({ type: 'RESUME', sessionId: session.sessionId });
+
+    expect(speechSynthesis.resume).not.toHaveBeenCalled();
+    expect(spoken[spoken.length - 1].text).toBe('sentence here.');
+    expect(spoken[spoken.length - 1].rate).toBe(0.7);
+  });
+
+  test('ending the last chunk finishes and removes the session', async () => {
+    const response = await start({ text: 'Short text.' });
+    spoken[0].onstart();
+    spoken[0].onend();
+
+    expect(await controller.getSession(response.session.sessionId)).toBeNull();
+    expect(sent[sent.length - 1].message.type).toBe('SESSION_ENDED');
+  });
+
+  test('PAUSE and STOP_READING control the session', async () => {
+    const { session } = await start();
+    spoken[0].onstart();
+
+    await controller.handleMessage({ type: 'PAUSE', sessionId: session.sessionId });
+    expect(speechSynthesis.pause).toHaveBeenCalled();
+
+    await controller.handleMessage({ type: 'STOP_READING', sessionId: session.sessionId });
+    expect(speechSynthesis.cancel).toHaveBeenCalled();
+    expect(controller.getActiveSessionCount()).toBe(0);
+  });
+
+  test('speaks with the requested voice and keeps it when resumed', async () => {
+    const voices = [
+      { voiceURI: 'en-local', name: 'English', lang: 'en-US', localService: true, default: true },
+      { voiceURI: 'fr-local', name: 'French', lang: 'fr-FR', localService: true, default: false }
+    ];
+    speechSynthesis.getVoices.mockReturnValue(voices);
+
+    const first = await start({ language: 'fr-CA', voiceURI: 'fr-local' });
+    expect(spoken[0].voice).toBe(voices[1]);
+
+    await start({ contentId: 'reading_2', text: 'Another tab.', language: 'en' });
+    await controller.handleMessage({ type: 'RESUME', sessionId: first.session.sessionId });
+    expect(spoken[spoken.length - 1].voice).toBe(voices[1]);
+
+    const response = await controller.handleMessage({ type: 'GET_VOICES' });
+    expect(response.voices.map(voice => voice.voiceURI)).toEqual(['en-local', 'fr-local']);
+  });
+
+  test('uses a voice for the language when the chosen one cannot speak it', async () => {
+    const voices = [
+      { voiceURI: 'en-local', name: 'English', lang: 'en-US', localService: true, default: true },
+      { voiceURI: 'de-remote', name: 'German', lang: 'de-DE', localService: false, default: false }
+    ];
+    speechSynthesis.getVoices.mockReturnValue(voices);
+
+    await start({ language: 'de', voiceURI: 'en-local' });
+
+    expect(spoken[0].voice).toBe(voices[1]);
+    expect(spoken[0].lang).toBe('de-DE');
+  });
+
+  test('switches voice for paragraphs in another language', async () => {
+    const voices = [
+      { voiceURI: 'en-local', name: 'English', lang: 'en-US', localService: true, default: true },
+      { voiceURI: 'de-local', name: 'German', lang: 'de-DE', localService: true, default: false }
+    ];
+    speechSynthesis.getVoices.mockReturnValue(voices);
+    controller.speechQueue.maxChunkLength = 200;
+
+    const mixed = 'An English intro Ein deutscher Absatz. Back to English.';
+    const germanStart = mixed.indexOf('Ein');
+    await start({
+      text: mixed,
+      language: 'en-US',
+      languageSegments: [{ start: germanStart, end: mixed.indexOf(' Back'), language: 'de' }],
+    });
+    spoken[0].onstart();
+    spoken[1].onstart();
+
+    expect(spoken.map(utterance => [utterance.text, utterance.voice.voiceURI])).toEqual([
+      ['An English intro', 'en-local'],
+      ['Ein deutscher Absatz.', 'de-local'],
+      ['Back to English.', 'en-local'],
+    ]);
+  });
+
+  test('announces blocks and leaves out skipped ones', async () => {
+    controller.speechQueue.maxChunkLength = 200;
+    const article = 'Setup Run this: npm install Then restart.';
+    const codeStart = article.indexOf('npm');
+
+    await start({
+      text: article,
+      blocks: [
+        { start: 0, end: 5, type: 'heading', announcement: 'Heading:' },
+        { start: codeStart, end: codeStart + 'npm install'.length, type: 'code', announcement: '', skip: true },
+      ],
+    });
+    spoken[0].onstart();
+    spoken[1].onstart();
+
+    expect(spoken.map(utterance => utterance.text)).toEqual([
+      'Heading: Setup Run this:',
+      'Then restart.',
+    ]);
+  });
+
+  test('says a block\'s speech in place of its text, once', async () => {
+    controller.speechQueue.maxChunkLength = 200;
+    const article = 'Prices. Name Age Ada 36. That is all.';
+    const tableStart = article.indexOf('Name');
+    const tableEnd = article.indexOf(' That');
+
+    await start({
+      text: article,
+      blocks: [{
+        start: tableStart,
+        end: tableEnd,
+        type: 'table',
+        announcement: 'Table, 2 rows:',
+        speech: 'Row 1: Name, Ada; Age, 36.',
+      }],
+    });
+    spoken[0].onstart();
+    spoken[1].onstart();
+
+    expect(spoken.map(utterance => utterance.text)).toEqual([
+      'Prices.',
+      'Table, 2 rows: Row 1: Name, Ada; Age, 36.',
+      'That is all.',
+    ]);
+  });
+
+  test('says the user\'s pronunciations, reporting boundaries in the page text', async () => {
+    await start({
+      text: 'Ask Nguyen about it.',
+      pronunciations: [{ match: 'nguyen', replacement: 'win', regex: false }],
+    });
+    spoken[0].onstart();
+    spoken[0].onboundary({ name: 'word', charIndex: 'Ask win '.length, charLength: 5 });
+
+    expect(spoken[0].text).toBe('Ask win about it.');
+    const session = await controller.getSession(controller.currentSessionId);
+    expect(session.getCurrentWord()).toBe('about');
+    expect(session.toJSON().pronunciations).toHaveLength(1);
+  });
+
+  test('previewing a voice interrupts the current reading', async () => {
+    const { session } = await start();
+
+    await controller.handleMessage({ type: 'PREVIEW_VOICE', voiceURI: '' });
+
+    expect(spoken[spoken.length - 1].text).toBe('This is how this voice sounds.');
+    expect((await controller.getSession(session.sessionId)).isPaused).toBe(true);
+  });
+
+  test('pauses a tab the user switches away from and resumes it on return', async () => {
+    const { session } = await start();
+    spoken[0].onstart();
+
+    await controller.handleMessage({ type: 'TAB_FOCUSED', tabId: 9, resume: true });
+
+    expect((await controller.getSession(session.sessionId)).isPaused).toBe(true);
+    const update = sent[sent.length - 1];
+    expect(update.tabId).toBe(7);
+    expect(update.message).toMatchObject({ type: 'SESSION_UPDATED', reason: 'tab-switch' });
+
+    await controller.handleMessage({ type: 'TAB_FOCUSED', tabId: 7, resume: true });
+
+    expect((await controller.getSession(session.sessionId)).isPlaying).toBe(true);
+    expect(sent[sent.length - 1].message.reason).toBeUndefined();
+  });
+
+  test('leaves tab-switch pauses alone when not resuming, and never resumes a manual pause', async () => {
+    const first = await start();
+    spoken[0].onstart();
+    await controller.handleMessage({ type: 'TAB_FOCUSED', tabId: 9 });
+    await controller.handleMessage({ type: 'TAB_FOCUSED', tabId: 7 });
+    expect((await controller.getSession(first.session.sessionId)).isPaused).toBe(true);
+
+    const second = await start({ contentId: 'reading_2', tabId: 8 });
+    await controller.handleMessage({ type: 'PAUSE', sessionId: second.session.sessionId });
+    await controller.handleMessage({ type: 'TAB_FOCUSED', tabId: 9, resume: true });
+    await controller.handleMessage({ type: 'TAB_FOCUSED', tabId: 8, resume: true });
+
+    expect((await controller.getSession(second.session.sessionId)).isPaused).toBe(true);
+  });
+
+  test('reports errors instead of throwing', async () => {
+    const response = await controller.handleMessage({ type: 'SET_SPEED', sessionId: 'missing', speed: 1.2 });
+
+    expect(response.success).toBe(false);
+    expect(response.errorName).toBe('SessionNotFoundError');
+  });
+
+  test('sends the whole session once it starts, for progress messages to build on', async () => {
+    await start({ pageUrl: 'https://example.com/a', fingerprint: 'abc-123' });
+
+    const update = sent.find(({ message }) => message.type === 'SESSION_UPDATED');
+    expect(update.message.session).toMatchObject({
+      contentId: 'reading_1',
+      pageUrl: 'https://example.com/a',
+      fingerprint: 'abc-123',
+      isPlaying: true,
+    });
+  });
+
+  test('forgets a session that fails to start', async () => {
+    controller._startSpeechSynthesis = jest.fn().mockRejectedValue(new Error('No audio'));
+
+    const response = await start();
+
+    expect(response.success).toBe(false);
+    expect(controller.activeSessions.size).toBe(0);
+  });
+
+  test('makes room for new readings by forgetting the oldest paused ones', async () => {
+    controller.maxConcurrentSessions = 2;
+    const first = await start();
+    const second = await start({ contentId: 'reading_2' });
+
+    const third = await start({ contentId: 'reading_3' });
+
+    expect(third.success).toBe(true);
+    expect(Array.from(controller.activeSessions.keys()))
+      .toEqual([second.session.sessionId, third.session.sessionId]);
+    expect((await controller.handleMessage({ type: 'RESUME', sessionId: first.session.sessionId })).success)
+      .toBe(false);
+  });
+});
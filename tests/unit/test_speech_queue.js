@@ -0,0 +1,199 @@
+/**
+ * Unit tests for SpeechQueue chunked playback
+ */
+
+const SpeechQueue = require('../../src/lib/speech-queue.js');
+const { TextNormalizer } = require('../../src/lib/text-normalizer.js');
+
+const splitSentences = text => {
+  const sentences = [];
+  const regex = /[^.!?]+[.!?]*/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    sentences.push({ text: match[0].trim(), start: match.index, end: match.index + match[0].length });
+  }
+  return sentences;
+};
+
+describe('SpeechQueue', () => {
+  const text = 'One short sentence. Another short sentence. A third sentence here.';
+  let spoken;
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    spoken = [];
+    speechSynthesis.speak.mockImplementation(utterance => spoken.push(utterance));
+  });
+
+  describe('buildChunks()', () => {
+    test('packs whole sentences up to the chunk limit', () => {
+      const queue = new SpeechQueue({ maxChunkLength: 45 });
+      const chunks = queue.buildChunks(text, splitSentences(text));
+
+      expect(chunks.map(c => c.text)).toEqual([
+        'One short sentence. Another short sentence.',
+        'A third sentence here.',
+      ]);
+      chunks.forEach(chunk => {
+        expect(text.substring(chunk.start, chunk.end)).toBe(chunk.text);
+      });
+    });
+
+    test('splits an over-long sentence at word boundaries', () => {
+      const queue = new SpeechQueue({ maxChunkLength: 10 });
+      const longText = 'Supercalifragilistic words keep going on.';
+      const chunks = queue.buildChunks(longText, splitSentences(longText));
+
+      expect(chunks.map(c => c.text)).toEqual([
+        'Supercalif',
+        'ragilistic',
+        'words keep',
+        'going on.',
+      ]);
+      chunks.forEach(chunk => {
+        expect(longText.substring(chunk.start, chunk.end)).toBe(chunk.text);
+      });
+    });
+
+    test('starts a chunk at each announcement and after skipped text', () => {
+      const queue = new SpeechQueue({ maxChunkLength: 200 });
+      const sentences = splitSentences(text);
+      sentences[1].announcement = 'Heading:';
+
+      const chunks = queue.buildChunks(text, [sentences[0], sentences[1]]);
+      const skipped = queue.buildChunks(text, [sentences[0], sentences[2]]);
+
+      expect(chunks.map(c => [c.announcement, c.text])).toEqual([
+        [undefined, 'One short sentence.'],
+        ['Heading:', 'Another short sentence.'],
+      ]);
+      expect(skipped.map(c => c.text)).toEqual(['One short sentence.', 'A third sentence here.']);
+    });
+  });
+
+  describe('announcements', () => {
+    test('are spoken before the chunk without shifting its boundaries', () => {
+      const onBoundary = jest.fn();
+      const queue = new SpeechQueue({ maxChunkLength: 200, onBoundary });
+      const sentences = splitSentences(text);
+      sentences[0].announcement = 'Heading:';
+
+      queue.start(text, sentences);
+      spoken[0].onboundary({ name: 'word', charIndex: 2, charLength: 7 });
+      spoken[0].onboundary({ name: 'word', charIndex: 'Heading: One '.length, charLength: 5 });
+
+      expect(spoken[0].text).toBe(`Heading: ${text}`);
+      expect(onBoundary).toHaveBeenCalledTimes(1);
+      expect(onBoundary.mock.calls[0][0].charIndex).toBe('One '.length);
+    });
+  });
+
+  describe('normalization', () => {
+    test('speaks the normalized text and reports boundaries in the original', () => {
+      const onBoundary = jest.fn();
+      const queue = new SpeechQueue({ maxChunkLength: 200, normalizer: new TextNormalizer(), onBoundary });
+      const price = 'It costs $5 today.';
+
+      queue.start(price, splitSentences(price), { language: 'en-US' });
+      const spokenText = spoken[0].text;
+      spoken[0].onboundary({ name: 'word', charIndex: spokenText.indexOf('dollars'), charLength: 7 });
+      spoken[0].onboundary({ name: 'word', charIndex: spokenText.indexOf('today'), charLength: 5 });
+
+      expect(spokenText).toBe('It costs 5 US dollars today.');
+      expect(onBoundary.mock.calls.map(([event]) => [event.charIndex, event.charLength])).toEqual([
+        [price.indexOf('$5'), 2],
+        [price.indexOf('today'), 5],
+      ]);
+    });
+  });
+
+  describe('speech', () => {
+    test('is said instead of the sentence, in chunks of its own, without boundaries', () => {
+      const onBoundary = jest.fn();
+      const queue = new SpeechQueue({ maxChunkLength: 30, onBoundary });
+      const sentences = splitSentences(text);
+      sentences[1].speech = 'Spoken instead of the second sentence, in two parts.';
+
+      const chunks = queue.buildChunks(text, sentences);
+      const spokenChunks = chunks.filter(chunk => chunk.speech);
+
+      expect(spokenChunks.map(chunk => chunk.speech)).toEqual([
+        'Spoken instead of the second',
+        'sentence, in two parts.',
+      ]);
+      spokenChunks.forEach(chunk => {
+        expect(chunk.text).toBe(sentences[1].text);
+        expect(chunk.start).toBe(text.indexOf(sentences[1].text));
+      });
+      expect(chunks[0].speech).toBeUndefined();
+
+      queue.start(text, sentences);
+      spoken[0].onstart();
+      spoken[1].onboundary({ name: 'word', charIndex: 8, charLength: 7 });
+
+      expect(spoken[1].text).toBe('Spoken instead of the second');
+      expect(onBoundary).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('playback', () => {
+    test('queues the next chunk when the current one starts', () => {
+      const onChunkStart = jest.fn();
+      const queue = new SpeechQueue({ maxChunkLength: 25, onChunkStart });
+      queue.start(text, splitSentences(text), { rate: 1.5 });
+
+      expect(spoken).toHaveLength(1);
+      expect(spoken[0].rate).toBe(1.5);
+
+      spoken[0].onstart();
+      expect(spoken).toHaveLength(2);
+      expect(onChunkStart).toHaveBeenCalledWith(expect.objectContaining({ index: 0 }), 3);
+      expect(queue.getCurrentChunk().index).toBe(0);
+    });
+
+    test('reports the end only after the last chunk finishes', () => {
+      const onEnd = jest.fn();
+      const queue = new SpeechQueue({ maxChunkLength: 25, onEnd });
+      queue.start(text, splitSentences(text));
+
+      spoken[0].onstart();
+      spoken[0].onend();
+      spoken[1].onstart();
+      spoken[1].onend();
+      expect(onEnd).not.toHaveBeenCalled();
+
+      spoken[2].onstart();
+      spoken[2].onend();
+      expect(onEnd).toHaveBeenCalledTimes(1);
+      expect(queue.isActive).toBe(false);
+    });
+
+    test('ignores events from utterances that were cancelled', () => {
+      const onEnd = jest.fn();
+      const onBoundary = jest.fn();
+      const queue = new SpeechQueue({ maxChunkLength: 25, onEnd, onBoundary });
+      queue.start(text, splitSentences(text));
+
+      queue.cancel();
+      spoken[0].onboundary({ name: 'word', charIndex: 0 });
+      spoken[0].onend();
+
+      expect(speechSynthesis.cancel).toHaveBeenCalled();
+      expect(onBoundary).not.toHaveBeenCalled();
+      expect(onEnd).not.toHaveBeenCalled();
+    });
+
+    test('pause and resume delegate to speechSynthesis', () => {
+      const queue = new SpeechQueue();
+      queue.start(text, splitSentences(text));
+
+      queue.pause();
+      expect(queue.isPaused).toBe(true);
+      expect(speechSynthesis.pause).toHaveBeenCalled();
+
+      queue.resume();
+      expect(queue.isPaused).toBe(false);
+      expect(speechSynthesis.resume).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Unit tests for SpokenMath
+ */
+
+const SpokenMath = require('../../src/lib/spoken-math.js');
+
+describe('SpokenMath', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('speaks LaTeX fractions, powers, roots and Greek letters', () => {
+    expect(SpokenMath.fromLatex('x^2 + \\frac{1}{2}')).toBe('x squared plus 1 over 2');
+    expect(SpokenMath.fromLatex('\\frac{a+b}{c}')).toBe('the fraction a plus b, over c, end fraction');
+    expect(SpokenMath.fromLatex('\\sqrt[3]{8} \\leq \\Omega')).toBe('the cube root of 8 is less than or equal to capital omega');
+    expect(SpokenMath.fromLatex('x_1^n')).toBe('x sub 1 to the power of n');
+  });
+
+  test('speaks the scripts of sums and limits as their range', () => {
+    expect(SpokenMath.fromLatex('\\sum_{i=1}^{n} i')).toBe('the sum from i equals 1 to n of i');
+    expect(SpokenMath.fromLatex('\\lim_{x \\to 0} \\text{f of } x')).toBe('the limit as x goes to 0 of f of x');
+  });
+
+  test('speaks MathML the same way', () => {
+    document.body.innerHTML = `
+      <math><munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover>
+      <msup><mi>x</mi><mn>2</mn></msup><mo>≠</mo><mfrac><mi>π</mi><mn>2</mn></mfrac>
+      <mover><mi>y</mi><mo>¯</mo></mover></math>
+    `;
+
+    expect(SpokenMath.fromMathML(document.querySelector('math')))
+      .toBe('the sum from i equals 1 to n of x squared is not equal to pi over 2 y bar');
+  });
+
+  test('prefers the LaTeX source KaTeX keeps next to its MathML', () => {
+    document.body.innerHTML = `
+      <span class="katex"><math><semantics><mrow><mi>e</mi></mrow>
+        <annotation encoding="application/x-tex">e^{i\\pi}</annotation></semantics></math></span>
+    `;
+
+    expect(SpokenMath.fromElement(document.querySelector('.katex'))).toBe('e to the power of i pi, end power');
+  });
+});
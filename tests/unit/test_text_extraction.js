@@ -0,0 +1,285 @@
+/**
+ * Unit tests for text extraction logic
+ */
+
+const fs = require('fs');
+const path = require('path');
+const models = require('../../src/lib/models/TextContent.js');
+
+Object.assign(global, models);
+global.TextOffsetMap = require('../../src/lib/text-offset-map.js');
+global.LanguageDetector = require('../../src/lib/language-detector.js');
+global.ReadabilityScorer = require('../../src/lib/readability-scorer.js');
+global.SpokenMath = require('../../src/lib/spoken-math.js');
+global.BlockSpeech = require('../../src/lib/block-speech.js');
+const TextExtractor = require('../../src/content/text-extractor.js');
+
+describe('TextExtractor - offset map', () => {
+  beforeEach(() => {
+    setupExtensionEnvironment();
+
+    document.body.innerHTML = `
+      <nav>Home About Contact</nav>
+      <article>
+        <h1>Offset Map Article</h1>
+        <p>The first paragraph has enough words to count as real article content for the test.</p>
+        <p>The second paragraph adds <strong>emphasis</strong> and keeps going for a while longer.</p>
+        <footer>Footer text that should not be read.</footer>
+      </article>
+    `;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('extractArticleText maps extracted characters to live text nodes', async () => {
+    const extractor = new TextExtractor();
+    const content = await extractor.extractArticleText();
+
+    expect(content.offsetMap).not.toBeNull();
+    expect(content.offsetMap.text).toBe(content.extractedText);
+    expect(content.extractedText).not.toContain('Footer text');
+
+    const emphasis = content.extractedText.indexOf('emphasis');
+    const position = content.getDomPosition(emphasis);
+    expect(position.node).toBe(document.querySelector('strong').firstChild);
+    expect(document.body.contains(position.node)).toBe(true);
+  });
+
+  test('extractArticleText measures where the article is on the live page', async () => {
+    // jsdom has no layout, so give ranges a box; elements still measure as zero
+    Range.prototype.getBoundingClientRect = jest.fn(() => (
+      { x: 10, y: 40, width: 600, height: 200, top: 40, right: 610, bottom: 240, left: 10 }
+    ));
+
+    try {
+      const content = await new TextExtractor().extractArticleText();
+
+      expect(content.articleBounds).toMatchObject({ top: 40, left: 10, width: 600, height: 200 });
+    } finally {
+      delete Range.prototype.getBoundingClientRect;
+    }
+  });
+
+  test('findCharPositionByDom resolves a live caret position', async () => {
+    const extractor = new TextExtractor();
+    const content = await extractor.extractArticleText();
+    const secondParagraph = document.querySelectorAll('p')[1].firstChild;
+
+    const charPosition = content.findCharPositionByDom(secondParagraph, 4);
+
+    expect(content.extractedText.substring(charPosition, charPosition + 6)).toBe('second');
+  });
+
+  test('createDomRange covers the requested extracted text', async () => {
+    const extractor = new TextExtractor();
+    const content = await extractor.extractArticleText();
+    const start = content.extractedText.indexOf('adds emphasis and');
+
+    const range = content.createDomRange(start, start + 'adds emphasis and'.length);
+
+    expect(range.toString()).toBe('adds emphasis and');
+  });
+});
+
+describe('TextExtractor - blocks', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('extractArticleText returns typed blocks that sentences and words index into', async () => {
+    document.body.innerHTML = `
+      <article>
+        <h2>Getting started</h2>
+        <p>The first paragraph has enough words to count as real article content for the test.</p>
+        <ol><li>Download the archive</li><li>Unpack it</li></ol>
+        <pre>make install</pre>
+      </article>
+    `;
+
+    const content = await new TextExtractor().extractArticleText();
+
+    expect(content.blocks.map(block => block.type)).toEqual(['heading', 'paragraph', 'list', 'code']);
+    expect(content.blocks[0].element.tagName).toBe('H2');
+    expect(content.sentences[0]).toBe('Getting started');
+    expect(content.getBlockForWord(content.words.findIndex(word => word.text === 'Unpack')).type).toBe('list');
+    expect(TextContent.describeBlock(content.blocks[2])).toBe('List, 2 items:');
+    expect(content.toJSON().blocks[0]).not.toHaveProperty('element');
+  });
+
+  test('records what speaking code, tables and formulas needs', async () => {
+    document.body.innerHTML = `
+      <article>
+        <p>The first paragraph has enough words to count as real article content for the test.</p>
+        <pre class="language-js"><code>const a = 1;
+console.log(a);
+</code></pre>
+        <table><tr><th>Name</th><th>Age</th></tr><tr><td>Ada</td><td>36</td></tr></table>
+        <p>The area is <span class="katex"><span class="katex-mathml"><math><semantics><mrow><mi>r</mi></mrow><annotation encoding="application/x-tex">\\pi r^2</annotation></semantics></math></span><span class="katex-html" aria-hidden="true">πr2</span></span> here.</p>
+      </article>
+    `;
+
+    const content = await new TextExtractor().extractArticleText();
+    const block = type => content.blocks.find(candidate => candidate.type === type);
+
+    expect(block('code')).toMatchObject({ language: 'JavaScript', lineCount: 2, source: 'const a = 1;\nconsole.log(a);' });
+    expect(block('table').rows[1]).toEqual([{ text: 'Ada', header: false }, { text: '36', header: false }]);
+    expect(block('math')).toMatchObject({ text: 'r', spoken: 'pi r squared' });
+    expect(content.extractedText).not.toContain('\\pi');
+  });
+});
+
+describe('TextExtractor - language', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    document.documentElement.removeAttribute('lang');
+  });
+
+  test('extractArticleText records the article language and paragraphs in other languages', async () => {
+    document.documentElement.lang = 'en-GB';
+    document.body.innerHTML = `
+      <article>
+        <h1>Quotes from Berlin</h1>
+        <p>The minister spoke to reporters on Monday and said that the plan was not finished.</p>
+        <p>Wir werden die Regeln nicht ändern, und wir sind auch nicht mit der Opposition einverstanden.</p>
+        <p>The opposition has said it will keep pushing for changes to the plan this year.</p>
+      </article>
+    `;
+
+    const content = await new TextExtractor().extractArticleText();
+
+    expect(content.language).toBe('en-GB');
+    expect(content.languageSegments).toHaveLength(1);
+    const [segment] = content.languageSegments;
+    expect(segment.language).toBe('de');
+    expect(content.extractedText.substring(segment.start, segment.end)).toMatch(/^Wir werden.*einverstanden\.$/);
+    expect(TextContent.fromJSON(content.toJSON()).languageSegments).toEqual(content.languageSegments);
+  });
+});
+
+describe('TextExtractor - selection', () => {
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    document.body.innerHTML = `
+      <p>Before the quote.</p>
+      <blockquote>Read only   this quoted block.</blockquote>
+      <p>Read only this quoted block.</p>
+    `;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const selectNode = node => {
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    return { rangeCount: 1, toString: () => range.toString(), getRangeAt: () => range };
+  };
+
+  test('extractSelectedText maps the selection to its own text nodes', async () => {
+    const extractor = new TextExtractor();
+    const blockquote = document.querySelector('blockquote');
+
+    const content = await extractor.extractSelectedText(selectNode(blockquote));
+
+    expect(content.extractionMethod).toBe('selection');
+    expect(content.extractedText).toBe('Read only this quoted block.');
+    expect(content.getDomPosition(0).node).toBe(blockquote.firstChild);
+  });
+
+  test('extractSelectedText rejects an empty selection', async () => {
+    const extractor = new TextExtractor();
+
+    await expect(extractor.extractSelectedText({ rangeCount: 0 })).rejects.toThrow(
+      'No text selection found'
+    );
+  });
+});
+
+describe('TextExtractor - linked pages', () => {
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    document.body.innerHTML = '<p>The current page stays as it is.</p>';
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('extractArticleFromHtml reads another page without touching this one', async () => {
+    const html = `
+      <html><head><title>Linked Story</title></head>
+      <body>
+        <nav>Menu links</nav>
+        <article>
+          <h1>Linked Story</h1>
+          <p>The linked article has a first paragraph long enough to be treated as content.</p>
+          <p>It also has a second paragraph so that the extractor picks the article element.</p>
+        </article>
+      </body></html>
+    `;
+    const extractor = new TextExtractor();
+
+    const content = await extractor.extractArticleFromHtml(html, 'https://example.com/story');
+
+    expect(content.pageUrl).toBe('https://example.com/story');
+    expect(content.title).toBe('Linked Story');
+    expect(content.extractedText).toContain('The linked article has a first paragraph');
+    expect(content.extractedText).not.toContain('Menu links');
+    expect(content.offsetMap).toBeNull();
+    expect(document.body.textContent).toBe('The current page stays as it is.');
+  });
+
+  test('extractArticleFromHtml rejects pages without text', async () => {
+    const extractor = new TextExtractor();
+
+    await expect(
+      extractor.extractArticleFromHtml('<html><body></body></html>', 'https://example.com/empty')
+    ).rejects.toThrow('No readable text content found on page');
+  });
+});
+
+describe('TextExtractor - article classification', () => {
+  const paragraph = 'This paragraph is long enough to count as real writing, with several clauses and a full stop at the end. ';
+
+  const parse = (body, head = '') =>
+    new DOMParser().parseFromString(`<html><head>${head}</head><body>${body}</body></html>`, 'text/html');
+
+  test('classifyPage recognizes a long article with article metadata', () => {
+    const doc = parse(
+      `<nav><a href="/">Home</a></nav><article>${`<p>${paragraph.repeat(4)}</p>`.repeat(6)}</article>`,
+      '<meta property="og:type" content="article">'
+    );
+
+    const result = new TextExtractor().classifyPage(doc);
+
+    expect(result.isArticle).toBe(true);
+    expect(result.confidence).toBeGreaterThan(0.9);
+  });
+
+  test('classifyPage rejects link lists and short pages', () => {
+    const links = Array.from({ length: 30 }, (_, i) => `<li><a href="/story-${i}">Headline number ${i} about the news today</a></li>`).join('');
+    const extractor = new TextExtractor();
+
+    expect(extractor.classifyPage(parse(`<main><ul>${links}</ul></main>`)).isArticle).toBe(false);
+    expect(extractor.classifyPage(parse(`<main><p>${paragraph}</p></main>`)).isArticle).toBe(false);
+  });
+});
+
+describe('TextExtractor - fixture corpus', () => {
+  // Saved pages in tests/fixtures/readability, each with the text it should read next to it
+  const fixtures = path.join(__dirname, '../fixtures/readability');
+  const pages = fs.readdirSync(fixtures).filter(name => name.endsWith('.html'));
+  const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+  test.each(pages)('%s matches its golden text', async page => {
+    const html = fs.readFileSync(path.join(fixtures, page), 'utf8');
+    const golden = fs.readFileSync(path.join(fixtures, page.replace(/\.html$/, '.txt')), 'utf8');
+
+    const content = await new TextExtractor().extractArticleFromHtml(html, `https://example.com/${page}`);
+
+    expect(normalize(content.extractedText)).toBe(normalize(golden));
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for word-level tracking in TextHighlighter
+ */
+
+global.TextOffsetMap = require('../../src/lib/text-offset-map.js');
+const TextHighlighter = require('../../src/content/text-highlighter.js');
+
+describe('TextHighlighter - word tracking', () => {
+  let highlighter;
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+
+    document.body.innerHTML = `
+      <article>
+        <p>First   sentence here. Second <em>sentence</em> here.</p>
+        <p>Third sentence.</p>
+      </article>
+    `;
+
+    highlighter = new TextHighlighter();
+
+    // jsdom has no layout, so give every range a single line box
+    document.createRange = jest.fn(() => {
+      const range = new Range();
+      range.getClientRects = () => [{ top: 10, left: 20, width: 50, height: 16 }];
+      return range;
+    });
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('trackWord draws word and sentence overlays without touching page text', () => {
+    const originalHTML = document.querySelector('article').innerHTML;
+
+    highlighter.trackWord({
+      sentenceText: 'Second sentence here.',
+      sentenceIndex: 1,
+      wordStart: 7,
+      wordEnd: 15,
+    });
+
+    expect(document.querySelectorAll('.sr-word-highlight')).toHaveLength(1);
+    expect(document.querySelectorAll('.sr-sentence-tint')).toHaveLength(1);
+    expect(document.querySelector('article').innerHTML).toBe(originalHTML);
+
+    const wordRange = document.createRange.mock.results.at(-1).value;
+    expect(wordRange.toString()).toBe('sentence');
+  });
+
+  test('clearHighlight removes word tracking overlays', () => {
+    highlighter.trackWord({
+      sentenceText: 'Third sentence.',
+      sentenceIndex: 2,
+      wordStart: 0,
+      wordEnd: 5,
+    });
+
+    highlighter.clearHighlight();
+
+    expect(document.querySelectorAll('.sr-word-highlight')).toHaveLength(0);
+    expect(document.querySelectorAll('.sr-sentence-tint')).toHaveLength(0);
+    expect(highlighter.offsetMap).toBeNull();
+  });
+
+  test('trackWord places sentences exactly when given the article offset map', () => {
+    const article = document.querySelector('article');
+    const offsetMap = TextOffsetMap.fromElement(article);
+    // The same sentence text appears twice; the article offset picks the second one
+    article.insertAdjacentHTML('afterbegin', '<p>Third sentence.</p>');
+
+    highlighter.trackWord({
+      sentenceText: 'Third sentence.',
+      sentenceIndex: 0,
+      wordStart: 6,
+      wordEnd: 14,
+      offsetMap,
+      articleOffset: offsetMap.text.indexOf('Third sentence.'),
+    });
+
+    const wordRange = document.createRange.mock.results.at(-1).value;
+    expect(wordRange.startContainer.parentElement).toBe(article.lastElementChild);
+    expect(wordRange.toString()).toBe('sentence');
+  });
+
+  test('draws nothing when word highlighting is turned off', () => {
+    const word = { sentenceText: 'Third sentence.', sentenceIndex: 2, wordStart: 0, wordEnd: 5 };
+    highlighter.trackWord(word);
+
+    highlighter.applyPreferences({ highlightCurrentWord: false });
+    expect(document.querySelectorAll('.sr-word-highlight')).toHaveLength(0);
+
+    highlighter.trackWord(word);
+    expect(document.querySelectorAll('.sr-word-highlight, .sr-sentence-tint')).toHaveLength(0);
+  });
+
+  test('trackWord forgets sentences located in a previous offset map', () => {
+    highlighter.trackWord({ sentenceText: 'Third sentence.', sentenceIndex: 0, wordStart: 0, wordEnd: 5 });
+
+    // A new reading numbers its sentences from 0 again, in its article's own map
+    const paragraph = document.querySelector('p');
+    const offsetMap = TextOffsetMap.fromElement(paragraph);
+    highlighter.trackWord({
+      sentenceText: offsetMap.text.substring(0, offsetMap.text.indexOf('here.') + 5),
+      sentenceIndex: 0,
+      wordStart: 0,
+      wordEnd: 5,
+      offsetMap,
+      articleOffset: 0,
+    });
+
+    expect(highlighter.offsetMap).toBe(offsetMap);
+    expect(document.createRange.mock.results.at(-1).value.toString()).toBe('First');
+    expect(document.querySelectorAll('.sr-sentence-tint')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for TextNormalizer
+ */
+
+const { TextNormalizer } = require('../../src/lib/text-normalizer.js');
+
+describe('TextNormalizer', () => {
+  const normalizer = new TextNormalizer();
+  const say = (text, locale = 'en-US') => normalizer.normalize(text, locale).text;
+
+  test('reads currencies, dates, times, units and grouped numbers', () => {
+    expect(say('It costs $4.99 and $5 million.')).toBe('It costs 4.99 US dollars and 5 million US dollars.');
+    expect(say('Released 2024-03-05 at 14:30.')).toBe('Released March 5, 2024 at 2:30 PM.');
+    expect(say('It weighs 5 kg, runs at 10 km/h and is 50% done.'))
+      .toBe('It weighs 5 kilograms, runs at 10 kilometers per hour and is 50 percent done.');
+    expect(say('About 1,234,567 downloads in the 1990s, 5m of them')).toBe('About 1234567 downloads in the 1990s, 5m of them');
+  });
+
+  test('reads abbreviations, ordinals, versions and addresses', () => {
+    expect(say('Dr. Smith works at Acme Inc. Then he left, e.g. on the 21st.'))
+      .toBe('Doctor Smith works at Acme Incorporated. Then he left, for example on the twenty-first.');
+    expect(say('Upgrade to v2.3.1 or 18.2.0-beta.')).toBe('Upgrade to version 2 point 3 point 1 or 18 point 2 point 0 beta.');
+    expect(say('See https://www.example.com/docs/get-started?ref=1. Mail bob@example.org'))
+      .toBe('See example dot com slash docs slash get started. Mail bob at example dot org');
+  });
+
+  test('follows the locale for separators, day order and words', () => {
+    expect(say('Er zahlte 1.234,50 € z. B. am 05.03.2024, usw.', 'de-DE'))
+      .toBe('Er zahlte 1234,50 Euro zum Beispiel am 5. März 2024, und so weiter.');
+    expect(say('Due 03/05/2024', 'en-US')).toBe('Due March 5, 2024');
+    expect(say('Due 03/05/2024', 'en-GB')).toBe('Due 3 May 2024');
+    expect(say('the 21st', 'fr')).toBe('the 21st');
+  });
+
+  test('reads text in a malformed locale as English instead of throwing', () => {
+    expect(say('Due 03/05/2024', 'en-')).toBe('Due March 5, 2024');
+    expect(say('It costs $4.99.', 'not a tag')).toBe('It costs 4.99 US dollars.');
+  });
+
+  test('maps offsets in the spoken text back to the original', () => {
+    const normalized = normalizer.normalize('Pay $4.99 now', 'en');
+    const dollars = normalized.text.indexOf('dollars');
+
+    expect(normalized.text).toBe('Pay 4.99 US dollars now');
+    expect(normalized.toOriginal(normalized.text.indexOf('now'))).toBe('Pay $4.99 '.length);
+    expect(normalized.toOriginalRange(dollars, 'dollars'.length)).toEqual({ start: 4, length: 5 });
+    expect(normalized.toOriginal(2)).toBe(2);
+  });
+
+  test('takes extra rules, which run after the built-in ones', () => {
+    const custom = new TextNormalizer().addRule({
+      name: 'nginx',
+      pattern: /\bnginx\b/gi,
+      replace: () => 'engine x',
+    });
+
+    expect(custom.normalize('nginx 1.2.3').text).toBe('engine x 1 point 2 point 3');
+    expect(() => custom.addRule({ pattern: /x/, replace: () => '' })).toThrow('global pattern');
+  });
+
+  test('says the user\'s pronunciations before the built-in rules', () => {
+    const custom = normalizer.withRules(TextNormalizer.pronunciationRules([
+      { match: 'SQL', replacement: 'sequel', regex: false },
+      { match: 'C++', replacement: 'C plus plus', regex: false },
+      { match: 'v(\\d+)\\.(\\d+)', replacement: 'release $1 dot $2', regex: true },
+      { match: '(', replacement: 'broken', regex: true },
+    ]));
+    const normalized = custom.normalize('Use sql, not MySQL, from C++ v2.3 for $5.');
+
+    expect(normalized.text).toBe('Use sequel, not MySQL, from C plus plus release 2 dot 3 for 5 US dollars.');
+    expect(normalized.toOriginal(normalized.text.indexOf('not'))).toBe('Use sql, '.length);
+    expect(say('Use SQL v2.3')).toBe('Use SQL version 2 point 3');
+  });
+});
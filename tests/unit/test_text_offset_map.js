@@ -0,0 +1,112 @@
+/**
+ * Unit tests for TextOffsetMap
+ */
+
+const TextOffsetMap = require('../../src/lib/text-offset-map.js');
+
+describe('TextOffsetMap', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <article>
+        <p>First   sentence here. Second <em>sentence</em> here.</p>
+        <nav>Skip me.</nav>
+        <p>Third sentence.</p>
+      </article>
+    `;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('collapses whitespace and maps every character to a text node', () => {
+    const map = TextOffsetMap.fromElement(document.body);
+
+    expect(map.text).toBe('First sentence here. Second sentence here. Skip me. Third sentence.');
+    expect(map.nodes).toHaveLength(map.text.length);
+
+    const emphasised = map.text.indexOf('sentence', map.text.indexOf('Second'));
+    expect(map.positionAt(emphasised).node.parentElement.tagName).toBe('EM');
+    expect(map.positionAt(emphasised).offset).toBe(0);
+  });
+
+  test('skips text inside excluded elements', () => {
+    const map = TextOffsetMap.fromElement(document.querySelector('article'), { exclude: 'nav' });
+
+    expect(map.text).toBe('First sentence here. Second sentence here. Third sentence.');
+  });
+
+  test('records resolved nodes so cloned trees can point at live ones', () => {
+    const article = document.querySelector('article');
+    const clone = article.cloneNode(true);
+    const originals = new Map();
+    const cloneWalker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+    const liveWalker = document.createTreeWalker(article, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = cloneWalker.nextNode())) {
+      originals.set(node, liveWalker.nextNode());
+    }
+
+    const map = TextOffsetMap.fromElement(clone, { resolveNode: n => originals.get(n) });
+
+    expect(article.contains(map.positionAt(0).node)).toBe(true);
+  });
+
+  test('createRange spans text across element boundaries', () => {
+    const map = TextOffsetMap.fromElement(document.body);
+    const located = map.locate('Second sentence here.');
+
+    expect(map.createRange(located.start, located.end).toString()).toBe('Second sentence here.');
+  });
+
+  test('locate returns null when text is missing', () => {
+    const map = TextOffsetMap.fromElement(document.body);
+
+    expect(map.locate('Missing sentence.')).toBeNull();
+  });
+
+  test('fromRange only maps text inside the range', () => {
+    const paragraph = document.querySelector('p');
+    const start = paragraph.firstChild.nodeValue.indexOf('sentence');
+    const range = document.createRange();
+    range.setStart(paragraph.firstChild, start);
+    range.setEnd(paragraph.querySelector('em').firstChild, 4);
+
+    const map = TextOffsetMap.fromRange(range);
+
+    expect(map.text).toBe('sentence here. Second sent');
+    expect(map.positionAt(0)).toEqual({ node: paragraph.firstChild, offset: start });
+  });
+
+  test('indexOfPosition maps a caret back into the text', () => {
+    const map = TextOffsetMap.fromElement(document.body);
+    const firstText = document.querySelector('p').firstChild;
+
+    // Offset 8 is inside the collapsed "   " run and resolves to "sentence"
+    expect(map.indexOfPosition(firstText, 8)).toBe(map.text.indexOf('sentence'));
+    expect(map.indexOfPosition(document.createTextNode('x'), 0)).toBe(-1);
+  });
+
+  test('blocks() types text by the heading, list, code or table it is in', () => {
+    document.body.innerHTML = `
+      <h2>Setup</h2>
+      <p>Install it first.</p>
+      <ul><li>One <ul><li>nested</li></ul></li><li>Two</li></ul>
+      <pre><code>npm install</code></pre>
+      <table><tr><th>Name</th></tr><tr><td>Ada</td></tr></table>
+      <table><tr><td><p>Laid out with a table.</p></td></tr></table>
+    `;
+    const map = TextOffsetMap.fromElement(document.body);
+
+    const blocks = map.blocks().map(({ element: _element, start, end, ...block }) => ({ ...block, text: map.text.substring(start, end) }));
+
+    expect(blocks).toEqual([
+      { type: 'heading', level: 2, text: 'Setup' },
+      { type: 'paragraph', text: 'Install it first.' },
+      { type: 'list', itemCount: 2, text: 'One nested Two' },
+      { type: 'code', text: 'npm install' },
+      { type: 'table', rowCount: 2, text: 'Name Ada' },
+      { type: 'paragraph', text: 'Laid out with a table.' },
+    ]);
+  });
+});
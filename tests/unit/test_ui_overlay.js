@@ -0,0 +1,36 @@
+/**
+ * Unit tests for the overlay's settings from the options page
+ */
+
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+require('../../src/content/ui-overlay.js');
+
+describe('UIOverlay - preferences', () => {
+  let overlay;
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    overlay = window.uiOverlay;
+  });
+
+  test('places its anchor corner where the options say and takes their theme', () => {
+    overlay.applyPreferences(new UserPreferences({
+      theme: 'light',
+      overlayPosition: { x: 5, y: 90, anchor: 'bottom-left' },
+    }));
+    overlay.show();
+
+    const element = document.getElementById('screen-reader-overlay');
+    expect(element.classList.contains('sr-theme-light')).toBe(true);
+    expect(element.style.left).toBe('5%');
+    expect(element.style.top).toBe('90%');
+    expect(element.style.transform).toBe('translate(0, -100%)');
+
+    // Changes apply to the overlay already shown
+    overlay.applyPreferences(new UserPreferences({ theme: 'dark' }));
+    expect(element.classList.contains('sr-theme-light')).toBe(false);
+    expect(element.classList.contains('sr-theme-dark')).toBe(true);
+    expect(element.style.left).toBe('85%');
+    expect(element.style.transform).toBe('translate(-100%, 0)');
+  });
+});
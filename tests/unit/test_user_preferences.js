@@ -0,0 +1,112 @@
+/**
+ * Unit tests for UserPreferences schema migration
+ */
+
+const UserPreferences = require('../../src/lib/models/UserPreferences.js');
+
+describe('UserPreferences - migration', () => {
+  test('moves settings from before UserPreferences into the current schema', () => {
+    const migrated = UserPreferences.migrate(null, { speed: 1.4, volume: 0.5, voice: 'Alex' });
+
+    expect(migrated).toEqual({
+      schemaVersion: UserPreferences.SCHEMA_VERSION,
+      defaultSpeed: 1.4,
+      defaultVolume: 0.5,
+      voicePreference: 'Alex',
+    });
+    expect(new UserPreferences(migrated).defaultSpeed).toBe(1.4);
+  });
+
+  test('keeps existing settings over legacy ones', () => {
+    const stored = new UserPreferences({ defaultSpeed: 1.2 }).toJSON();
+    delete stored.schemaVersion;
+
+    const migrated = UserPreferences.migrate(stored, { speed: 1.8, voice: null });
+
+    expect(migrated.defaultSpeed).toBe(1.2);
+    expect(migrated.userId).toBe(stored.userId);
+    expect(migrated.voicePreference).toBe('');
+  });
+
+  test('drops unknown fields and invalid values', () => {
+    const migrated = UserPreferences.migrate({
+      userId: 'user_1',
+      defaultSpeed: 9,
+      theme: 'neon',
+      autoStart: true,
+      removedSetting: 'x',
+    });
+
+    expect(migrated).toEqual({ schemaVersion: UserPreferences.SCHEMA_VERSION, userId: 'user_1', autoStart: true });
+
+    const preferences = UserPreferences.fromJSON({ defaultSpeed: 9, autoStart: true });
+    expect(preferences.defaultSpeed).toBe(1.0);
+    expect(preferences.autoStart).toBe(true);
+  });
+
+  test('leaves preferences from a newer release untouched', () => {
+    const newer = { schemaVersion: UserPreferences.SCHEMA_VERSION + 1, futureSetting: true };
+
+    expect(UserPreferences.migrate(newer)).toEqual(newer);
+  });
+
+  test('saved preferences carry the schema version', () => {
+    const json = new UserPreferences().toJSON();
+
+    expect(json.schemaVersion).toBe(UserPreferences.SCHEMA_VERSION);
+    expect(UserPreferences.fromJSON(json).toJSON()).toEqual(json);
+  });
+});
+
+describe('UserPreferences - keyboard shortcuts', () => {
+  test('section shortcuts default to letters with modifiers, not Alt+Shift+P', () => {
+    const preferences = new UserPreferences();
+
+    expect(preferences.getShortcut('nextSection')).toBe('Alt+Shift+N');
+    expect(preferences.getShortcut('previousSection')).toBe('Alt+Shift+B');
+  });
+});
+
+describe('UserPreferences - auto-start sites', () => {
+  test('starts on any site unless denied, and only on allowed sites once some are listed', () => {
+    const preferences = new UserPreferences({ autoStart: true, autoStartDenyList: ['ads.example.com'] });
+
+    expect(preferences.allowsAutoStart('www.example.com')).toBe(true);
+    expect(preferences.allowsAutoStart('ads.example.com')).toBe(false);
+
+    preferences.update({ autoStartAllowList: ['https://www.Example.com/news', '*.blog.org'] });
+
+    expect(preferences.autoStartAllowList).toEqual(['example.com', 'blog.org']);
+    expect(preferences.allowsAutoStart('news.example.com')).toBe(true);
+    expect(preferences.allowsAutoStart('notexample.com')).toBe(false);
+    expect(preferences.allowsAutoStart('ads.example.com')).toBe(false);
+  });
+
+  test('turns the reader on for listed sites, but not for every site', () => {
+    const preferences = new UserPreferences({ autoStart: true, autoStartDenyList: ['ads.example.com'] });
+    expect(preferences.isAlwaysOn('www.example.com')).toBe(false);
+
+    preferences.update({ autoStartAllowList: ['example.com'] });
+
+    expect(preferences.isAlwaysOn('www.example.com')).toBe(true);
+    expect(preferences.isAlwaysOn('ads.example.com')).toBe(false);
+
+    preferences.update({ autoStart: false });
+    expect(preferences.isAlwaysOn('www.example.com')).toBe(false);
+  });
+
+  test('never starts when autoStart is off, and rejects entries that are not sites', () => {
+    expect(new UserPreferences({ autoStartAllowList: ['example.com'] }).allowsAutoStart('example.com')).toBe(false);
+    expect(() => new UserPreferences().update({ autoStartDenyList: ['not a site'] })).toThrow('Not a site: not a site');
+  });
+});
+
+describe('UserPreferences - block strategies', () => {
+  test('fills in types without a strategy and rejects unknown ones', () => {
+    const preferences = new UserPreferences({ blockStrategies: { table: 'skip' } });
+
+    expect(preferences.blockStrategies).toEqual({ code: 'summary', table: 'skip', math: 'spoken' });
+    expect(() => preferences.update({ blockStrategies: { code: 'sing' } })).toThrow('Invalid code strategy: sing');
+    expect(() => preferences.update({ blockStrategies: { chart: 'skip' } })).toThrow('Invalid block type: chart');
+  });
+});
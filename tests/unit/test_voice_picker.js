@@ -0,0 +1,115 @@
+/**
+ * Unit tests for voice selection: UserPreferences overrides and VoicePicker saving
+ */
+
+require('../../src/lib/messaging.js');
+global.UserPreferences = require('../../src/lib/models/UserPreferences.js');
+const VoicePicker = require('../../src/content/voice-picker.js');
+
+describe('UserPreferences - voices', () => {
+  test('site overrides win over language overrides, which win over the default', () => {
+    const preferences = new UserPreferences({ voicePreference: 'default-voice' })
+      .setVoice('french-voice', { language: 'fr-CA' })
+      .setVoice('site-voice', { hostname: 'www.Example.com' });
+
+    expect(preferences.getVoiceFor({ language: 'fr-FR', hostname: 'example.com' })).toBe('site-voice');
+    expect(preferences.getVoiceFor({ language: 'fr', hostname: 'other.org' })).toBe('french-voice');
+    expect(preferences.getVoiceFor({ language: 'en-US', hostname: 'other.org' })).toBe('default-voice');
+  });
+
+  test('an empty voice removes an override', () => {
+    const preferences = new UserPreferences({ languageVoices: { 'de-DE': 'german-voice' } });
+    expect(preferences.languageVoices).toEqual({ de: 'german-voice' });
+
+    preferences.setVoice('', { language: 'de' });
+
+    expect(preferences.languageVoices).toEqual({});
+    expect(UserPreferences.fromJSON(preferences.toJSON()).languageVoices).toEqual({});
+  });
+});
+
+describe('VoicePicker', () => {
+  let picker;
+
+  beforeEach(() => {
+    setupExtensionEnvironment();
+    document.documentElement.lang = 'fr';
+    picker = new VoicePicker();
+  });
+
+  test('uses the language override for the page', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      userPreferences: new UserPreferences().setVoice('french-voice', { language: 'fr' }).toJSON()
+    });
+
+    await picker.init();
+
+    expect(picker.getVoiceOptions()).toEqual({ language: 'fr', voiceURI: 'french-voice', languageSegments: [] });
+  });
+
+  test('picks voices for the detected language and each segment', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      userPreferences: new UserPreferences()
+        .setVoice('german-voice', { language: 'de' })
+        .setVoice('french-voice', { language: 'fr' })
+        .toJSON()
+    });
+    await picker.init();
+
+    const options = picker.getVoiceOptions({
+      language: 'de-DE',
+      languageSegments: [{ start: 10, end: 20, language: 'fr' }]
+    });
+
+    expect(options.voiceURI).toBe('german-voice');
+    expect(options.languageSegments).toEqual([{ start: 10, end: 20, language: 'fr', voiceURI: 'french-voice' }]);
+    expect(picker.getPageContext().language).toBe('de-DE');
+  });
+
+  test('saves a voice for the page language without touching other settings', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      userPreferences: new UserPreferences({ defaultSpeed: 1.5 }).toJSON()
+    });
+
+    await picker.save('french-voice', 'language');
+
+    const saved = chrome.storage.sync.set.mock.calls[0][0].userPreferences;
+    expect(saved.languageVoices).toEqual({ fr: 'french-voice' });
+    expect(saved.voicePreference).toBe('');
+    expect(saved.defaultSpeed).toBe(1.5);
+  });
+
+  test('shows why a voice could not be saved and keeps the panel open', async () => {
+    window.uiOverlay = { showStatus: jest.fn() };
+    chrome.storage.sync.set.mockRejectedValue(new Error('QUOTA_BYTES_PER_ITEM quota exceeded'));
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ success: true, voices: [] }));
+    const panel = document.createElement('div');
+    await picker.toggle(panel);
+
+    panel.querySelector('#sr-voice-save').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(window.uiOverlay.showStatus).toHaveBeenCalledWith('QUOTA_BYTES_PER_ITEM quota exceeded');
+    expect(panel.hidden).toBe(false);
+    delete window.uiOverlay;
+  });
+
+  test('lists voices with the page language first', async () => {
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({
+      success: true,
+      voices: [
+        { voiceURI: 'en', name: 'English', lang: 'en-US', localService: true },
+        { voiceURI: 'fr', name: 'French', lang: 'fr-FR', localService: false }
+      ]
+    }));
+    const panel = document.createElement('div');
+    panel.hidden = true;
+
+    await picker.toggle(panel);
+
+    const options = Array.from(panel.querySelectorAll('#sr-voice-select option'));
+    expect(options.map(option => option.value)).toEqual(['', 'fr', 'en']);
+    expect(options[1].textContent).toBe('French (online)');
+    expect(panel.hidden).toBe(false);
+  });
+});